@@ -16,6 +16,7 @@ import {
 import { Tabs, Spinner, ErrorBoundary } from './components/ui';
 import { ToastProvider } from './context/ToastContext';
 import { SynthesisProvider } from './context/SynthesisContext';
+import { SynthesisQueueProvider } from './context/SynthesisQueueContext';
 
 // Lazy load tabs for code splitting
 const IngestTab = lazy(() => import('./components/ingest/IngestTab'));
@@ -108,42 +109,44 @@ function App() {
     <ErrorBoundary>
       <ToastProvider>
         <SynthesisProvider>
-          <div className="app">
-          <header className="app-header" role="banner">
-            <div className="app-logo">
-              <Brain size={32} aria-hidden="true" />
-              <h1 className="app-title">NeuroSynth</h1>
-            </div>
-            <p className="app-tagline">Neurosurgical Knowledge Platform</p>
-          </header>
+          <SynthesisQueueProvider>
+            <div className="app">
+            <header className="app-header" role="banner">
+              <div className="app-logo">
+                <Brain size={32} aria-hidden="true" />
+                <h1 className="app-title">NeuroSynth</h1>
+              </div>
+              <p className="app-tagline">Neurosurgical Knowledge Platform</p>
+            </header>
 
-          <nav className="app-nav" role="navigation" aria-label="Main navigation">
-            <Tabs
-              tabs={tabItems}
-              activeTab={activeTab}
-              onChange={handleTabChange}
-            />
-          </nav>
+            <nav className="app-nav" role="navigation" aria-label="Main navigation">
+              <Tabs
+                tabs={tabItems}
+                activeTab={activeTab}
+                onChange={handleTabChange}
+              />
+            </nav>
 
-          <main className="app-main" role="main" id="main-content">
-            <Suspense fallback={<TabLoading />}>
-              <div
-                role="tabpanel"
-                aria-labelledby={`tab-${activeTab}`}
-                id={`panel-${activeTab}`}
-                className="tab-panel"
-              >
-                <TabContent activeTab={activeTab} onTabChange={handleTabChange} />
-              </div>
-            </Suspense>
-          </main>
+            <main className="app-main" role="main" id="main-content">
+              <Suspense fallback={<TabLoading />}>
+                <div
+                  role="tabpanel"
+                  aria-labelledby={`tab-${activeTab}`}
+                  id={`panel-${activeTab}`}
+                  className="tab-panel"
+                >
+                  <TabContent activeTab={activeTab} onTabChange={handleTabChange} />
+                </div>
+              </Suspense>
+            </main>
 
-          <footer className="app-footer" role="contentinfo">
-            <p>
-              NeuroSynth v3.0.0 &mdash; Powered by RAG
-            </p>
-          </footer>
-          </div>
+            <footer className="app-footer" role="contentinfo">
+              <p>
+                NeuroSynth v3.0.0 &mdash; Powered by RAG
+              </p>
+            </footer>
+            </div>
+          </SynthesisQueueProvider>
         </SynthesisProvider>
       </ToastProvider>
     </ErrorBoundary>
@@ -51,14 +51,41 @@ const STREAM_TIMEOUT = 120000;  // 2 minutes for streaming
  * @property {ConflictItem[]} conflicts - List of detected conflicts
  */
 
+/**
+ * @typedef {Object} SynthesisSection
+ * @property {string} title - Section heading
+ * @property {number} level - Heading level (1 = top-level)
+ * @property {string} content - Section body (markdown)
+ * @property {number} [word_count] - Words in section
+ */
+
+/**
+ * @typedef {Object} SynthesisReference
+ * @property {string} [source] - Source label as cited in the text
+ * @property {string} [title] - Document title
+ * @property {string} [document_id] - Originating document
+ * @property {string} [chunk_id] - Originating chunk
+ * @property {number} [page] - Page number
+ * @property {number} [authority_score] - Source authority (0-1)
+ */
+
+/**
+ * @typedef {Object} ResolvedFigure
+ * @property {string} [placeholder_id] - Figure placeholder the image satisfies
+ * @property {string} [image_id] - Image ID
+ * @property {string} [image_path] - Image path under /images/
+ * @property {string} [caption] - Figure caption
+ * @property {string} [section] - Section the figure belongs to
+ */
+
 /**
  * @typedef {Object} SynthesisResponse
  * @property {string} title - Synthesis title
  * @property {string} abstract - Abstract text
- * @property {Array} sections - Generated sections
- * @property {Array} references - Source references
+ * @property {SynthesisSection[]} sections - Generated sections
+ * @property {SynthesisReference[]} references - Source references
  * @property {Array} figure_requests - Figure placeholders
- * @property {Array} resolved_figures - Resolved figures
+ * @property {ResolvedFigure[]} resolved_figures - Resolved figures
  * @property {number} total_words - Total word count
  * @property {number} total_figures - Total figure count
  * @property {number} total_citations - Total citation count
@@ -68,6 +95,38 @@ const STREAM_TIMEOUT = 120000;  // 2 minutes for streaming
  * @property {boolean} verified - Whether verified
  * @property {number} conflict_count - Number of detected conflicts
  * @property {ConflictReport|null} conflict_report - Detailed conflict report
+ * @property {string} [synthesis_id] - Server-side ID when the backend stored the result
+ */
+
+/**
+ * @typedef {Object} SynthesisScope
+ * Source restrictions applied when retrieving chunks for a synthesis.
+ * @property {string[]} [document_ids] - Only use these documents
+ * @property {string[]} [chunk_types] - Only use these chunk types
+ * @property {string[]} [specialties] - Only use these specialties
+ * @property {number} [min_authority] - Minimum source authority score (0-1)
+ */
+
+/**
+ * @typedef {Object} SynthesisExportParams
+ * Chapter sent to the export endpoints. The structured synthesis carries the
+ * user's section edits, so the exported file matches what is on screen.
+ * @property {string} topic - Chapter topic
+ * @property {string} [title] - Document title (defaults to topic)
+ * @property {string} [synthesis_id] - Server-side synthesis ID, if any
+ * @property {SynthesisResponse} [synthesis] - Structured synthesis with edits applied
+ * @property {string} [content] - Rendered markdown, including the conflict resolution appendix
+ * @property {string} [appendix] - Conflict resolution appendix alone, for formats built from the structured synthesis
+ * @property {string} [template_type] - Template the chapter was generated with
+ * @property {string} [author] - Author attribution
+ * @property {string} [institution] - Institution attribution
+ */
+
+/**
+ * @typedef {Object} CustomTemplateSpec
+ * User-defined chapter skeleton sent alongside template_type.
+ * @property {string} name - Template name
+ * @property {Array<{title: string, guidance?: string}>} sections - Ordered section headings with guidance
  */
 
 // =============================================================================
@@ -193,6 +252,7 @@ async function request(path, options = {}) {
     }
 
     if (contentType.includes('application/pdf') ||
+        contentType.startsWith('image/') ||
         contentType.includes('application/octet-stream') ||
         contentType.includes('application/vnd.openxmlformats')) {
       return response.blob();
@@ -318,6 +378,52 @@ function streamSSE(path, body, handlers) {
   };
 }
 
+/**
+ * Build synthesis request body shared by streaming and one-shot generation.
+ * Source scope fields are omitted when empty so the backend searches all sources.
+ *
+ * @param {Object & SynthesisScope} params - Generation parameters and source scope
+ * @param {CustomTemplateSpec} [params.custom_template] - User-defined section skeleton
+ */
+function buildSynthesisBody(params) {
+  return {
+    topic: params.topic,
+    template_type: params.template_type ?? 'PROCEDURAL',
+    max_chunks: params.max_chunks ?? 50,
+    include_figures: params.include_figures ?? true,
+    gemini_verification: params.gemini_verification ?? false,
+    author: params.author,
+    institution: params.institution,
+    document_ids: params.document_ids?.length ? params.document_ids : undefined,
+    chunk_types: params.chunk_types?.length ? params.chunk_types : undefined,
+    specialties: params.specialties?.length ? params.specialties : undefined,
+    min_authority: params.min_authority || undefined,
+    custom_template: params.custom_template
+  };
+}
+
+/**
+ * Build export request body shared by all export formats.
+ *
+ * @param {SynthesisExportParams & Object} params - Chapter and export options
+ */
+function buildExportBody(params) {
+  return {
+    topic: params.topic,
+    synthesis_id: params.synthesis_id,
+    synthesis: params.synthesis,
+    content: params.content,
+    template_type: params.template_type ?? 'PROCEDURAL',
+    title: params.title || params.topic,
+    author: params.author ?? 'NeuroSynth',
+    institution: params.institution,
+    include_toc: params.include_toc ?? true,
+    include_abstract: params.include_abstract ?? true,
+    include_references: params.include_references ?? true,
+    include_figures: params.include_figures ?? true
+  };
+}
+
 // =============================================================================
 // API CLIENT - 54 ENDPOINTS
 // =============================================================================
@@ -801,7 +907,7 @@ export const api = {
     }),
 
   // ===========================================================================
-  // SYNTHESIS (5 endpoints)
+  // SYNTHESIS (6 endpoints)
   // ===========================================================================
 
   /**
@@ -818,15 +924,7 @@ export const api = {
   generateChapter: (params) =>
     request('/api/synthesis/generate', {
       method: 'POST',
-      body: {
-        topic: params.topic,
-        template_type: params.template_type ?? 'PROCEDURAL',
-        max_chunks: params.max_chunks ?? 50,
-        include_figures: params.include_figures ?? true,
-        gemini_verification: params.gemini_verification ?? false,
-        author: params.author,
-        institution: params.institution
-      },
+      body: buildSynthesisBody(params),
       timeout: 120000  // 2 minutes
     }),
 
@@ -836,15 +934,7 @@ export const api = {
    */
   generateChapterStream: (params, handlers) => {
     // Return the abort function from streamSSE
-    return streamSSE('/api/synthesis/generate/stream', {
-      topic: params.topic,
-      template_type: params.template_type ?? 'PROCEDURAL',
-      max_chunks: params.max_chunks ?? 50,
-      include_figures: params.include_figures ?? true,
-      gemini_verification: params.gemini_verification ?? false,
-      author: params.author,
-      institution: params.institution
-    }, handlers);
+    return streamSSE('/api/synthesis/generate/stream', buildSynthesisBody(params), handlers);
   },
 
   /**
@@ -866,17 +956,8 @@ export const api = {
     request('/api/synthesis/export/pdf', {
       method: 'POST',
       body: {
-        topic: params.topic,
-        synthesis_id: params.synthesis_id,
-        template_type: params.template_type ?? 'PROCEDURAL',
-        title: params.title || params.topic,
-        author: params.author ?? 'NeuroSynth',
-        institution: params.institution,
+        ...buildExportBody(params),
         image_quality: params.image_quality ?? 'high',
-        include_toc: params.include_toc ?? true,
-        include_abstract: params.include_abstract ?? true,
-        include_references: params.include_references ?? true,
-        include_figures: params.include_figures ?? true,
         image_dpi: params.image_dpi ?? 300
       },
       timeout: 120000
@@ -890,17 +971,8 @@ export const api = {
     request('/api/synthesis/export/html', {
       method: 'POST',
       body: {
-        topic: params.topic,
-        synthesis_id: params.synthesis_id,
-        template_type: params.template_type ?? 'PROCEDURAL',
-        title: params.title || params.topic,
-        author: params.author ?? 'NeuroSynth',
-        institution: params.institution,
-        image_quality: params.image_quality ?? 'high',
-        include_toc: params.include_toc ?? true,
-        include_abstract: params.include_abstract ?? true,
-        include_references: params.include_references ?? true,
-        include_figures: params.include_figures ?? true
+        ...buildExportBody(params),
+        image_quality: params.image_quality ?? 'high'
       },
       timeout: 120000
     }),
@@ -913,17 +985,8 @@ export const api = {
     request('/api/synthesis/export/docx', {
       method: 'POST',
       body: {
-        topic: params.topic,
-        synthesis_id: params.synthesis_id,
-        template_type: params.template_type ?? 'PROCEDURAL',
-        title: params.title || params.topic,
-        author: params.author ?? 'NeuroSynth',
-        institution: params.institution,
-        image_quality: params.image_quality ?? 'high',
-        include_toc: params.include_toc ?? true,
-        include_abstract: params.include_abstract ?? true,
-        include_references: params.include_references ?? true,
-        include_figures: params.include_figures ?? true
+        ...buildExportBody(params),
+        image_quality: params.image_quality ?? 'high'
       },
       timeout: 120000
     }),
@@ -935,18 +998,7 @@ export const api = {
   exportMarkdown: (params) =>
     request('/api/synthesis/export/markdown', {
       method: 'POST',
-      body: {
-        topic: params.topic,
-        synthesis_id: params.synthesis_id,
-        template_type: params.template_type ?? 'PROCEDURAL',
-        title: params.title || params.topic,
-        author: params.author ?? 'NeuroSynth',
-        institution: params.institution,
-        include_toc: params.include_toc ?? true,
-        include_abstract: params.include_abstract ?? true,
-        include_references: params.include_references ?? true,
-        include_figures: params.include_figures ?? true
-      },
+      body: buildExportBody(params),
       timeout: 120000
     }),
 
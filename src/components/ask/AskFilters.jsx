@@ -0,0 +1,174 @@
+import React, { memo } from 'react';
+import ScopeEditor, { EMPTY_SCOPE, countScopeFilters, toScopeParams } from '../synthesis/ScopeEditor';
+import { CHUNK_TYPES, SPECIALTIES } from '../browse/BrowseFilters';
+import { Button } from '../ui';
+
+/**
+ * @typedef {import('../synthesis/ScopeEditor').SynthesisScopeValue & {
+ *   min_page: number|null,
+ *   max_page: number|null
+ * }} AskScope
+ * Retrieval scope for Ask questions: the synthesis source scope plus a page range
+ */
+
+/**
+ * @typedef {Object} AskFiltersProps
+ * @property {AskScope} value - Current scope
+ * @property {(value: AskScope) => void} onChange - Called with the updated scope
+ * @property {Object[]} documents - Documents available for selection
+ * @property {Error|null} [documentsError] - Why the document list could not be loaded
+ * @property {() => void} [onRetryDocuments] - Load the document list again
+ * @property {boolean} [disabled=false] - Disable all controls
+ */
+
+/**
+ * @typedef {Object} AskScopeFilter
+ * @property {string} key - Unique key
+ * @property {keyof AskScope} field - Scope field the filter comes from
+ * @property {string|number} [value] - Item within a list field
+ * @property {string} label - Display label
+ */
+
+/** @type {AskScope} */
+export const EMPTY_ASK_SCOPE = {
+  ...EMPTY_SCOPE,
+  min_page: null,
+  max_page: null,
+};
+
+/**
+ * Fill in missing fields of a stored scope
+ * @param {Partial<AskScope>|undefined} scope
+ * @returns {AskScope}
+ */
+export function normalizeAskScope(scope) {
+  return { ...EMPTY_ASK_SCOPE, ...scope };
+}
+
+/**
+ * Count the active filters in a scope
+ * @param {AskScope} scope
+ * @returns {number}
+ */
+export function countAskFilters(scope) {
+  return countScopeFilters(scope) + (scope.min_page || scope.max_page ? 1 : 0);
+}
+
+/**
+ * Convert a scope to the retrieval filters the RAG and chat endpoints take
+ * @param {AskScope} scope
+ * @returns {Object|undefined} Undefined when nothing is filtered
+ */
+export function toAskFilters(scope) {
+  if (countAskFilters(scope) === 0) return undefined;
+  return {
+    ...toScopeParams(scope),
+    page_range: scope.min_page || scope.max_page
+      ? [scope.min_page || 1, scope.max_page || 9999]
+      : undefined,
+  };
+}
+
+/**
+ * Resolve a vocabulary id to its display label
+ */
+function labelFor(id, vocabulary) {
+  return vocabulary.find((v) => v.id === id)?.label || id;
+}
+
+/**
+ * List the active filters in a scope with readable labels
+ * @param {AskScope} scope
+ * @param {Object[]} [documents=[]] - Known documents for resolving titles
+ * @returns {AskScopeFilter[]}
+ */
+export function describeAskScope(scope, documents = []) {
+  const filters = [
+    ...scope.document_ids.map((id) => {
+      const doc = documents.find((d) => d.id === id);
+      return { key: `doc-${id}`, field: 'document_ids', value: id, label: doc?.title || doc?.filename || id };
+    }),
+    ...scope.chunk_types.map((id) => ({
+      key: `type-${id}`,
+      field: 'chunk_types',
+      value: id,
+      label: labelFor(id, CHUNK_TYPES),
+    })),
+    ...scope.specialties.map((id) => ({
+      key: `spec-${id}`,
+      field: 'specialties',
+      value: id,
+      label: labelFor(id, SPECIALTIES),
+    })),
+  ];
+  if (scope.min_page || scope.max_page) {
+    filters.push({ key: 'pages', field: 'min_page', label: `Pages ${scope.min_page || 1}-${scope.max_page || '...'}` });
+  }
+  if (scope.min_authority > 0) {
+    filters.push({
+      key: 'authority',
+      field: 'min_authority',
+      label: `Authority ≥ ${Math.round(scope.min_authority * 100)}%`,
+    });
+  }
+  return filters;
+}
+
+/**
+ * Retrieval filters for Ask: documents, chunk types, specialties, minimum
+ * authority and page range
+ *
+ * @param {AskFiltersProps} props
+ */
+function AskFilters({ value, onChange, documents, documentsError, onRetryDocuments, disabled = false }) {
+  const setPage = (key, input) => onChange({ ...value, [key]: input ? Number(input) : null });
+
+  return (
+    <div className="ask-filters">
+      {documentsError && (
+        <div className="ask-filters-error" role="status">
+          <span>Documents could not be loaded, so filtering by document is unavailable. Other filters still apply.</span>
+          {onRetryDocuments && (
+            <Button type="button" variant="ghost" size="sm" onClick={onRetryDocuments}>
+              Retry
+            </Button>
+          )}
+        </div>
+      )}
+      <ScopeEditor
+        value={value}
+        onChange={onChange}
+        documents={documents}
+        disabled={disabled}
+        idPrefix="ask"
+      />
+
+      <div className="synthesis-scope-group">
+        <span className="synthesis-label">Page Range</span>
+        <div className="filter-range">
+          <input
+            type="number"
+            min="1"
+            placeholder="From"
+            value={value.min_page || ''}
+            onChange={(e) => setPage('min_page', e.target.value)}
+            disabled={disabled}
+            aria-label="First page"
+          />
+          <span className="filter-range-sep">to</span>
+          <input
+            type="number"
+            min="1"
+            placeholder="To"
+            value={value.max_page || ''}
+            onChange={(e) => setPage('max_page', e.target.value)}
+            disabled={disabled}
+            aria-label="Last page"
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default memo(AskFilters);
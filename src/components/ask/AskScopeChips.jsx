@@ -0,0 +1,68 @@
+import React, { memo } from 'react';
+import { Filter, X } from 'lucide-react';
+import { EMPTY_ASK_SCOPE, describeAskScope } from './AskFilters';
+
+/**
+ * @typedef {import('./AskFilters').AskScope} AskScope
+ */
+
+/**
+ * @typedef {Object} AskScopeChipsProps
+ * @property {AskScope} scope - Active scope
+ * @property {(scope: AskScope) => void} onChange - Called with the scope minus a removed filter
+ * @property {Object[]} [documents=[]] - Known documents for resolving titles
+ * @property {boolean} [disabled=false]
+ */
+
+/**
+ * Removable chips for the active Ask scope, shown above the input
+ *
+ * @param {AskScopeChipsProps} props
+ */
+function AskScopeChips({ scope, onChange, documents = [], disabled = false }) {
+  const remove = (filter) => {
+    if (Array.isArray(scope[filter.field])) {
+      onChange({ ...scope, [filter.field]: scope[filter.field].filter((v) => v !== filter.value) });
+    } else if (filter.field === 'min_page') {
+      onChange({ ...scope, min_page: null, max_page: null });
+    } else {
+      onChange({ ...scope, min_authority: 0 });
+    }
+  };
+
+  const chips = describeAskScope(scope, documents);
+
+  if (chips.length === 0) return null;
+
+  return (
+    <div className="synthesis-scope ask-scope-chips" aria-label="Question scope">
+      <Filter size={14} aria-hidden="true" />
+      {chips.map((chip) => (
+        <span key={chip.key} className="synthesis-scope-chip">
+          {chip.label}
+          <button
+            type="button"
+            className="ask-scope-chip-remove"
+            onClick={() => remove(chip)}
+            disabled={disabled}
+            aria-label={`Remove filter ${chip.label}`}
+          >
+            <X size={12} />
+          </button>
+        </span>
+      ))}
+      {chips.length > 1 && (
+        <button
+          type="button"
+          className="ask-scope-clear"
+          onClick={() => onChange(EMPTY_ASK_SCOPE)}
+          disabled={disabled}
+        >
+          Clear all
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default memo(AskScopeChips);
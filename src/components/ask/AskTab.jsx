@@ -1,70 +1,534 @@
-import React, { memo, useCallback, useState, useRef, useEffect } from 'react';
-import { MessageSquare, Send, Trash2 } from 'lucide-react';
+import React, { memo, useCallback, useMemo, useState, useRef, useEffect } from 'react';
+import { MessageSquare, Send, Square, SlidersHorizontal, Filter } from 'lucide-react';
 import ChatMessage from './ChatMessage';
-import { useRAG } from '../../hooks/useApi';
-import { Input, Button, Card, EmptyState } from '../ui';
+import ConversationSidebar from './ConversationSidebar';
+import ChatSettings, { DEFAULT_CHAT_SETTINGS, countChangedSettings, toChatParams } from './ChatSettings';
+import PinnedContext from './PinnedContext';
+import AskFilters, {
+  EMPTY_ASK_SCOPE,
+  normalizeAskScope,
+  countAskFilters,
+  toAskFilters,
+  describeAskScope,
+} from './AskFilters';
+import AskScopeChips from './AskScopeChips';
+import TranscriptExport from './TranscriptExport';
+import DocumentViewer from '../library/DocumentViewer';
+import { useConversations } from '../../hooks/useConversations';
+import { useChatStream, useDocuments } from '../../hooks/useApi';
+import { usePinnedContext } from '../../hooks/usePinnedContext';
+import { useSynthesisOutput } from '../../context/SynthesisContext';
+import { useToast } from '../../context/ToastContext';
+import {
+  conversationKey,
+  toChatCitation,
+  withPinnedContext,
+  withHistory,
+  findUsedPinned,
+  findCitedExcluded,
+} from '../../utils/conversations';
+import {
+  EMPTY_TREE,
+  appendMessage,
+  replaceMessage,
+  selectMessage,
+  siblingOf,
+  pathTo,
+  continuableConversation,
+  activePath,
+  treeFromMessages,
+  toStoredTree,
+} from '../../utils/conversationTree';
+import { truncate } from '../../utils/helpers';
+import { Input, Button, Card, EmptyState, Spinner } from '../ui';
 
 /**
  * RAG Q&A tab component
  */
 function AskTab() {
   const [question, setQuestion] = useState('');
-  const [messages, setMessages] = useState([]);
+  const [tree, setTree] = useState(EMPTY_TREE);
+  const [conversation, setConversation] = useState(null); // { id, source }
+  const [loading, setLoading] = useState(false);
+  const [loadingConversation, setLoadingConversation] = useState(false);
+  const [settings, setSettings] = useState(DEFAULT_CHAT_SETTINGS);
+  const [showSettings, setShowSettings] = useState(false);
+  const [openSource, setOpenSource] = useState(null); // { documentId, focus }
+  const [limitToPinned, setLimitToPinned] = useState(true);
+  const [scope, setScope] = useState(EMPTY_ASK_SCOPE);
+  const [showFilters, setShowFilters] = useState(false);
   const messagesEndRef = useRef(null);
+  // Key of the open conversation, so a selected conversation's history isn't
+  // replaced by one loaded earlier
+  const activeKeyRef = useRef(null);
+  // Bumped whenever a conversation opens or a new one starts, so late replies
+  // don't land in another one
+  const viewRef = useRef(0);
+  // Tree as last saved or loaded, so unchanged trees aren't written back
+  const savedTreeRef = useRef(null);
+  const toast = useToast();
+  const chat = useChatStream();
+  const { send: sendStream, stop: stopStream } = chat;
+  const { result: chapter, topic: chapterTopic } = useSynthesisOutput();
+  const chapterId = chapter?.synthesis_id;
+  const { pinned, received, pin, unpin, clear: clearPinned } = usePinnedContext();
+  const { documents, error: documentsError, fetchDocuments } = useDocuments();
 
-  const { answer, sources, loading, error, ask, clearHistory } = useRAG();
+  const {
+    conversations,
+    matches,
+    query,
+    setQuery,
+    loading: listLoading,
+    error: listError,
+    refresh,
+    loadMessages,
+    send,
+    rename,
+    loadDetails,
+    saveDetails,
+    remove,
+  } = useConversations();
+
+  // Messages on the branch being viewed
+  const messages = useMemo(() => activePath(tree), [tree]);
+
+  const activeKey = conversationKey(conversation);
+  const settingsChangeCount = countChangedSettings(settings);
+  const filterCount = countAskFilters(scope);
+  const pinnedIds = useMemo(() => pinned.map((chunk) => chunk.chunkId), [pinned]);
+
+  // Which pinned chunks the latest grounded answer cited
+  const lastPinnedTurn = useMemo(() => {
+    for (let i = messages.length - 1; i > 0; i--) {
+      if (messages[i].pinnedUsed) {
+        return {
+          askedIds: (messages[i - 1].pinned || []).map((chunk) => chunk.chunkId),
+          usedIds: messages[i].pinnedUsed,
+        };
+      }
+    }
+    return null;
+  }, [messages]);
+
+  // What to re-run retrieval with for each answer; answers loaded from the
+  // server fall back to their question under the current scope and settings
+  const retrievals = useMemo(() => messages.map((msg, i) => {
+    if (msg.role !== 'assistant' || msg.isStreaming) return undefined;
+    const prev = messages[i - 1]?.role === 'user' ? messages[i - 1] : null;
+    const pinnedChunks = prev?.pinned || [];
+    if (msg.retrieval) return { ...msg.retrieval, recorded: true, pinned: pinnedChunks };
+    return prev ? {
+      question: prev.content,
+      maxChunks: settings.max_context_chunks,
+      filters: toAskFilters(scope),
+      recorded: false,
+      pinned: pinnedChunks,
+    } : undefined;
+  }), [messages, scope, settings.max_context_chunks]);
+
+  // Without documents the filters still work, minus choosing documents
+  const loadDocuments = useCallback(() => {
+    fetchDocuments().catch((err) => {
+      console.warn('Documents unavailable for Ask filters:', err);
+    });
+  }, [fetchDocuments]);
+
+  useEffect(() => {
+    loadDocuments();
+  }, [loadDocuments]);
 
-  // Scroll to bottom on new messages
+  useEffect(() => {
+    if (received) {
+      toast.info(`Pinned "${received.documentTitle || 'chunk'}" from Browse as context`);
+    }
+  }, [received, toast]);
+
+  // Scroll to bottom on new messages and as answers stream in, but not when
+  // switching branches
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [messages, answer]);
+  }, [messages.length, chat.answer, chat.images.length]);
 
-  // Update messages when streaming completes
+  // Keep the branch structure with the conversation once answers settle
   useEffect(() => {
-    if (!loading && answer) {
-      setMessages((prev) => {
-        const last = prev[prev.length - 1];
-        if (last?.role === 'assistant' && last.isStreaming) {
-          return [
-            ...prev.slice(0, -1),
-            { role: 'assistant', content: answer, sources },
-          ];
-        }
-        return prev;
+    if (!conversation || loading || loadingConversation || messages.length === 0) return;
+    const stored = toStoredTree(tree);
+    const serialized = JSON.stringify(stored);
+    if (serialized === savedTreeRef.current) return;
+    savedTreeRef.current = serialized;
+    saveDetails(conversation, { tree: stored }).catch((err) => {
+      console.warn('Failed to save conversation branches:', err);
+    });
+  }, [tree, messages.length, conversation, loading, loadingConversation, saveDetails]);
+
+  const openConversation = useCallback((next) => {
+    activeKeyRef.current = conversationKey(next);
+    viewRef.current += 1;
+    setConversation(next);
+  }, []);
+
+  const handleSelect = useCallback(async (summary) => {
+    if (summary.key === activeKeyRef.current) return;
+
+    const next = { id: summary.id, source: summary.source };
+    stopStream();
+    openConversation(next);
+    setTree(EMPTY_TREE);
+    setLoading(false);
+    setLoadingConversation(true);
+
+    try {
+      const [history, details] = await Promise.all([
+        loadMessages(next),
+        loadDetails(next).catch(() => null),
+      ]);
+      if (activeKeyRef.current === summary.key) {
+        // Branches live in other server conversations, so the stored tree
+        // is the only record of them
+        const loaded = details?.tree?.nodes ? details.tree : treeFromMessages(history);
+        savedTreeRef.current = JSON.stringify(toStoredTree(loaded));
+        setTree(loaded);
+        setScope(normalizeAskScope(details?.scope));
+      }
+    } catch (err) {
+      if (activeKeyRef.current === summary.key) {
+        toast.error(err.message || 'Failed to load conversation');
+      }
+    } finally {
+      if (activeKeyRef.current === summary.key) {
+        setLoadingConversation(false);
+      }
+    }
+  }, [openConversation, loadMessages, loadDetails, stopStream, toast]);
+
+  const handleNew = useCallback(() => {
+    stopStream();
+    openConversation(null);
+    setTree(EMPTY_TREE);
+    setScope(EMPTY_ASK_SCOPE);
+    setLoading(false);
+    setLoadingConversation(false);
+  }, [openConversation, stopStream]);
+
+  const handleRename = useCallback(async (summary, title) => {
+    try {
+      await rename(summary, title);
+    } catch (err) {
+      toast.error(err.message || 'Failed to rename conversation');
+    }
+  }, [rename, toast]);
+
+  const handleDelete = useCallback(async (summary) => {
+    if (!confirm(`Delete "${summary.title}"?`)) return;
+    try {
+      await remove(summary);
+      if (summary.key === activeKeyRef.current) {
+        handleNew();
+      }
+      toast.success('Conversation deleted');
+    } catch (err) {
+      toast.error(err.message || 'Failed to delete conversation');
+    }
+  }, [remove, handleNew, toast]);
+
+  /**
+   * Send through the non-streaming RAG conversation endpoint
+   * @param {string|null} targetId - RAG conversation to continue, or null to start one
+   * @returns {Promise<{conversation: Object, message: Object}>}
+   */
+  const askConversation = useCallback(async (message, filters, targetId) => {
+    const reply = await send(message, targetId ? { id: targetId, source: 'rag' } : null, { filters });
+    return {
+      conversation: reply.conversation,
+      message: { role: 'assistant', content: reply.answer, sources: reply.sources },
+    };
+  }, [send]);
+
+  /**
+   * Stream an answer through the enhanced chat endpoint
+   * @param {string|null} targetId - Chat conversation to continue, or null to start one
+   * @returns {Promise<{conversation: Object|null, message: Object}>}
+   */
+  const askStream = useCallback(async (message, filters, maxChunks, targetId) => {
+    const reply = await sendStream(message, {
+      ...toChatParams(settings, chapterId),
+      ...(maxChunks && { max_context_chunks: maxChunks }),
+      conversation_id: targetId || undefined,
+      filters,
+    });
+    refresh();
+    return {
+      conversation: reply.conversationId ? { id: reply.conversationId, source: 'chat' } : null,
+      message: {
+        role: 'assistant',
+        content: reply.answer || (reply.aborted ? '_Stopped before an answer arrived._' : ''),
+        sources: reply.citations,
+        images: reply.images,
+        usage: reply.usage,
+      },
+    };
+  }, [sendStream, settings, chapterId, refresh]);
+
+  /**
+   * Ask one question and add the exchange to the conversation tree. By
+   * default it continues the branch being viewed; regenerating and editing
+   * add a sibling branch instead. The question goes to the server
+   * conversation its branch continues, or to a new one that is sent the
+   * branch's earlier turns.
+   * @param {string} message - Question as the user typed it
+   * @param {Object} turn
+   * @param {import('../../utils/conversations').PinnedChunk[]} turn.grounding - Chunks whose text travels with the question
+   * @param {Object} [turn.filters] - Retrieval filters, including any exclude_chunk_ids
+   * @param {number} [turn.maxChunks] - Context chunk budget, when it differs from the settings
+   * @param {string|null} [turn.parentId] - Message to add the question under
+   * @param {string} [turn.questionId] - Existing question to answer again, instead of adding one
+   */
+  const askTurn = useCallback(async (message, {
+    grounding,
+    filters,
+    maxChunks,
+    parentId = messages[messages.length - 1]?.id ?? null,
+    questionId,
+  }) => {
+    const view = viewRef.current;
+    const askedScope = scope;
+    const followsId = questionId ? tree.nodes[questionId].parentId : parentId;
+    const targetId = continuableConversation(tree, followsId, conversation?.id);
+    const history = targetId ? [] : pathTo(tree, followsId);
+    const outgoing = withHistory(withPinnedContext(message, grounding), history);
+    const retrieval = {
+      question: message,
+      maxChunks: maxChunks ?? settings.max_context_chunks,
+      filters,
+    };
+    const userMessage = {
+      role: 'user',
+      content: message,
+      pinned: grounding.length ? grounding : undefined,
+    };
+    const assistantMessage = { role: 'assistant', content: '', isStreaming: true };
+
+    let next = tree;
+    let askedId = questionId;
+    if (!askedId) {
+      const added = appendMessage(next, parentId, userMessage);
+      next = added.tree;
+      askedId = added.id;
+    }
+    const placeholder = appendMessage(next, askedId, assistantMessage);
+    setTree(placeholder.tree);
+    setLoading(true);
+
+    let reply;
+    try {
+      reply = conversation?.source === 'rag'
+        ? await askConversation(outgoing, filters, targetId)
+        : await askStream(outgoing, filters, maxChunks, targetId);
+      // Record the filters the answer was generated under, including any
+      // document limit from grounding, for transcripts
+      reply.message = {
+        ...reply.message,
+        retrieval,
+        scope: { ...askedScope, document_ids: filters?.document_ids || [] },
+      };
+      const citations = (reply.message.sources || []).map(toChatCitation);
+      if (grounding.length) {
+        reply.message.pinnedUsed = findUsedPinned(grounding, citations);
+      }
+      if (filters?.exclude_chunk_ids) {
+        reply.message.excludedCited = findCitedExcluded(filters.exclude_chunk_ids, citations);
+      }
+    } catch (err) {
+      reply = {
+        conversation: null,
+        message: {
+          role: 'assistant',
+          content: 'Sorry, I encountered an error. Please try again.',
+        },
+      };
+    }
+
+    const conversationId = reply.conversation?.id || targetId || undefined;
+    if (conversation && !targetId && reply.conversation) {
+      saveDetails(reply.conversation, { branchOf: conversation.id }).catch((err) => {
+        console.warn('Failed to save conversation branch:', err);
       });
     }
-  }, [loading, answer, sources]);
+
+    if (viewRef.current !== view) return;
+    if (!conversation && reply.conversation) {
+      openConversation(reply.conversation);
+      if (countAskFilters(askedScope) > 0) {
+        saveDetails(reply.conversation, { scope: askedScope }).catch((err) => {
+          console.warn('Failed to save conversation scope:', err);
+        });
+      }
+    }
+    setTree((prev) => {
+      const answered = replaceMessage(prev, placeholder.id, { ...reply.message, conversationId });
+      return askedId === questionId
+        ? answered
+        : replaceMessage(answered, askedId, { ...answered.nodes[askedId], conversationId });
+    });
+    setLoading(false);
+  }, [
+    messages,
+    tree,
+    scope,
+    settings,
+    conversation,
+    askConversation,
+    askStream,
+    openConversation,
+    saveDetails,
+  ]);
+
+  /**
+   * Retrieval filters for a question: the scope, plus the grounding chunks'
+   * documents when retrieval is limited to pinned documents
+   */
+  const filtersFor = useCallback((grounding) => {
+    const filters = toAskFilters(scope);
+    const documentIds = grounding.map((chunk) => chunk.documentId).filter(Boolean);
+    if (!limitToPinned || documentIds.length === 0) return filters;
+    return {
+      ...filters,
+      document_ids: [...new Set([...(filters?.document_ids || []), ...documentIds])],
+    };
+  }, [scope, limitToPinned]);
 
   const handleSubmit = useCallback(
-    async (e) => {
+    (e) => {
       e?.preventDefault();
-      if (!question.trim() || loading) return;
-
-      const userMessage = { role: 'user', content: question };
-      const assistantMessage = { role: 'assistant', content: '', isStreaming: true };
+      if (!question.trim() || loading || loadingConversation) return;
 
-      setMessages((prev) => [...prev, userMessage, assistantMessage]);
+      // Pinned chunks ground this question: their text travels with the
+      // message and retrieval can be limited to their documents
       setQuestion('');
-
-      try {
-        await ask(question, { stream: true });
-      } catch (err) {
-        setMessages((prev) => [
-          ...prev.slice(0, -1),
-          {
-            role: 'assistant',
-            content: 'Sorry, I encountered an error. Please try again.',
-          },
-        ]);
-      }
+      askTurn(question, { grounding: pinned, filters: filtersFor(pinned) });
     },
-    [question, loading, ask]
+    [question, loading, loadingConversation, pinned, filtersFor, askTurn]
   );
 
-  const handleClear = useCallback(async () => {
-    await clearHistory();
-    setMessages([]);
-  }, [clearHistory]);
+  /**
+   * Answer a question again as a sibling of the existing answer. The
+   * existing answer is in its server conversation's history, so the new one
+   * is asked in a new conversation.
+   */
+  const handleRegenerate = useCallback((answerId) => {
+    const answer = tree.nodes[answerId];
+    const asked = answer && tree.nodes[answer.parentId];
+    if (!asked || loading || loadingConversation) return;
+    const grounding = asked.pinned || [];
+    askTurn(asked.content, {
+      grounding,
+      filters: filtersFor(grounding),
+      maxChunks: answer.retrieval?.maxChunks,
+      questionId: asked.id,
+    });
+  }, [tree, loading, loadingConversation, filtersFor, askTurn]);
+
+  /**
+   * Send an edited question as a sibling of the original, in a new server
+   * conversation like any branch
+   */
+  const handleEdit = useCallback((questionId, content) => {
+    const asked = tree.nodes[questionId];
+    if (!asked || !content.trim() || loading || loadingConversation) return;
+    const grounding = asked.pinned || [];
+    askTurn(content, {
+      grounding,
+      filters: filtersFor(grounding),
+      parentId: asked.parentId,
+    });
+  }, [tree, loading, loadingConversation, filtersFor, askTurn]);
+
+  const handleBranch = useCallback((id, step) => {
+    const sibling = siblingOf(tree, id, step);
+    if (sibling && !loading) setTree(selectMessage(tree, sibling));
+  }, [tree, loading]);
+
+  /**
+   * Answer a question again, as a sibling of the existing answer, with
+   * retrieved chunks excluded. The documented filters have no exclusion
+   * field, so exclude_chunk_ids may be ignored by the server; askTurn flags
+   * answers that cite an excluded chunk anyway. Excluded pinned chunks are
+   * left out of the grounding text.
+   */
+  const handleReask = useCallback((answerId, excludedIds) => {
+    const answer = tree.nodes[answerId];
+    const asked = answer && tree.nodes[answer.parentId];
+    if (!asked || excludedIds.length === 0 || loading || loadingConversation) return;
+    const grounding = (asked.pinned || []).filter((chunk) => !excludedIds.includes(chunk.chunkId));
+    const filters = answer.retrieval ? answer.retrieval.filters : filtersFor(grounding);
+    askTurn(asked.content, {
+      grounding,
+      filters: {
+        ...filters,
+        exclude_chunk_ids: [...new Set([...(filters?.exclude_chunk_ids || []), ...excludedIds])],
+      },
+      maxChunks: answer.retrieval?.maxChunks,
+      questionId: asked.id,
+    });
+  }, [tree, loading, loadingConversation, filtersFor, askTurn]);
+
+  const handleScopeChange = useCallback((next) => {
+    setScope(next);
+    if (conversation) {
+      saveDetails(conversation, { scope: next }).catch((err) => {
+        console.warn('Failed to save conversation scope:', err);
+      });
+    }
+  }, [conversation, saveDetails]);
+
+  const handleOpenSource = useCallback((citation) => {
+    setOpenSource({
+      documentId: citation.documentId,
+      focus: { chunkId: citation.chunkId, page: citation.page, text: citation.text },
+    });
+  }, []);
+
+  const handleCloseSource = useCallback(() => setOpenSource(null), []);
+
+  const handleOpenPinned = useCallback((chunk) => {
+    handleOpenSource({
+      documentId: chunk.documentId,
+      chunkId: chunk.chunkId,
+      page: chunk.pageNumber,
+    });
+  }, [handleOpenSource]);
+
+  const handleTogglePin = useCallback((citation) => {
+    if (pinnedIds.includes(citation.chunkId)) {
+      unpin(citation.chunkId);
+      return;
+    }
+    pin({
+      chunkId: citation.chunkId,
+      content: truncate(citation.text || '', 500),
+      documentId: citation.documentId,
+      documentTitle: citation.title,
+      pageNumber: citation.page,
+    });
+  }, [pinnedIds, pin, unpin]);
+
+  /**
+   * The branch being viewed as transcript input, with filters as readable labels
+   */
+  const getTranscript = useCallback(() => {
+    const labels = (value) => describeAskScope(normalizeAskScope(value), documents).map((f) => f.label);
+    const firstQuestion = messages.find((msg) => msg.role === 'user')?.content || '';
+    return {
+      title: conversations.find((c) => c.key === activeKey)?.title
+        || truncate(firstQuestion, 60)
+        || 'Ask conversation',
+      messages: messages
+        .filter((msg) => !msg.isStreaming)
+        .map((msg) => ({ ...msg, filters: msg.scope ? labels(msg.scope) : undefined })),
+      filters: labels(scope),
+    };
+  }, [messages, conversations, activeKey, scope, documents]);
 
   const handleKeyDown = useCallback(
     (e) => {
@@ -86,71 +550,201 @@ function AskTab() {
         <p className="tab-description">
           Ask questions about your documents using RAG-powered AI
         </p>
-        {messages.length > 0 && (
-          <Button
-            variant="ghost"
-            size="sm"
-            icon={<Trash2 size={16} />}
-            onClick={handleClear}
-            aria-label="Clear conversation"
-          >
-            Clear
-          </Button>
-        )}
       </header>
 
-      <Card className="chat-container">
-        <div
-          className="chat-messages"
-          role="log"
-          aria-label="Conversation history"
-          aria-live="polite"
-        >
-          {messages.length === 0 ? (
-            <EmptyState
-              icon={<MessageSquare size={48} />}
-              title="Start a Conversation"
-              description="Ask a question about your documents to get AI-powered answers with source citations."
-            />
-          ) : (
-            <>
-              {messages.map((msg, i) => (
-                <ChatMessage
-                  key={i}
-                  role={msg.role}
-                  content={msg.isStreaming ? answer : msg.content}
-                  sources={msg.sources}
-                  isStreaming={msg.isStreaming && loading}
-                />
-              ))}
-              <div ref={messagesEndRef} />
-            </>
+      <div className="ask-layout">
+        <ConversationSidebar
+          conversations={matches}
+          total={conversations.length}
+          query={query}
+          onQueryChange={setQuery}
+          activeKey={activeKey}
+          onSelect={handleSelect}
+          onNew={handleNew}
+          onRename={handleRename}
+          onDelete={handleDelete}
+          loading={listLoading}
+          error={listError}
+          onRetry={refresh}
+        />
+
+        <Card className="chat-container">
+          {messages.length > 0 && !loadingConversation && (
+            <div className="chat-toolbar">
+              <TranscriptExport getTranscript={getTranscript} disabled={loading} />
+            </div>
           )}
-        </div>
-
-        <form onSubmit={handleSubmit} className="chat-input-form">
-          <div className="chat-input-wrapper">
-            <Input
-              value={question}
-              onChange={(e) => setQuestion(e.target.value)}
-              onKeyDown={handleKeyDown}
-              placeholder="Ask a question about your documents..."
+          <div
+            className="chat-messages"
+            role="log"
+            aria-label="Conversation history"
+            aria-live="polite"
+          >
+            {loadingConversation ? (
+              <Spinner label="Loading conversation..." />
+            ) : messages.length === 0 ? (
+              <EmptyState
+                icon={<MessageSquare size={48} />}
+                title="Start a Conversation"
+                description="Ask a question about your documents to get AI-powered answers with source citations."
+              />
+            ) : (
+              <>
+                {messages.map((msg, i) => (
+                  msg.isStreaming && chat.streaming ? (
+                    <ChatMessage
+                      key={msg.id}
+                      role="assistant"
+                      content={chat.answer}
+                      sources={chat.citations}
+                      images={chat.images}
+                      isStreaming
+                      onOpenSource={handleOpenSource}
+                      pinnedIds={pinnedIds}
+                    />
+                  ) : (
+                    <ChatMessage
+                      key={msg.id}
+                      id={msg.id}
+                      role={msg.role}
+                      content={msg.content}
+                      sources={msg.sources}
+                      images={msg.images}
+                      usage={msg.usage}
+                      isStreaming={msg.isStreaming && loading}
+                      onOpenSource={handleOpenSource}
+                      pinned={msg.pinned}
+                      pinnedIds={pinnedIds}
+                      onTogglePin={handleTogglePin}
+                      retrieval={retrievals[i]}
+                      onReask={handleReask}
+                      onOpenChunk={handleOpenPinned}
+                      excludedCited={msg.excludedCited}
+                      branch={msg.branch}
+                      onBranch={handleBranch}
+                      onRegenerate={handleRegenerate}
+                      onEdit={handleEdit}
+                      busy={loading || loadingConversation}
+                    />
+                  )
+                ))}
+                <div ref={messagesEndRef} />
+              </>
+            )}
+          </div>
+
+          <form onSubmit={handleSubmit} className="chat-input-form">
+            <AskScopeChips
+              scope={scope}
+              onChange={handleScopeChange}
+              documents={documents}
               disabled={loading}
-              aria-label="Your question"
             />
-            <Button
-              type="submit"
-              disabled={!question.trim() || loading}
-              aria-label="Send question"
-            >
-              <Send size={18} aria-hidden="true" />
-            </Button>
-          </div>
-          <p className="chat-hint">
-            Press Enter to send, Shift+Enter for new line
-          </p>
-        </form>
-      </Card>
+            <PinnedContext
+              pinned={pinned}
+              lastTurn={lastPinnedTurn}
+              limitToDocuments={limitToPinned}
+              onLimitChange={setLimitToPinned}
+              onUnpin={unpin}
+              onClear={clearPinned}
+              onOpen={handleOpenPinned}
+              disabled={loading}
+            />
+            <div className="chat-input-wrapper">
+              <Input
+                value={question}
+                onChange={(e) => setQuestion(e.target.value)}
+                onKeyDown={handleKeyDown}
+                placeholder="Ask a question about your documents..."
+                disabled={loading || loadingConversation}
+                aria-label="Your question"
+              />
+              {chat.streaming ? (
+                <Button
+                  type="button"
+                  variant="danger"
+                  onClick={stopStream}
+                  aria-label="Stop answer"
+                >
+                  <Square size={18} aria-hidden="true" />
+                </Button>
+              ) : (
+                <Button
+                  type="submit"
+                  disabled={!question.trim() || loading || loadingConversation}
+                  aria-label="Send question"
+                >
+                  <Send size={18} aria-hidden="true" />
+                </Button>
+              )}
+            </div>
+            <div className="chat-input-footer">
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                icon={<Filter size={14} />}
+                onClick={() => setShowFilters(!showFilters)}
+                aria-expanded={showFilters}
+                aria-controls="ask-filters"
+              >
+                {filterCount > 0 ? `Filters: ${filterCount} active` : 'Filters'}
+              </Button>
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                icon={<SlidersHorizontal size={14} />}
+                onClick={() => setShowSettings(!showSettings)}
+                aria-expanded={showSettings}
+                aria-controls="chat-settings"
+              >
+                {settingsChangeCount > 0
+                  ? `Answer settings: ${settingsChangeCount} changed`
+                  : 'Answer settings'}
+              </Button>
+              <p className="chat-hint">
+                Press Enter to send, Shift+Enter for new line
+              </p>
+            </div>
+            {showFilters && (
+              <div id="ask-filters">
+                <AskFilters
+                  value={scope}
+                  onChange={handleScopeChange}
+                  documents={documents}
+                  documentsError={documentsError}
+                  onRetryDocuments={loadDocuments}
+                  disabled={loading}
+                />
+              </div>
+            )}
+            {showSettings && (
+              <div id="chat-settings">
+                {conversation?.source === 'rag' && (
+                  <p className="chat-settings-note">
+                    This conversation continues through the standard RAG endpoint, so these settings apply to new conversations only.
+                  </p>
+                )}
+                <ChatSettings
+                  value={settings}
+                  onChange={setSettings}
+                  chapterTopic={chapterId ? chapter?.title || chapterTopic : null}
+                  disabled={loading}
+                />
+              </div>
+            )}
+          </form>
+        </Card>
+      </div>
+
+      {openSource && (
+        <DocumentViewer
+          documentId={openSource.documentId}
+          focus={openSource.focus}
+          onClose={handleCloseSource}
+        />
+      )}
     </div>
   );
 }
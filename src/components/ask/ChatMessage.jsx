@@ -1,21 +1,135 @@
-import React, { memo } from 'react';
-import { User, Bot, Copy, Check } from 'lucide-react';
-import { parseMarkdown, copyToClipboard } from '../../utils/helpers';
+import React, { memo, useMemo, useRef, useState } from 'react';
+import { User, Bot, Copy, Check, Pin, ScanSearch, RefreshCw, Pencil, ChevronLeft, ChevronRight } from 'lucide-react';
+import ChatSources from './ChatSources';
+import RetrievalInspector from './RetrievalInspector';
+import { api } from '../../api/client';
+import { parseMarkdown, copyToClipboard, truncate } from '../../utils/helpers';
+import { toChatCitation } from '../../utils/conversations';
+import { ImagePreviewModal, Button } from '../ui';
 
 /**
  * @typedef {Object} ChatMessageProps
  * @property {'user'|'assistant'} role
  * @property {string} content
  * @property {Array} [sources]
+ * @property {import('../../utils/conversations').ChatImage[]} [images] - Figures shown with the answer
+ * @property {import('../../utils/conversations').TokenUsage|null} [usage] - Token usage for the turn
  * @property {boolean} [isStreaming]
+ * @property {(citation: import('../../utils/conversations').ChatCitation) => void} [onOpenSource] - Open a cited chunk
+ * @property {import('../../utils/conversations').PinnedChunk[]} [pinned] - Pinned chunks a question was grounded on
+ * @property {string[]} [pinnedIds] - Currently pinned chunk IDs
+ * @property {(citation: import('../../utils/conversations').ChatCitation) => void} [onTogglePin] - Pin or unpin a cited chunk
+ * @property {import('./RetrievalInspector').InspectedRetrieval} [retrieval] - What an answer was asked with, for inspecting retrieval
+ * @property {(id: string, excludedIds: string[]) => void} [onReask] - Ask again without the excluded chunks
+ * @property {(chunk: import('../../utils/conversations').RetrievedChunk) => void} [onOpenChunk] - Open a retrieved chunk
+ * @property {number[]} [excludedCited] - Citation numbers of excluded chunks the answer cited anyway
+ * @property {string} [id] - Message ID in the conversation tree
+ * @property {import('../../utils/conversationTree').BranchInfo} [branch] - Position among sibling branches
+ * @property {(id: string, step: number) => void} [onBranch] - Show the previous (-1) or next (1) sibling branch
+ * @property {(id: string) => void} [onRegenerate] - Answer the question again as a new branch
+ * @property {(id: string, content: string) => void} [onEdit] - Send an edited question as a new branch
+ * @property {boolean} [busy] - Whether another answer is in progress
  */
 
+const PREVIEW_WIDTH = 320;
+
+const getImageSrc = (img) => img.url || api.getImageUrl(img.file_path || img.id);
+
+/**
+ * Format token usage as "1,234 tokens (1,000 in · 234 out)"
+ * @param {import('../../utils/conversations').TokenUsage} usage
+ * @returns {string}
+ */
+function formatUsage(usage) {
+  const total = `${usage.total.toLocaleString()} tokens`;
+  if (usage.input == null || usage.output == null) return total;
+  return `${total} (${usage.input.toLocaleString()} in · ${usage.output.toLocaleString()} out)`;
+}
+
+/**
+ * Turn citation markers like [1] or [1, 3] in rendered answer HTML into
+ * buttons, for the numbers that have a citation
+ * @param {string} html
+ * @param {Map<number, import('../../utils/conversations').ChatCitation>} byNumber
+ * @returns {string}
+ */
+function linkCitations(html, byNumber) {
+  if (byNumber.size === 0) return html;
+  return html.replace(/\[(\d+(?:\s*,\s*\d+)*)\]/g, (marker, list) => {
+    const numbers = list.split(',').map((n) => Number(n.trim()));
+    if (!numbers.some((n) => byNumber.has(n))) return marker;
+    return numbers.map((n) => (byNumber.has(n)
+      ? `<button type="button" class="chat-citation" data-citation="${n}" aria-label="Source ${n}">${n}</button>`
+      : `[${n}]`)).join('');
+  });
+}
+
 /**
  * Chat message component
  * @param {ChatMessageProps} props
  */
-function ChatMessage({ role, content, sources, isStreaming }) {
-  const [copied, setCopied] = React.useState(false);
+function ChatMessage({
+  role,
+  content,
+  sources,
+  images,
+  usage,
+  isStreaming,
+  onOpenSource,
+  pinned,
+  pinnedIds,
+  onTogglePin,
+  retrieval,
+  onReask,
+  onOpenChunk,
+  excludedCited,
+  id,
+  branch,
+  onBranch,
+  onRegenerate,
+  onEdit,
+  busy = false,
+}) {
+  const [copied, setCopied] = useState(false);
+  const [draft, setDraft] = useState(null); // Edited question, while editing
+  const [inspecting, setInspecting] = useState(false);
+  const [previewImage, setPreviewImage] = useState(null);
+  const [preview, setPreview] = useState(null); // { citation, top, left }
+  const contentRef = useRef(null);
+
+  const citations = useMemo(() => (sources || []).map(toChatCitation), [sources]);
+  const byNumber = useMemo(() => new Map(citations.map((c) => [c.number, c])), [citations]);
+  const html = useMemo(() => linkCitations(parseMarkdown(content), byNumber), [content, byNumber]);
+
+  const citationAt = (target) => {
+    const marker = target.closest?.('[data-citation]');
+    return marker ? { marker, citation: byNumber.get(Number(marker.dataset.citation)) } : {};
+  };
+
+  // Hover and focus show the cited chunk under the marker
+  const showPreview = (e) => {
+    const { marker, citation } = citationAt(e.target);
+    if (!citation || !contentRef.current) return;
+    const box = contentRef.current.getBoundingClientRect();
+    const rect = marker.getBoundingClientRect();
+    setPreview({
+      citation,
+      top: rect.bottom - box.top + 4,
+      left: Math.max(0, Math.min(rect.left - box.left, box.width - PREVIEW_WIDTH)),
+    });
+  };
+
+  const hidePreview = (e) => {
+    if (citationAt(e.target).marker) setPreview(null);
+  };
+
+  const handleTextClick = (e) => {
+    const { citation } = citationAt(e.target);
+    if (!citation) return;
+    e.preventDefault();
+    setPreview(null);
+    if (citation.documentId && onOpenSource) onOpenSource(citation);
+  };
 
   const handleCopy = async () => {
     await copyToClipboard(content);
@@ -23,6 +137,13 @@ function ChatMessage({ role, content, sources, isStreaming }) {
     setTimeout(() => setCopied(false), 2000);
   };
 
+  const handleEditSubmit = (e) => {
+    e.preventDefault();
+    if (!draft.trim() || busy) return;
+    onEdit(id, draft);
+    setDraft(null);
+  };
+
   const isUser = role === 'user';
   const Icon = isUser ? User : Bot;
 
@@ -35,7 +156,7 @@ function ChatMessage({ role, content, sources, isStreaming }) {
         <Icon size={20} />
       </div>
 
-      <div className="chat-message-content">
+      <div className="chat-message-content" ref={contentRef}>
         <header className="chat-message-header">
           <span className="chat-message-role">
             {isUser ? 'You' : 'NeuroSynth'}
@@ -50,33 +171,200 @@ function ChatMessage({ role, content, sources, isStreaming }) {
               {copied ? <Check size={14} /> : <Copy size={14} />}
             </button>
           )}
+          {!isUser && retrieval && !isStreaming && (
+            <button
+              type="button"
+              className={`chat-message-copy ${inspecting ? 'active' : ''}`}
+              onClick={() => setInspecting(!inspecting)}
+              aria-expanded={inspecting}
+              aria-label="Inspect retrieval"
+              title="Inspect retrieval"
+            >
+              <ScanSearch size={14} />
+            </button>
+          )}
+          {!isUser && onRegenerate && !isStreaming && (
+            <button
+              type="button"
+              className="chat-message-copy"
+              onClick={() => onRegenerate(id)}
+              disabled={busy}
+              aria-label="Regenerate answer"
+              title="Regenerate answer"
+            >
+              <RefreshCw size={14} />
+            </button>
+          )}
+          {isUser && onEdit && draft === null && (
+            <button
+              type="button"
+              className="chat-message-copy"
+              onClick={() => setDraft(content)}
+              disabled={busy}
+              aria-label="Edit question"
+              title="Edit and resend"
+            >
+              <Pencil size={14} />
+            </button>
+          )}
+          {branch && branch.count > 1 && onBranch && (
+            <span className="chat-branch-nav" aria-label={`Branch ${branch.index + 1} of ${branch.count}`}>
+              <button
+                type="button"
+                className="chat-message-copy"
+                onClick={() => onBranch(id, -1)}
+                disabled={busy || branch.index === 0}
+                aria-label="Previous branch"
+              >
+                <ChevronLeft size={14} />
+              </button>
+              {branch.index + 1}/{branch.count}
+              <button
+                type="button"
+                className="chat-message-copy"
+                onClick={() => onBranch(id, 1)}
+                disabled={busy || branch.index === branch.count - 1}
+                aria-label="Next branch"
+              >
+                <ChevronRight size={14} />
+              </button>
+            </span>
+          )}
         </header>
 
+        {draft !== null && (
+          <form className="chat-message-edit" onSubmit={handleEditSubmit}>
+            <textarea
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              rows={3}
+              aria-label="Edited question"
+              autoFocus
+            />
+            <div className="chat-message-edit-actions">
+              <Button type="button" variant="ghost" size="sm" onClick={() => setDraft(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" variant="primary" size="sm" disabled={!draft.trim() || busy}>
+                Send as new branch
+              </Button>
+            </div>
+          </form>
+        )}
+
         <div
           className="chat-message-text"
+          hidden={draft !== null}
+          onClick={handleTextClick}
+          onMouseOver={showPreview}
+          onMouseOut={hidePreview}
+          onFocus={showPreview}
+          onBlur={hidePreview}
           dangerouslySetInnerHTML={{
-            __html: parseMarkdown(content),
+            __html: html,
           }}
         />
 
+        {preview && (
+          <div
+            className="chat-citation-preview"
+            style={{ top: preview.top, left: preview.left, width: PREVIEW_WIDTH }}
+            role="tooltip"
+          >
+            <strong>
+              [{preview.citation.number}] {preview.citation.title}
+              {preview.citation.page && ` (p. ${preview.citation.page})`}
+            </strong>
+            <p>{preview.citation.text ? truncate(preview.citation.text, 300) : 'No excerpt available.'}</p>
+            {preview.citation.documentId && onOpenSource && (
+              <span className="chat-citation-preview-hint">Click to open in the document</span>
+            )}
+          </div>
+        )}
+
         {isStreaming && (
           <span className="chat-message-cursor" aria-label="Typing..." />
         )}
 
-        {sources && sources.length > 0 && (
-          <footer className="chat-message-sources">
-            <span className="sources-label">Sources:</span>
-            <ul className="sources-list">
-              {sources.map((source, i) => (
-                <li key={i} className="source-item">
-                  {source.document_title || source.filename || `Source ${i + 1}`}
-                  {source.page && ` (p. ${source.page})`}
-                </li>
-              ))}
-            </ul>
-          </footer>
+        {images && images.length > 0 && (
+          <div className="chat-message-figures">
+            {images.map((img) => (
+              <button
+                key={img.id}
+                type="button"
+                className="chat-message-figure"
+                onClick={() => setPreviewImage(img)}
+                aria-label={`View figure${img.caption ? `: ${img.caption}` : ''}`}
+              >
+                <img
+                  src={getImageSrc(img)}
+                  alt={img.caption || 'Figure'}
+                  loading="lazy"
+                  onError={(e) => {
+                    e.target.style.display = 'none';
+                  }}
+                />
+                {(img.caption || img.page_number) && (
+                  <span className="chat-message-figure-caption">
+                    {img.caption}
+                    {img.page_number && ` (p. ${img.page_number})`}
+                  </span>
+                )}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {citations.length > 0 && (
+          <ChatSources
+            citations={citations}
+            activeNumber={preview?.citation.number}
+            pinnedIds={pinnedIds}
+            onOpen={onOpenSource}
+            onTogglePin={onTogglePin}
+          />
+        )}
+
+        {pinned && pinned.length > 0 && (
+          <p className="chat-message-pinned">
+            <Pin size={12} aria-hidden="true" />
+            Grounded on {pinned.map((chunk) => [
+              chunk.documentTitle || 'Untitled',
+              chunk.pageNumber && `p. ${chunk.pageNumber}`,
+            ].filter(Boolean).join(', ')).join('; ')}
+          </p>
+        )}
+
+        {excludedCited?.length > 0 && (
+          <p className="chat-message-warning" role="status">
+            {`The server ignored the chunk exclusion: this answer still cites excluded source${excludedCited.length !== 1 ? 's' : ''} ${excludedCited.map((n) => `[${n}]`).join(', ')}.`}
+          </p>
+        )}
+
+        {inspecting && retrieval && (
+          <RetrievalInspector
+            retrieval={retrieval}
+            citations={citations}
+            onReask={onReask && ((excludedIds) => onReask(id, excludedIds))}
+            onOpen={onOpenChunk}
+            disabled={busy}
+          />
+        )}
+
+        {usage && !isStreaming && (
+          <p className="chat-message-usage">{formatUsage(usage)}</p>
         )}
       </div>
+
+      {previewImage && (
+        <ImagePreviewModal
+          image={previewImage}
+          images={images}
+          onClose={() => setPreviewImage(null)}
+          onNavigate={setPreviewImage}
+          getImageSrc={getImageSrc}
+        />
+      )}
     </article>
   );
 }
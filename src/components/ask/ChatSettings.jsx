@@ -0,0 +1,135 @@
+import React, { memo } from 'react';
+
+/**
+ * @typedef {Object} ChatSettingsValue
+ * @property {number} max_context_chunks - Source chunks retrieved per question
+ * @property {number} max_history_tokens - Token budget for earlier turns sent with each question
+ * @property {boolean} include_citations - Return citations with answers
+ * @property {boolean} include_images - Return figures with answers
+ * @property {boolean} use_chapter - Ground answers in the chapter open in Synthesis
+ */
+
+/**
+ * Defaults matching the backend request defaults
+ * @type {ChatSettingsValue}
+ */
+export const DEFAULT_CHAT_SETTINGS = {
+  max_context_chunks: 10,
+  max_history_tokens: 4000,
+  include_citations: true,
+  include_images: true,
+  use_chapter: false,
+};
+
+/**
+ * Count settings that differ from the defaults
+ * @param {ChatSettingsValue} settings
+ * @returns {number}
+ */
+export function countChangedSettings(settings) {
+  return Object.keys(DEFAULT_CHAT_SETTINGS)
+    .filter((key) => settings[key] !== DEFAULT_CHAT_SETTINGS[key])
+    .length;
+}
+
+/**
+ * Convert settings into chat stream parameters
+ * @param {ChatSettingsValue} settings
+ * @param {string} [synthesisId] - Server ID of the open chapter
+ * @returns {Object}
+ */
+export function toChatParams(settings, synthesisId) {
+  return {
+    max_context_chunks: settings.max_context_chunks,
+    max_history_tokens: settings.max_history_tokens,
+    include_citations: settings.include_citations,
+    include_images: settings.include_images,
+    synthesis_id: settings.use_chapter ? synthesisId : undefined,
+  };
+}
+
+/**
+ * Retrieval and history budgets for Ask, plus what answers include
+ *
+ * @param {{ value: ChatSettingsValue, onChange: Function, chapterTopic?: string|null, disabled?: boolean }} props
+ */
+function ChatSettings({ value, onChange, chapterTopic = null, disabled = false }) {
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  return (
+    <div className="synthesis-scope-editor chat-settings">
+      <div className="synthesis-scope-group">
+        <label htmlFor="chat-context-chunks" className="synthesis-label">
+          Context Chunks
+        </label>
+        <div className="filter-slider">
+          <input
+            id="chat-context-chunks"
+            type="range"
+            min="1"
+            max="30"
+            step="1"
+            value={value.max_context_chunks}
+            onChange={(e) => update({ max_context_chunks: Number(e.target.value) })}
+            disabled={disabled}
+          />
+          <span className="filter-slider-value">{value.max_context_chunks}</span>
+        </div>
+      </div>
+
+      <div className="synthesis-scope-group">
+        <label htmlFor="chat-history-tokens" className="synthesis-label">
+          History Budget (tokens)
+        </label>
+        <div className="filter-slider">
+          <input
+            id="chat-history-tokens"
+            type="range"
+            min="0"
+            max="16000"
+            step="500"
+            value={value.max_history_tokens}
+            onChange={(e) => update({ max_history_tokens: Number(e.target.value) })}
+            disabled={disabled}
+          />
+          <span className="filter-slider-value">{value.max_history_tokens.toLocaleString()}</span>
+        </div>
+      </div>
+
+      <div className="synthesis-scope-group">
+        <span className="synthesis-label">Answers</span>
+        <label className="filter-checkbox">
+          <input
+            type="checkbox"
+            checked={value.include_citations}
+            onChange={(e) => update({ include_citations: e.target.checked })}
+            disabled={disabled}
+          />
+          Include citations
+        </label>
+        <label className="filter-checkbox">
+          <input
+            type="checkbox"
+            checked={value.include_images}
+            onChange={(e) => update({ include_images: e.target.checked })}
+            disabled={disabled}
+          />
+          Include figures
+        </label>
+        {chapterTopic && (
+          <label className="filter-checkbox">
+            <input
+              type="checkbox"
+              checked={value.use_chapter}
+              onChange={(e) => update({ use_chapter: e.target.checked })}
+              disabled={disabled}
+            />
+            Ground answers in the open chapter: {chapterTopic}
+          </label>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default memo(ChatSettings);
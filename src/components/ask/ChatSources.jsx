@@ -0,0 +1,122 @@
+import React, { memo, useState } from 'react';
+import { FileText, Info, Pin } from 'lucide-react';
+import { truncate } from '../../utils/helpers';
+
+/**
+ * @typedef {import('../../utils/conversations').ChatCitation} ChatCitation
+ */
+
+/**
+ * Score bar for one retrieval signal
+ */
+function ScoreRow({ label, value }) {
+  const percentage = Math.round((value || 0) * 100);
+  return (
+    <div className="quality-section">
+      <span className="quality-label">{label}</span>
+      <div className="quality-bar-wrapper" title={`${label}: ${percentage}%`}>
+        <div className="quality-bar">
+          <div className="quality-bar-fill" style={{ width: `${Math.min(percentage, 100)}%` }} />
+        </div>
+      </div>
+      <span className="chat-source-score">{percentage}%</span>
+    </div>
+  );
+}
+
+/**
+ * One cited source with pin, open and "why this source" actions
+ */
+function ChatSource({ citation, active, pinned, onOpen, onTogglePin }) {
+  const [showWhy, setShowWhy] = useState(false);
+
+  return (
+    <li className={`source-item ${active ? 'active' : ''}`}>
+      <div className="chat-source-row">
+        <span className="chat-citation-number">{citation.number}</span>
+        <span className="chat-source-title">
+          {citation.title}
+          {citation.page && ` (p. ${citation.page})`}
+        </span>
+        <div className="synthesis-section-actions">
+          <button
+            type="button"
+            className={`synthesis-section-action ${showWhy ? 'active' : ''}`}
+            onClick={() => setShowWhy(!showWhy)}
+            aria-expanded={showWhy}
+            aria-label={`Why source ${citation.number} was used`}
+            title="Why this source"
+          >
+            <Info size={14} />
+          </button>
+          {citation.chunkId && onTogglePin && (
+            <button
+              type="button"
+              className={`synthesis-section-action ${pinned ? 'active' : ''}`}
+              onClick={() => onTogglePin(citation)}
+              aria-pressed={pinned}
+              aria-label={`${pinned ? 'Unpin' : 'Pin'} source ${citation.number} as context`}
+              title={pinned ? 'Pinned as context' : 'Pin as context'}
+            >
+              <Pin size={14} />
+            </button>
+          )}
+          {citation.documentId && onOpen && (
+            <button
+              type="button"
+              className="synthesis-section-action"
+              onClick={() => onOpen(citation)}
+              aria-label={`Open source ${citation.number} in document viewer`}
+              title="Open in document"
+            >
+              <FileText size={14} />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {showWhy && (
+        <div className="chat-source-why">
+          {citation.score !== null ? (
+            <ScoreRow label="Retrieval score" value={citation.score} />
+          ) : (
+            <p className="chat-source-note">No retrieval score was returned for this source.</p>
+          )}
+          {citation.scoreParts.map((part) => (
+            <ScoreRow key={part.label} label={part.label} value={part.value} />
+          ))}
+          {citation.text && (
+            <blockquote className="chat-source-excerpt">{truncate(citation.text, 400)}</blockquote>
+          )}
+        </div>
+      )}
+    </li>
+  );
+}
+
+/**
+ * Numbered source list under an answer
+ *
+ * @param {{ citations: ChatCitation[], activeNumber?: number|null, pinnedIds?: string[], onOpen?: (citation: ChatCitation) => void, onTogglePin?: (citation: ChatCitation) => void }} props
+ */
+function ChatSources({ citations, activeNumber = null, pinnedIds = [], onOpen, onTogglePin }) {
+  return (
+    <footer className="chat-message-sources">
+      <span className="sources-label">Sources:</span>
+      <ol className="sources-list">
+        {citations.map((citation) => (
+          <ChatSource
+            key={`${citation.number}-${citation.chunkId || citation.title}`}
+            citation={citation}
+            active={citation.number === activeNumber}
+            pinned={pinnedIds.includes(citation.chunkId)}
+            onOpen={onOpen}
+            onTogglePin={onTogglePin}
+          />
+        ))}
+      </ol>
+    </footer>
+  );
+}
+
+export default memo(ChatSources);
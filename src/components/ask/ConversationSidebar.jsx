@@ -0,0 +1,187 @@
+import React, { memo, useState } from 'react';
+import { Search, Plus, Pencil, Trash2, Check, X, MessagesSquare } from 'lucide-react';
+import { formatRelativeTime } from '../../utils/helpers';
+import { Input, Button, Spinner } from '../ui';
+
+/**
+ * @typedef {import('../../utils/conversations').ConversationSummary} ConversationSummary
+ */
+
+/**
+ * @typedef {Object} ConversationSidebarProps
+ * @property {ConversationSummary[]} conversations - Conversations matching the query
+ * @property {number} total - Conversations before filtering
+ * @property {string} query - Search query
+ * @property {(query: string) => void} onQueryChange - Update the search query
+ * @property {string|null} activeKey - Key of the open conversation
+ * @property {(conversation: ConversationSummary) => void} onSelect - Resume a conversation
+ * @property {() => void} onNew - Start a new conversation
+ * @property {(conversation: ConversationSummary, title: string) => void} onRename - Rename a conversation
+ * @property {(conversation: ConversationSummary) => void} onDelete - Delete a conversation
+ * @property {boolean} [loading=false] - Whether the list is loading
+ * @property {Error|null} [error] - List error
+ * @property {() => void} [onRetry] - Reload the list
+ */
+
+/**
+ * Single conversation row with resume/rename/delete actions
+ */
+function ConversationRow({ conversation, isActive, onSelect, onRename, onDelete }) {
+  const [renaming, setRenaming] = useState(false);
+  const [title, setTitle] = useState(conversation.title);
+
+  const handleRenameSubmit = (e) => {
+    e.preventDefault();
+    if (title.trim() !== conversation.title) {
+      onRename(conversation, title);
+    }
+    setRenaming(false);
+  };
+
+  if (renaming) {
+    return (
+      <li className="conversation-item">
+        <form className="synthesis-library-rename" onSubmit={handleRenameSubmit}>
+          <input
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            aria-label="Conversation name"
+            autoFocus
+          />
+          <button type="submit" className="synthesis-section-action" aria-label="Save name">
+            <Check size={14} />
+          </button>
+          <button
+            type="button"
+            className="synthesis-section-action"
+            onClick={() => {
+              setTitle(conversation.title);
+              setRenaming(false);
+            }}
+            aria-label="Cancel rename"
+          >
+            <X size={14} />
+          </button>
+        </form>
+      </li>
+    );
+  }
+
+  return (
+    <li className={`conversation-item ${isActive ? 'active' : ''}`}>
+      <button
+        type="button"
+        className="conversation-open"
+        onClick={() => onSelect(conversation)}
+        aria-current={isActive}
+      >
+        <span className="conversation-title">{conversation.title}</span>
+        <span className="conversation-meta">
+          {conversation.messageCount > 0 && `${conversation.messageCount} messages · `}
+          {conversation.updatedAt ? formatRelativeTime(conversation.updatedAt) : 'Unknown date'}
+        </span>
+      </button>
+      <div className="synthesis-section-actions">
+        <button
+          type="button"
+          className="synthesis-section-action"
+          onClick={() => {
+            setTitle(conversation.title);
+            setRenaming(true);
+          }}
+          aria-label={`Rename ${conversation.title}`}
+          title="Rename"
+        >
+          <Pencil size={14} />
+        </button>
+        <button
+          type="button"
+          className="synthesis-section-action"
+          onClick={() => onDelete(conversation)}
+          aria-label={`Delete ${conversation.title}`}
+          title="Delete"
+        >
+          <Trash2 size={14} />
+        </button>
+      </div>
+    </li>
+  );
+}
+
+/**
+ * List of past Ask conversations with search and a new-conversation button
+ *
+ * @param {ConversationSidebarProps} props
+ */
+function ConversationSidebar({
+  conversations,
+  total,
+  query,
+  onQueryChange,
+  activeKey,
+  onSelect,
+  onNew,
+  onRename,
+  onDelete,
+  loading = false,
+  error = null,
+  onRetry,
+}) {
+  return (
+    <aside className="conversation-sidebar" aria-label="Conversations">
+      <Button
+        variant="secondary"
+        size="sm"
+        icon={<Plus size={14} />}
+        onClick={onNew}
+      >
+        New Conversation
+      </Button>
+
+      <Input
+        value={query}
+        onChange={(e) => onQueryChange(e.target.value)}
+        placeholder="Search conversations..."
+        leftIcon={<Search size={16} />}
+        aria-label="Search conversations"
+      />
+
+      {error ? (
+        <div className="conversation-empty">
+          <p>{error.message || 'Conversations could not be loaded.'}</p>
+          {onRetry && (
+            <Button variant="ghost" size="sm" onClick={onRetry}>
+              Retry
+            </Button>
+          )}
+        </div>
+      ) : loading && total === 0 ? (
+        <Spinner size="sm" label="Loading conversations..." />
+      ) : conversations.length === 0 ? (
+        <div className="conversation-empty">
+          <MessagesSquare size={20} aria-hidden="true" />
+          <p>
+            {total === 0
+              ? 'Your conversations are saved here.'
+              : `No conversations match "${query}".`}
+          </p>
+        </div>
+      ) : (
+        <ul className="conversation-list">
+          {conversations.map((conversation) => (
+            <ConversationRow
+              key={conversation.key}
+              conversation={conversation}
+              isActive={conversation.key === activeKey}
+              onSelect={onSelect}
+              onRename={onRename}
+              onDelete={onDelete}
+            />
+          ))}
+        </ul>
+      )}
+    </aside>
+  );
+}
+
+export default memo(ConversationSidebar);
@@ -0,0 +1,104 @@
+import React, { memo } from 'react';
+import { Pin, X, FileText } from 'lucide-react';
+import { truncate } from '../../utils/helpers';
+import { Badge, Button } from '../ui';
+
+/**
+ * @typedef {import('../../utils/conversations').PinnedChunk} PinnedChunk
+ */
+
+/**
+ * @typedef {Object} PinnedContextProps
+ * @property {PinnedChunk[]} pinned - Pinned chunks
+ * @property {{askedIds: string[], usedIds: string[]}|null} lastTurn - Pinned chunks the latest grounded answer was given and cited
+ * @property {boolean} limitToDocuments - Whether retrieval is limited to pinned documents
+ * @property {(value: boolean) => void} onLimitChange - Toggle the document limit
+ * @property {(chunkId: string) => void} onUnpin - Remove a pinned chunk
+ * @property {() => void} onClear - Remove all pinned chunks
+ * @property {(chunk: PinnedChunk) => void} [onOpen] - Open a chunk in the document viewer
+ * @property {boolean} [disabled=false]
+ */
+
+/**
+ * Pinned context cards shown above the Ask input
+ *
+ * @param {PinnedContextProps} props
+ */
+function PinnedContext({
+  pinned,
+  lastTurn,
+  limitToDocuments,
+  onLimitChange,
+  onUnpin,
+  onClear,
+  onOpen,
+  disabled = false,
+}) {
+  if (pinned.length === 0) return null;
+
+  return (
+    <section className="pinned-context" aria-label="Pinned context">
+      <div className="pinned-context-header">
+        <span className="sources-label">
+          <Pin size={12} aria-hidden="true" /> Pinned context ({pinned.length})
+        </span>
+        <label className="filter-checkbox">
+          <input
+            type="checkbox"
+            checked={limitToDocuments}
+            onChange={(e) => onLimitChange(e.target.checked)}
+            disabled={disabled}
+          />
+          Only search pinned documents
+        </label>
+        <Button type="button" variant="ghost" size="sm" onClick={onClear} disabled={disabled}>
+          Clear
+        </Button>
+      </div>
+
+      <ul className="pinned-context-list">
+        {pinned.map((chunk) => (
+          <li key={chunk.chunkId} className="pinned-context-card">
+            <div className="pinned-context-card-header">
+              <span className="pinned-context-title">
+                {chunk.documentTitle || 'Untitled document'}
+                {chunk.pageNumber && ` · p. ${chunk.pageNumber}`}
+              </span>
+              {lastTurn?.askedIds.includes(chunk.chunkId) && (
+                lastTurn.usedIds.includes(chunk.chunkId)
+                  ? <Badge variant="success" size="sm">Used</Badge>
+                  : <Badge size="sm">Not cited</Badge>
+              )}
+              <div className="synthesis-section-actions">
+                {chunk.documentId && onOpen && (
+                  <button
+                    type="button"
+                    className="synthesis-section-action"
+                    onClick={() => onOpen(chunk)}
+                    aria-label={`Open ${chunk.documentTitle || 'chunk'} in document viewer`}
+                    title="Open in document"
+                  >
+                    <FileText size={14} />
+                  </button>
+                )}
+                <button
+                  type="button"
+                  className="synthesis-section-action"
+                  onClick={() => onUnpin(chunk.chunkId)}
+                  disabled={disabled}
+                  aria-label={`Unpin ${chunk.documentTitle || 'chunk'}`}
+                  title="Unpin"
+                >
+                  <X size={14} />
+                </button>
+              </div>
+            </div>
+            <p className="pinned-context-excerpt">{truncate(chunk.content || '', 160)}</p>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+export default memo(PinnedContext);
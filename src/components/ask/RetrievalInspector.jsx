@@ -0,0 +1,242 @@
+import React, { memo, useState, useEffect, useCallback } from 'react';
+import { RotateCcw, FileText, EyeOff, Eye } from 'lucide-react';
+import { api } from '../../api/client';
+import { CHUNK_TYPES } from '../browse/BrowseFilters';
+import { toRetrievedChunks, retrievalFilterMiss } from '../../utils/conversations';
+import { truncate } from '../../utils/helpers';
+import { Button, Spinner, Badge } from '../ui';
+
+/**
+ * @typedef {import('../../utils/conversations').RetrievedChunk} RetrievedChunk
+ * @typedef {import('../../utils/conversations').ChatCitation} ChatCitation
+ */
+
+/**
+ * @typedef {import('../../utils/conversations').AnswerRetrieval & {
+ *   recorded: boolean,
+ *   pinned: import('../../utils/conversations').PinnedChunk[]
+ * }} InspectedRetrieval
+ * What an answer was asked with. Answers loaded from the server have no
+ * record, so recorded is false and the conversation's current filters stand in.
+ */
+
+/**
+ * @typedef {Object} RetrievalInspectorProps
+ * @property {InspectedRetrieval} retrieval - Question and filters to re-run retrieval for
+ * @property {ChatCitation[]} citations - The answer's citations, to mark the chunks it cited
+ * @property {(excludedIds: string[]) => void} [onReask] - Ask again without the excluded chunks
+ * @property {(chunk: RetrievedChunk) => void} [onOpen] - Open a chunk in the document viewer
+ * @property {boolean} [disabled=false] - Disable re-asking
+ */
+
+/**
+ * Format a 0-1 score as a percentage, or a dash when missing
+ */
+function percent(value) {
+  return value === null ? '—' : `${Math.round(value * 100)}%`;
+}
+
+/**
+ * Re-runs retrieval for an answer's question and lists every chunk it
+ * returns, marking the ones the answer cited, so retrieval failures can be
+ * told apart from generation failures. Chunks can be excluded and the
+ * question asked again.
+ *
+ * @param {RetrievalInspectorProps} props
+ */
+function RetrievalInspector({ retrieval, citations, onReask, onOpen, disabled = false }) {
+  const [chunks, setChunks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [excluded, setExcluded] = useState(() => new Set());
+
+  const { question, maxChunks, filters, recorded, pinned } = retrieval;
+  // Joined so a new array with the same documents doesn't reload
+  const documentKey = (filters?.document_ids || []).join(',');
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await api.getContext(question, {
+        max_chunks: maxChunks,
+        document_ids: documentKey ? documentKey.split(',') : undefined,
+      });
+      setChunks(toRetrievedChunks(response));
+      setExcluded(new Set());
+    } catch (err) {
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [question, documentKey, maxChunks]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const toggleExcluded = (chunkId) => {
+    setExcluded((prev) => {
+      const next = new Set(prev);
+      if (next.has(chunkId)) {
+        next.delete(chunkId);
+      } else {
+        next.add(chunkId);
+      }
+      return next;
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="retrieval-inspector">
+        <Spinner size="sm" label="Re-running retrieval..." />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="retrieval-inspector">
+        <p className="retrieval-inspector-note">
+          {error.message || 'Retrieval could not be re-run.'}
+        </p>
+        <Button type="button" variant="ghost" size="sm" onClick={load}>
+          Retry
+        </Button>
+      </div>
+    );
+  }
+
+  const citedNumbers = new Map(citations.filter((c) => c.chunkId).map((c) => [c.chunkId, c.number]));
+  const pinnedIds = new Set(pinned.map((chunk) => chunk.chunkId));
+  const excludedBefore = new Set(filters?.exclude_chunk_ids || []);
+  const shown = chunks.filter((chunk) => !retrievalFilterMiss(chunk, filters));
+  const outsideFilters = chunks.length - shown.length;
+  const missingCited = [...citedNumbers.keys()]
+    .filter((chunkId) => !pinnedIds.has(chunkId) && !shown.some((chunk) => chunk.chunkId === chunkId))
+    .length;
+
+  return (
+    <div className="retrieval-inspector">
+      <p className="retrieval-inspector-note">
+        {shown.length === 0
+          ? 'Re-running retrieval for this question returned no chunks, so the answer was not grounded in your documents.'
+          : `Retrieval re-run for this question: ${shown.length} chunk${shown.length !== 1 ? 's' : ''}, best match first. Chunks the answer cited show their citation number.`}
+      </p>
+      {(outsideFilters > 0 || missingCited > 0 || !recorded || filters?.specialties?.length > 0) && (
+        <ul className="retrieval-inspector-caveats">
+          {!recorded && (
+            <li>This answer&apos;s filters were not recorded, so the conversation&apos;s current filters are used.</li>
+          )}
+          {outsideFilters > 0 && (
+            <li>
+              {`${outsideFilters} chunk${outsideFilters !== 1 ? 's' : ''} outside the answer's chunk type, authority or page filters ${outsideFilters !== 1 ? 'were' : 'was'} left out.`}
+            </li>
+          )}
+          {filters?.specialties?.length > 0 && (
+            <li>Specialty filters can&apos;t be checked here, so chunks outside them may be listed.</li>
+          )}
+          {missingCited > 0 && (
+            <li>
+              {`${missingCited} cited source${missingCited !== 1 ? 's' : ''} did not come back in this re-run; the documents or index may have changed since the answer.`}
+            </li>
+          )}
+        </ul>
+      )}
+
+      {shown.length > 0 && (
+        <ol className="retrieval-inspector-list">
+          {shown.map((chunk, i) => {
+            const type = CHUNK_TYPES.find((t) => t.id === chunk.chunkType?.toLowerCase());
+            const cited = citedNumbers.get(chunk.chunkId);
+            const wasExcluded = excludedBefore.has(chunk.chunkId);
+            const isExcluded = wasExcluded || excluded.has(chunk.chunkId);
+            return (
+              <li
+                key={chunk.chunkId}
+                className={`retrieval-chunk ${isExcluded ? 'excluded' : ''}`}
+              >
+                <div className="retrieval-chunk-header">
+                  <span className="retrieval-chunk-rank">{i + 1}</span>
+                  <span className="retrieval-chunk-title">
+                    {chunk.documentTitle || 'Untitled document'}
+                    {chunk.pageNumber != null && ` · p. ${chunk.pageNumber}`}
+                  </span>
+                  {cited != null && (
+                    <Badge variant="success" size="sm">{`Cited [${cited}]`}</Badge>
+                  )}
+                  {pinnedIds.has(chunk.chunkId) && <Badge variant="info" size="sm">Pinned</Badge>}
+                  {wasExcluded && <Badge variant="warning" size="sm">Excluded</Badge>}
+                  {chunk.chunkType && (
+                    <Badge size="sm">
+                      {type && (
+                        <span className="chunk-type-dot" style={{ backgroundColor: type.color }} />
+                      )}
+                      {type?.label || chunk.chunkType}
+                    </Badge>
+                  )}
+                  <span className="retrieval-chunk-stat" title="Retrieval score">
+                    Score {percent(chunk.score)}
+                  </span>
+                  <span className="retrieval-chunk-stat" title="Source authority">
+                    Authority {percent(chunk.authority)}
+                  </span>
+                  <div className="synthesis-section-actions">
+                    {chunk.documentId && onOpen && (
+                      <button
+                        type="button"
+                        className="synthesis-section-action"
+                        onClick={() => onOpen(chunk)}
+                        aria-label={`Open chunk ${i + 1} in document viewer`}
+                        title="Open in document"
+                      >
+                        <FileText size={14} />
+                      </button>
+                    )}
+                    {onReask && !wasExcluded && (
+                      <button
+                        type="button"
+                        className={`synthesis-section-action ${isExcluded ? 'active' : ''}`}
+                        onClick={() => toggleExcluded(chunk.chunkId)}
+                        aria-pressed={isExcluded}
+                        aria-label={`${isExcluded ? 'Include' : 'Exclude'} chunk ${i + 1}`}
+                        title={isExcluded ? 'Include when re-asking' : 'Exclude when re-asking'}
+                      >
+                        {isExcluded ? <Eye size={14} /> : <EyeOff size={14} />}
+                      </button>
+                    )}
+                  </div>
+                </div>
+                <p className="retrieval-chunk-excerpt">{truncate(chunk.content, 280)}</p>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {onReask && shown.length > 0 && (
+        <div className="retrieval-inspector-actions">
+          <span className="retrieval-inspector-note">
+            The documented API has no filter for excluding chunks. Excluded chunk IDs are sent
+            as exclude_chunk_ids, and the new answer is flagged if it still cites one.
+          </span>
+          <Button
+            type="button"
+            variant="secondary"
+            size="sm"
+            icon={<RotateCcw size={14} />}
+            onClick={() => onReask([...excluded])}
+            disabled={disabled || excluded.size === 0}
+          >
+            {excluded.size > 0
+              ? `Re-ask without ${excluded.size} chunk${excluded.size !== 1 ? 's' : ''}`
+              : 'Exclude chunks to re-ask'}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default memo(RetrievalInspector);
@@ -0,0 +1,86 @@
+import React, { memo, useCallback } from 'react';
+import { FileDown, Printer } from 'lucide-react';
+import { useToast } from '../../context/ToastContext';
+import { downloadText } from '../../utils/helpers';
+import { buildTranscriptMarkdown, buildTranscriptHTML, transcriptFilename } from '../../utils/transcript';
+import { Button } from '../ui';
+
+/**
+ * @typedef {Object} TranscriptExportProps
+ * @property {() => import('../../utils/transcript').TranscriptParams} getTranscript - Current conversation as transcript input
+ * @property {boolean} [disabled=false]
+ */
+
+/**
+ * Export controls for the open Ask conversation: Markdown and HTML
+ * downloads, and a print view for saving as PDF
+ *
+ * @param {TranscriptExportProps} props
+ */
+function TranscriptExport({ getTranscript, disabled = false }) {
+  const toast = useToast();
+
+  const handleDownload = useCallback((format) => {
+    const transcript = { ...getTranscript(), exportedAt: new Date() };
+    const filename = transcriptFilename(transcript.title, format, transcript.exportedAt);
+    if (format === 'markdown') {
+      downloadText(buildTranscriptMarkdown(transcript), filename, 'text/markdown');
+    } else {
+      downloadText(buildTranscriptHTML(transcript), filename, 'text/html');
+    }
+    toast.success(`Transcript saved as ${filename}`);
+  }, [getTranscript, toast]);
+
+  const handlePrint = useCallback(() => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      toast.error('Allow pop-ups for this site to open the print view');
+      return;
+    }
+    printWindow.document.write(buildTranscriptHTML({ ...getTranscript(), exportedAt: new Date() }));
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  }, [getTranscript, toast]);
+
+  return (
+    <div className="transcript-export" role="group" aria-label="Export transcript">
+      <span className="sources-label">Export</span>
+      <Button
+        type="button"
+        variant="ghost"
+        size="sm"
+        icon={<FileDown size={14} />}
+        onClick={() => handleDownload('markdown')}
+        disabled={disabled}
+        title="Download as Markdown"
+      >
+        Markdown
+      </Button>
+      <Button
+        type="button"
+        variant="ghost"
+        size="sm"
+        icon={<FileDown size={14} />}
+        onClick={() => handleDownload('html')}
+        disabled={disabled}
+        title="Download as a standalone HTML page"
+      >
+        HTML
+      </Button>
+      <Button
+        type="button"
+        variant="ghost"
+        size="sm"
+        icon={<Printer size={14} />}
+        onClick={handlePrint}
+        disabled={disabled}
+        title="Open a print view to print or save as PDF"
+      >
+        Print / PDF
+      </Button>
+    </div>
+  );
+}
+
+export default memo(TranscriptExport);
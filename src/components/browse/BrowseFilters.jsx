@@ -1,7 +1,7 @@
 import React, { memo, useState } from 'react';
 import { Filter, ChevronDown, X } from 'lucide-react';
 
-const CHUNK_TYPES = [
+export const CHUNK_TYPES = [
   { id: 'procedure', label: 'Procedure', color: '#10b981' },
   { id: 'anatomy', label: 'Anatomy', color: '#3b82f6' },
   { id: 'pathology', label: 'Pathology', color: '#f59e0b' },
@@ -10,7 +10,7 @@ const CHUNK_TYPES = [
   { id: 'general', label: 'General', color: '#6b7280' },
 ];
 
-const SPECIALTIES = [
+export const SPECIALTIES = [
   { id: 'skull_base', label: 'Skull Base' },
   { id: 'spine', label: 'Spine' },
   { id: 'vascular', label: 'Vascular' },
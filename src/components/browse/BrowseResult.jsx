@@ -58,7 +58,7 @@ function AuthorityStars({ score }) {
 /**
  * Enhanced browse result card with rich metadata
  */
-function BrowseResult({ result, query, onSelect, onFindSimilar, onAsk }) {
+function BrowseResult({ result, query, onSelect, onFindSimilar, onAsk, selected = false, onToggleSelect }) {
   const [expanded, setExpanded] = useState(false);
 
   // Compute aggregate quality score from individual scores
@@ -113,6 +113,17 @@ function BrowseResult({ result, query, onSelect, onFindSimilar, onAsk }) {
     >
       {/* Header Row */}
       <header className="browse-result-header">
+        {onToggleSelect && result.chunk_id && (
+          <input
+            type="checkbox"
+            className="browse-result-select"
+            checked={selected}
+            onClick={(e) => e.stopPropagation()}
+            onKeyDown={(e) => e.stopPropagation()}
+            onChange={() => onToggleSelect(result)}
+            aria-label="Select for flashcards"
+          />
+        )}
         <FileText size={16} aria-hidden="true" />
         <span className="browse-result-source">
           {result.document_title || 'Untitled'}
@@ -1,11 +1,13 @@
 import React, { memo, useCallback, useState, useMemo } from 'react';
-import { Compass } from 'lucide-react';
+import { Compass, GraduationCap } from 'lucide-react';
 import BrowseResult from './BrowseResult';
 import BrowseFilters from './BrowseFilters';
 import { useSearch, useDocuments } from '../../hooks/useApi';
 import { useVirtualList } from '../../hooks/useVirtualList';
-import { Input, Button, Spinner, EmptyState, Card } from '../ui';
+import { Input, Button, Spinner, EmptyState, Card, Modal } from '../ui';
+import FlashcardDeck from '../flashcards/FlashcardDeck';
 import { debounce, truncate } from '../../utils/helpers';
+import { cardsFromChunks } from '../../utils/flashcards';
 import api from '../../api/client';
 
 /**
@@ -17,6 +19,8 @@ function BrowseTab({ onTabChange }) {
   const [filters, setFilters] = useState({ limit: 10 });
   const [showFilters, setShowFilters] = useState(false);
   const [similarMode, setSimilarMode] = useState(null); // { chunkId, preview }
+  const [selectedChunks, setSelectedChunks] = useState({}); // chunk_id -> result
+  const [flashcards, setFlashcards] = useState(null);
 
   const { results, loading, error, search, clear } = useSearch();
   const { documents, fetchDocuments } = useDocuments();
@@ -120,6 +124,26 @@ function BrowseTab({ onTabChange }) {
     }
   }, [filters, search]);
 
+  const handleToggleSelect = useCallback((result) => {
+    setSelectedChunks((prev) => {
+      const next = { ...prev };
+      if (next[result.chunk_id]) {
+        delete next[result.chunk_id];
+      } else {
+        next[result.chunk_id] = result;
+      }
+      return next;
+    });
+  }, []);
+
+  const selectedCount = Object.keys(selectedChunks).length;
+
+  const handleMakeFlashcards = useCallback(() => {
+    setFlashcards(cardsFromChunks(Object.values(selectedChunks)));
+  }, [selectedChunks]);
+
+  const handleCloseFlashcards = useCallback(() => setFlashcards(null), []);
+
   // Virtual list for performance
   const {
     virtualItems,
@@ -227,9 +251,27 @@ function BrowseTab({ onTabChange }) {
 
         {results.length > 0 && (
           <>
-            <p className="browse-count" aria-live="polite">
-              Found {results.length} chunk{results.length !== 1 ? 's' : ''}
-            </p>
+            <div className="browse-count-row">
+              <p className="browse-count" aria-live="polite">
+                Found {results.length} chunk{results.length !== 1 ? 's' : ''}
+              </p>
+              {selectedCount > 0 && (
+                <div className="browse-selection">
+                  <span>{selectedCount} selected</span>
+                  <Button
+                    variant="primary"
+                    size="sm"
+                    icon={<GraduationCap size={14} />}
+                    onClick={handleMakeFlashcards}
+                  >
+                    Make Flashcards
+                  </Button>
+                  <Button variant="ghost" size="sm" onClick={() => setSelectedChunks({})}>
+                    Clear
+                  </Button>
+                </div>
+              )}
+            </div>
 
             <div {...containerProps} className="browse-results-list">
               <div {...wrapperProps}>
@@ -241,6 +283,8 @@ function BrowseTab({ onTabChange }) {
                       onSelect={handleResultSelect}
                       onFindSimilar={handleFindSimilar}
                       onAsk={handleAskAbout}
+                      selected={Boolean(selectedChunks[item.chunk_id])}
+                      onToggleSelect={handleToggleSelect}
                     />
                   </div>
                 ))}
@@ -249,6 +293,15 @@ function BrowseTab({ onTabChange }) {
           </>
         )}
       </div>
+
+      <Modal
+        open={Boolean(flashcards)}
+        onClose={handleCloseFlashcards}
+        title={`Flashcards from ${selectedCount} chunk${selectedCount !== 1 ? 's' : ''}`}
+        size="lg"
+      >
+        {flashcards && <FlashcardDeck cards={flashcards} name="browse" />}
+      </Modal>
     </div>
   );
 }
@@ -0,0 +1,164 @@
+import React, { memo, useState } from 'react';
+import { History, Download, RefreshCw, Trash2 } from 'lucide-react';
+import { useToast } from '../../context/ToastContext';
+import { downloadBlob, formatFileSize, formatRelativeTime, formatDate } from '../../utils/helpers';
+import { Button, Badge, Card } from '../ui';
+
+/**
+ * @typedef {import('../../storage/exportHistory').ExportRecord} ExportRecord
+ */
+
+/**
+ * @typedef {Object} ExportHistoryProps
+ * @property {Object} history - Export log state and actions from useExportHistory
+ * @property {(record: ExportRecord) => void} onRerun - Export again with the record's settings
+ * @property {boolean} [disabled=false] - Disable re-running while another export runs
+ */
+
+const COLLAPSED_COUNT = 5;
+
+/**
+ * One logged export with re-download, re-run and delete actions
+ */
+function HistoryRow({ record, onDownload, onRerun, onDelete, disabled }) {
+  const chapter = record.title || record.topic;
+  return (
+    <li className="export-history-entry">
+      <div className="export-history-info">
+        <span className="export-history-name">
+          <Badge size="sm">{record.formatLabel}</Badge>
+          {record.filename}
+        </span>
+        <span className="export-history-meta" title={formatDate(record.createdAt, { hour: '2-digit', minute: '2-digit' })}>
+          {chapter}
+          {record.version ? ` v${record.version}` : ''} &middot; {formatFileSize(record.size)}
+          {record.presetName ? ` · ${record.presetName}` : ''} &middot; {formatRelativeTime(record.createdAt)}
+        </span>
+      </div>
+      {!record.cached && (
+        <Badge variant="warning" size="sm">Not cached</Badge>
+      )}
+      <div className="synthesis-section-actions">
+        <button
+          type="button"
+          className="synthesis-section-action"
+          onClick={() => onDownload(record)}
+          disabled={!record.cached}
+          aria-label={`Download ${record.filename} again`}
+          title={record.cached ? 'Download again' : 'File no longer cached; re-run instead'}
+        >
+          <Download size={14} />
+        </button>
+        <button
+          type="button"
+          className="synthesis-section-action"
+          onClick={() => onRerun(record)}
+          disabled={disabled}
+          aria-label={`Re-run ${record.formatLabel} export of ${chapter}`}
+          title="Export again with the same settings"
+        >
+          <RefreshCw size={14} />
+        </button>
+        <button
+          type="button"
+          className="synthesis-section-action"
+          onClick={() => onDelete(record)}
+          aria-label={`Delete ${record.filename} from history`}
+        >
+          <Trash2 size={14} />
+        </button>
+      </div>
+    </li>
+  );
+}
+
+/**
+ * Log of previous exports. Cached files can be downloaded again without
+ * regenerating; any export can be re-run with the settings it used.
+ *
+ * @param {ExportHistoryProps} props
+ */
+function ExportHistory({ history, onRerun, disabled = false }) {
+  const [showAll, setShowAll] = useState(false);
+  const toast = useToast();
+  const { records, getFile, deleteRecord, clear } = history;
+
+  const handleDownload = async (record) => {
+    try {
+      const blob = await getFile(record.id);
+      if (!blob) {
+        toast.warning('This file is no longer cached. Re-run the export instead.');
+        return;
+      }
+      downloadBlob(blob, record.filename);
+    } catch (err) {
+      toast.error(`Could not load cached export: ${err.message}`);
+    }
+  };
+
+  const handleDelete = async (record) => {
+    try {
+      await deleteRecord(record.id);
+    } catch (err) {
+      toast.error(`Could not delete export: ${err.message}`);
+    }
+  };
+
+  const handleClear = async () => {
+    if (!confirm(`Delete all ${records.length} logged exports and their cached files?`)) return;
+    try {
+      await clear();
+      toast.success('Export history cleared');
+    } catch (err) {
+      toast.error(`Could not clear export history: ${err.message}`);
+    }
+  };
+
+  if (records.length === 0) return null;
+
+  const shown = showAll ? records : records.slice(0, COLLAPSED_COUNT);
+  const cachedBytes = records.reduce((sum, r) => sum + (r.cached ? r.size : 0), 0);
+
+  return (
+    <Card className="export-history-card">
+      <div className="export-references-header">
+        <History size={24} className="export-format-icon" aria-hidden="true" />
+        <div className="export-format-info">
+          <h3 className="export-format-label">Export History</h3>
+          <p className="export-format-description">
+            {records.length} export{records.length !== 1 ? 's' : ''} &middot; {formatFileSize(cachedBytes)} cached
+          </p>
+        </div>
+        <Button variant="ghost" size="sm" icon={<Trash2 size={14} />} onClick={handleClear}>
+          Clear
+        </Button>
+      </div>
+
+      <ul className="export-history-list">
+        {shown.map((record) => (
+          <HistoryRow
+            key={record.id}
+            record={record}
+            onDownload={handleDownload}
+            onRerun={onRerun}
+            onDelete={handleDelete}
+            disabled={disabled}
+          />
+        ))}
+      </ul>
+
+      {records.length > COLLAPSED_COUNT && (
+        <button
+          type="button"
+          className="conflict-context-toggle"
+          onClick={() => setShowAll(!showAll)}
+          aria-expanded={showAll}
+        >
+          {showAll ? 'Show recent only' : `Show all ${records.length}`}
+        </button>
+      )}
+    </Card>
+  );
+}
+
+export default memo(ExportHistory);
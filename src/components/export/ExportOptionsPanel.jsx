@@ -0,0 +1,245 @@
+import React, { memo, useState } from 'react';
+import { Save, Trash2 } from 'lucide-react';
+import { useToast } from '../../context/ToastContext';
+import {
+  IMAGE_QUALITIES,
+  IMAGE_DPIS,
+  FILENAME_TOKENS,
+  DEFAULT_EXPORT_OPTIONS,
+  buildExportFilename,
+} from '../../utils/exportOptions';
+import { Input, Button } from '../ui';
+
+/**
+ * @typedef {import('../../utils/exportOptions').ExportOptions} ExportOptions
+ * @typedef {import('../../storage/exportPresets').ExportPreset} ExportPreset
+ */
+
+/**
+ * @typedef {Object} ExportOptionsPanelProps
+ * @property {ExportOptions} value - Current export options
+ * @property {(value: ExportOptions) => void} onChange - Called with updated options
+ * @property {string} presetId - Selected preset
+ * @property {(preset: ExportPreset) => void} onSelectPreset - Apply a preset
+ * @property {Object} presetStore - Return value of useExportPresets()
+ * @property {{topic: string, title?: string, version?: number}} chapter - Used for the filename preview
+ * @property {boolean} [disabled=false] - Disable all controls
+ */
+
+const CONTENT_OPTIONS = [
+  { key: 'include_toc', label: 'Table of contents' },
+  { key: 'include_abstract', label: 'Abstract' },
+  { key: 'include_references', label: 'References' },
+  { key: 'include_figures', label: 'Figures' },
+];
+
+/**
+ * Whether options differ from a preset's saved options
+ */
+function isModified(options, preset) {
+  if (!preset) return false;
+  const saved = { ...DEFAULT_EXPORT_OPTIONS, ...preset.options };
+  return Object.keys(DEFAULT_EXPORT_OPTIONS).some((key) => options[key] !== saved[key]);
+}
+
+/**
+ * Export settings: content sections, image quality, attribution, filename
+ * template and saved presets
+ *
+ * @param {ExportOptionsPanelProps} props
+ */
+function ExportOptionsPanel({
+  value,
+  onChange,
+  presetId,
+  onSelectPreset,
+  presetStore,
+  chapter,
+  disabled = false,
+}) {
+  const [presetName, setPresetName] = useState(null);
+  const toast = useToast();
+  const { presets, getPreset, savePreset, deletePreset } = presetStore;
+  const preset = getPreset(presetId);
+  const modified = isModified(value, preset);
+
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const handleSavePreset = async (e) => {
+    e.preventDefault();
+    try {
+      const saved = await savePreset({ name: presetName, options: value });
+      toast.success(`Preset "${saved.name}" saved`);
+      onSelectPreset(saved);
+      setPresetName(null);
+    } catch (err) {
+      toast.error(err.message || 'Failed to save preset');
+    }
+  };
+
+  const handleDeletePreset = async () => {
+    if (!preset || preset.builtin) return;
+    if (!confirm(`Delete preset "${preset.name}"?`)) return;
+    try {
+      await deletePreset(preset.id);
+      onSelectPreset(presets[0]);
+      toast.success(`Deleted "${preset.name}"`);
+    } catch (err) {
+      toast.error(err.message || 'Failed to delete preset');
+    }
+  };
+
+  const filenamePreview = buildExportFilename(value.filenameTemplate, {
+    ...chapter,
+    format: 'pdf',
+    extension: 'pdf',
+  });
+
+  return (
+    <div className="synthesis-scope-editor export-options">
+      <div className="export-options-presets">
+        <label htmlFor="export-preset" className="synthesis-label">
+          Preset{modified ? ' (modified)' : ''}
+        </label>
+        <div className="export-options-preset-row">
+          <select
+            id="export-preset"
+            className="synthesis-select"
+            value={presetId}
+            onChange={(e) => onSelectPreset(getPreset(e.target.value))}
+            disabled={disabled}
+          >
+            <optgroup label="Built-in">
+              {presets.filter((p) => p.builtin).map((p) => (
+                <option key={p.id} value={p.id}>{p.name}</option>
+              ))}
+            </optgroup>
+            {presets.some((p) => !p.builtin) && (
+              <optgroup label="Saved">
+                {presets.filter((p) => !p.builtin).map((p) => (
+                  <option key={p.id} value={p.id}>{p.name}</option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+          <Button
+            variant="ghost"
+            size="sm"
+            icon={<Save size={14} />}
+            onClick={() => setPresetName(preset && !preset.builtin ? preset.name : '')}
+            disabled={disabled}
+          >
+            Save as Preset
+          </Button>
+          {preset && !preset.builtin && (
+            <Button
+              variant="ghost"
+              size="sm"
+              icon={<Trash2 size={14} />}
+              onClick={handleDeletePreset}
+              disabled={disabled}
+              aria-label={`Delete preset ${preset.name}`}
+            />
+          )}
+        </div>
+
+        {presetName !== null && (
+          <form className="export-options-preset-row" onSubmit={handleSavePreset}>
+            <Input
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+              placeholder="Preset name"
+              aria-label="Preset name"
+              autoFocus
+            />
+            <Button type="submit" variant="primary" size="sm" disabled={!presetName.trim()}>
+              Save
+            </Button>
+            <Button type="button" variant="ghost" size="sm" onClick={() => setPresetName(null)}>
+              Cancel
+            </Button>
+          </form>
+        )}
+      </div>
+
+      <fieldset className="synthesis-scope-group">
+        <legend className="synthesis-label">Include</legend>
+        <div className="filter-checkboxes">
+          {CONTENT_OPTIONS.map(({ key, label }) => (
+            <label key={key} className="filter-checkbox">
+              <input
+                type="checkbox"
+                checked={value[key]}
+                onChange={(e) => update({ [key]: e.target.checked })}
+                disabled={disabled}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <div className="synthesis-advanced-attribution">
+        <div className="synthesis-template-selector">
+          <label htmlFor="export-image-quality" className="synthesis-label">
+            Image Quality
+          </label>
+          <select
+            id="export-image-quality"
+            className="synthesis-select"
+            value={value.image_quality}
+            onChange={(e) => update({ image_quality: e.target.value })}
+            disabled={disabled || !value.include_figures}
+          >
+            {IMAGE_QUALITIES.map((q) => (
+              <option key={q.value} value={q.value}>{q.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="synthesis-template-selector">
+          <label htmlFor="export-image-dpi" className="synthesis-label">
+            Image Resolution (PDF)
+          </label>
+          <select
+            id="export-image-dpi"
+            className="synthesis-select"
+            value={value.image_dpi}
+            onChange={(e) => update({ image_dpi: Number(e.target.value) })}
+            disabled={disabled || !value.include_figures}
+          >
+            {IMAGE_DPIS.map((dpi) => (
+              <option key={dpi} value={dpi}>{dpi} DPI</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="synthesis-advanced-attribution">
+        <Input
+          label="Author"
+          value={value.author}
+          onChange={(e) => update({ author: e.target.value })}
+          placeholder="Defaults to the chapter's author"
+          disabled={disabled}
+        />
+        <Input
+          label="Institution"
+          value={value.institution}
+          onChange={(e) => update({ institution: e.target.value })}
+          placeholder="Defaults to the chapter's institution"
+          disabled={disabled}
+        />
+      </div>
+
+      <Input
+        label="Filename"
+        value={value.filenameTemplate}
+        onChange={(e) => update({ filenameTemplate: e.target.value })}
+        hint={`Placeholders: ${FILENAME_TOKENS.join(' ')} — e.g. ${filenamePreview}`}
+        disabled={disabled}
+      />
+    </div>
+  );
+}
+
+export default memo(ExportOptionsPanel);
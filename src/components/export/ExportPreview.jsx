@@ -0,0 +1,253 @@
+import React, { memo, useCallback, useEffect, useRef, useState } from 'react';
+import { Eye, ChevronLeft, ChevronRight, Download, RefreshCw } from 'lucide-react';
+import { api } from '../../api/client';
+import { downloadBlob } from '../../utils/helpers';
+import { Button, Spinner, Alert } from '../ui';
+
+/**
+ * @typedef {Object} ExportPreviewProps
+ * @property {Object} params - Export request parameters (chapter plus export options)
+ * @property {(format: string, extension: string) => string} getFilename - Build the download filename
+ * @property {(format: string, blob: Blob, filename: string) => void} [onDownload] - Called after the rendered file is downloaded
+ * @property {boolean} [disabled=false] - Disable rendering while another export runs
+ */
+
+const PREVIEW_FORMATS = [
+  { id: 'html', label: 'HTML', extension: 'html' },
+  { id: 'pdf', label: 'PDF', extension: 'pdf' },
+];
+
+/**
+ * Screen styles that lay the HTML export out as A4 pages
+ */
+const PAGE_STYLE = `<style data-preview>
+  html { background: #d1d5db; }
+  body {
+    box-sizing: border-box;
+    max-width: 210mm;
+    margin: 0 auto;
+    padding: 20mm 18mm;
+    background: #fff;
+    color: #111;
+  }
+  img { max-width: 100%; height: auto; }
+</style>`;
+
+/**
+ * Apply the export's print rules on screen and add page styling
+ * @param {string} html - HTML export
+ * @returns {string}
+ */
+function toPrintPreview(html) {
+  const printed = html.replace(/@media\s+print/gi, '@media all');
+  return /<\/head>/i.test(printed)
+    ? printed.replace(/<\/head>/i, `${PAGE_STYLE}</head>`)
+    : `${PAGE_STYLE}${printed}`;
+}
+
+/**
+ * Paginated view of the HTML export in a sandboxed iframe. Scripts never
+ * run; same-origin access is kept only so the parent can page through it.
+ */
+function HtmlPages({ html }) {
+  const frameRef = useRef(null);
+  const [page, setPage] = useState(0);
+  const [pageCount, setPageCount] = useState(1);
+
+  const getScroller = () => frameRef.current?.contentDocument?.scrollingElement;
+
+  const handleLoad = () => {
+    const scroller = getScroller();
+    if (!scroller) return;
+    const measure = () => {
+      setPageCount(Math.max(1, Math.ceil(scroller.scrollHeight / scroller.clientHeight)));
+      setPage(Math.round(scroller.scrollTop / scroller.clientHeight));
+    };
+    measure();
+    frameRef.current.contentWindow.addEventListener('scroll', measure);
+    frameRef.current.contentWindow.addEventListener('resize', measure);
+    // Embedded images change the height as they decode
+    frameRef.current.contentDocument.querySelectorAll('img').forEach((img) => {
+      img.addEventListener('load', measure);
+    });
+  };
+
+  const goTo = (index) => {
+    const scroller = getScroller();
+    if (!scroller) return;
+    const target = Math.min(Math.max(index, 0), pageCount - 1);
+    scroller.scrollTo({ top: target * scroller.clientHeight });
+    setPage(target);
+  };
+
+  return (
+    <div className="export-preview-pages">
+      <iframe
+        ref={frameRef}
+        className="export-preview-frame export-preview-page"
+        title="HTML export preview"
+        sandbox="allow-same-origin"
+        srcDoc={toPrintPreview(html)}
+        onLoad={handleLoad}
+      />
+      <div className="export-preview-pager">
+        <Button
+          variant="ghost"
+          size="sm"
+          icon={<ChevronLeft size={14} />}
+          onClick={() => goTo(page - 1)}
+          disabled={page === 0}
+          aria-label="Previous page"
+        />
+        <span className="export-preview-note">
+          Page {page + 1} of {pageCount}
+        </span>
+        <Button
+          variant="ghost"
+          size="sm"
+          icon={<ChevronRight size={14} />}
+          onClick={() => goTo(page + 1)}
+          disabled={page >= pageCount - 1}
+          aria-label="Next page"
+        />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Render an export without downloading it: HTML as paginated pages, PDF in
+ * the browser's viewer. The rendered file can then be downloaded as is.
+ *
+ * @param {ExportPreviewProps} props
+ */
+function ExportPreview({ params, getFilename, onDownload, disabled = false }) {
+  const [format, setFormat] = useState('html');
+  const [previews, setPreviews] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const requestRef = useRef(0);
+
+  // Release the PDF object URL when it is replaced or the preview unmounts
+  const pdfUrl = previews.pdf?.url;
+  useEffect(() => () => {
+    if (pdfUrl) URL.revokeObjectURL(pdfUrl);
+  }, [pdfUrl]);
+
+  const handleRender = useCallback(async () => {
+    const request = ++requestRef.current;
+    setLoading(true);
+    setError(null);
+    try {
+      let next;
+      if (format === 'pdf') {
+        const blob = await api.exportPDF(params);
+        next = { id: request, format, params, blob, url: URL.createObjectURL(blob) };
+      } else {
+        next = { id: request, format, params, html: await api.exportHTML(params) };
+      }
+      if (request !== requestRef.current) {
+        if (next.url) URL.revokeObjectURL(next.url);
+        return;
+      }
+      setPreviews((prev) => ({ ...prev, [format]: next }));
+    } catch (err) {
+      if (request === requestRef.current) {
+        setError(err.message || `Failed to render ${format.toUpperCase()} preview`);
+      }
+    } finally {
+      if (request === requestRef.current) setLoading(false);
+    }
+  }, [format, params]);
+
+  const shown = previews[format];
+
+  const handleDownload = () => {
+    const { extension } = PREVIEW_FORMATS.find((f) => f.id === shown.format);
+    const filename = getFilename(shown.format, extension);
+    const blob = shown.blob || new Blob([shown.html], { type: 'text/html' });
+    downloadBlob(blob, filename);
+    onDownload?.(shown.format, blob, filename);
+  };
+
+  const stale = shown && shown.params !== params;
+
+  return (
+    <div className="export-preview-render">
+      <div className="export-preview-toolbar">
+        <div className="export-preview-formats" role="radiogroup" aria-label="Preview format">
+          {PREVIEW_FORMATS.map((f) => (
+            <button
+              key={f.id}
+              type="button"
+              role="radio"
+              aria-checked={format === f.id}
+              className={`conflict-action ${format === f.id ? 'active' : ''}`}
+              onClick={() => setFormat(f.id)}
+            >
+              {f.label}
+            </button>
+          ))}
+        </div>
+        <Button
+          variant="secondary"
+          size="sm"
+          icon={shown ? <RefreshCw size={14} /> : <Eye size={14} />}
+          onClick={handleRender}
+          loading={loading}
+          disabled={disabled || loading}
+        >
+          {shown ? 'Re-render' : 'Render Preview'}
+        </Button>
+        {shown && (
+          <Button
+            variant="primary"
+            size="sm"
+            icon={<Download size={14} />}
+            onClick={handleDownload}
+            disabled={loading}
+          >
+            Download This {shown.format.toUpperCase()}
+          </Button>
+        )}
+      </div>
+
+      {format === 'pdf' && !shown && !loading && (
+        <p className="export-preview-note">
+          PDF rendering can take a couple of minutes. The rendered file can be downloaded
+          from here without rendering it again.
+        </p>
+      )}
+
+      {stale && (
+        <Alert variant="warning">
+          Export settings or chapter changed since this preview was rendered.
+        </Alert>
+      )}
+
+      {error && (
+        <Alert variant="error" onDismiss={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {loading && !shown && (
+        <div className="export-preview-loading">
+          <Spinner label={`Rendering ${format.toUpperCase()} preview...`} />
+        </div>
+      )}
+
+      {shown?.html != null && <HtmlPages key={shown.id} html={shown.html} />}
+
+      {shown?.url && (
+        <iframe
+          className="export-preview-frame export-preview-page"
+          title="PDF export preview"
+          src={`${shown.url}#page=1&view=FitH`}
+        />
+      )}
+    </div>
+  );
+}
+
+export default memo(ExportPreview);
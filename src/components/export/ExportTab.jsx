@@ -1,9 +1,24 @@
-import React, { memo, useCallback, useState } from 'react';
-import { Download, FileText, Code, FileType, File, AlertCircle } from 'lucide-react';
+import React, { memo, useCallback, useEffect, useMemo, useState } from 'react';
+import { Download, FileText, Code, FileType, File, BookOpen, Globe, AlertCircle, Settings } from 'lucide-react';
 import { api } from '../../api/client';
 import { useSynthesisOutput } from '../../context/SynthesisContext';
-import { downloadBlob, downloadText } from '../../utils/helpers';
+import { useSynthesisLibrary } from '../../hooks/useSynthesisLibrary';
+import { useExportPresets } from '../../hooks/useExportPresets';
+import { useExportHistory } from '../../hooks/useExportHistory';
+import { useDocuments } from '../../hooks/useApi';
+import { downloadBlob, formatDate } from '../../utils/helpers';
+import {
+  DEFAULT_EXPORT_OPTIONS,
+  BUILTIN_EXPORT_PRESETS,
+  buildExportFilename,
+  withExportOptions,
+} from '../../utils/exportOptions';
+import { buildEPUB, buildOfflineHTML } from '../../utils/offlineExport';
 import { Button, Card, Spinner, Alert } from '../ui';
+import ExportOptionsPanel from './ExportOptionsPanel';
+import ReferenceExport from './ReferenceExport';
+import ExportPreview from './ExportPreview';
+import ExportHistory from './ExportHistory';
 
 const EXPORT_FORMATS = [
   {
@@ -34,6 +49,22 @@ const EXPORT_FORMATS = [
     description: 'Plain text Markdown for documentation',
     extension: 'md',
   },
+  {
+    id: 'epub',
+    label: 'EPUB',
+    icon: BookOpen,
+    description: 'EPUB 3 e-book for tablets and e-readers, built in the browser',
+    extension: 'epub',
+    clientSide: true,
+  },
+  {
+    id: 'offline-html',
+    label: 'Offline HTML',
+    icon: Globe,
+    description: 'Single file with images and styles inlined, readable without a connection',
+    extension: 'html',
+    clientSide: true,
+  },
 ];
 
 /**
@@ -43,19 +74,86 @@ function ExportTab() {
   const [exporting, setExporting] = useState(null);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
+  const [showOptions, setShowOptions] = useState(false);
+  const [presetId, setPresetId] = useState(BUILTIN_EXPORT_PRESETS[0].id);
+  const [options, setOptions] = useState(DEFAULT_EXPORT_OPTIONS);
+  const [pendingRerun, setPendingRerun] = useState(null);
 
   // Get content from SynthesisContext (shared with SynthesisTab)
-  const { content: synthesisContent, topic, hasContent } = useSynthesisOutput();
-
-  // Build export payload from synthesis output
-  const content = hasContent ? {
-    topic,
-    title: topic,
+  const {
     content: synthesisContent,
-  } : null;
+    topic,
+    hasContent,
+    result,
+    exportParams,
+    entryId,
+    loadEntry,
+  } = useSynthesisOutput();
+  const { entries: savedChapters } = useSynthesisLibrary();
+  const { documents, fetchDocuments } = useDocuments();
+  const presetStore = useExportPresets();
+  const history = useExportHistory();
+  const { record: recordExport } = history;
+  const activePreset = presetStore.getPreset(presetId);
+
+  const version = savedChapters.find((entry) => entry.id === entryId)?.version;
+  const chapter = useMemo(
+    () => ({ topic, title: exportParams?.title, version }),
+    [topic, exportParams, version]
+  );
+
+  // Document metadata fills in authors, years and publishers for citations
+  useEffect(() => {
+    fetchDocuments().catch((err) => {
+      console.warn('Document metadata unavailable for reference export:', err);
+    });
+  }, [fetchDocuments]);
+
+  const requestParams = useMemo(
+    () => (exportParams ? withExportOptions(exportParams, options) : null),
+    [exportParams, options]
+  );
+
+  const getFilename = useCallback((format, extension) => buildExportFilename(
+    options.filenameTemplate,
+    { ...chapter, format, extension }
+  ), [options.filenameTemplate, chapter]);
+
+  const handleSelectPreset = useCallback((preset) => {
+    if (!preset) return;
+    setPresetId(preset.id);
+    setOptions({ ...DEFAULT_EXPORT_OPTIONS, ...preset.options });
+  }, []);
+
+  const logExport = useCallback((format, blob, filename) => {
+    recordExport({
+      format: format.id,
+      formatLabel: format.label,
+      filename,
+      blob,
+      options,
+      presetId: activePreset?.id,
+      presetName: activePreset?.name,
+      entryId: entryId || null,
+      topic,
+      title: chapter.title,
+      version: chapter.version,
+    }).catch((err) => {
+      console.warn('Failed to log export:', err);
+    });
+  }, [recordExport, options, activePreset, entryId, topic, chapter]);
+
+  const handleSourceChange = useCallback((e) => {
+    const entry = savedChapters.find((item) => item.id === e.target.value);
+    if (entry) {
+      loadEntry(entry);
+      setSuccess(null);
+      setError(null);
+    }
+  }, [savedChapters, loadEntry]);
 
   const handleExport = useCallback(async (format) => {
-    if (!content) {
+    if (!requestParams) {
       setError('No synthesis content to export. Generate a synthesis first.');
       return;
     }
@@ -65,38 +163,71 @@ function ExportTab() {
     setSuccess(null);
 
     try {
-      const filename = `neurosynth-export-${Date.now()}.${format.extension}`;
+      const filename = getFilename(format.id, format.extension);
+      let blob;
 
       switch (format.id) {
-        case 'pdf': {
-          const blob = await api.exportPDF(content);
-          downloadBlob(blob, filename);
+        case 'pdf':
+          blob = await api.exportPDF(requestParams);
+          break;
+        case 'html':
+          blob = new Blob([await api.exportHTML(requestParams)], { type: 'text/html' });
           break;
-        }
-        case 'html': {
-          const html = await api.exportHTML(content);
-          downloadText(html, filename, 'text/html');
+        case 'docx':
+          blob = await api.exportDOCX(requestParams);
           break;
-        }
-        case 'docx': {
-          const blob = await api.exportDOCX(content);
-          downloadBlob(blob, filename);
+        case 'markdown':
+          blob = new Blob([await api.exportMarkdown(requestParams)], { type: 'text/markdown' });
           break;
-        }
-        case 'markdown': {
-          const md = await api.exportMarkdown(content);
-          downloadText(md, filename, 'text/markdown');
+        case 'epub':
+          blob = await buildEPUB(requestParams);
+          break;
+        case 'offline-html':
+          blob = new Blob([await buildOfflineHTML(requestParams)], { type: 'text/html' });
           break;
-        }
       }
 
+      downloadBlob(blob, filename);
+      logExport(format, blob, filename);
       setSuccess(`Exported as ${format.label} successfully`);
     } catch (err) {
       setError(err.message || `Failed to export as ${format.label}`);
     } finally {
       setExporting(null);
     }
-  }, [content]);
+  }, [requestParams, getFilename, logExport]);
+
+  const handlePreviewDownload = useCallback((formatId, blob, filename) => {
+    logExport(EXPORT_FORMATS.find((f) => f.id === formatId), blob, filename);
+  }, [logExport]);
+
+  const handleRerun = useCallback((record) => {
+    const format = EXPORT_FORMATS.find((f) => f.id === record.format);
+    if (!format) return;
+
+    if (record.entryId) {
+      const entry = savedChapters.find((item) => item.id === record.entryId);
+      if (!entry) {
+        setError('The chapter version used for this export is no longer in the library.');
+        return;
+      }
+      if (entry.id !== entryId) loadEntry(entry);
+    } else if (record.topic !== topic) {
+      setError('This export was made from an unsaved chapter that is no longer open.');
+      return;
+    }
+
+    if (record.presetId) setPresetId(record.presetId);
+    setOptions({ ...DEFAULT_EXPORT_OPTIONS, ...record.options });
+    setPendingRerun(format);
+  }, [savedChapters, entryId, topic, loadEntry]);
+
+  // Re-runs start after the restored chapter and settings reach requestParams
+  useEffect(() => {
+    if (!pendingRerun) return;
+    setPendingRerun(null);
+    handleExport(pendingRerun);
+  }, [pendingRerun, handleExport]);
 
   return (
     <div className="export-tab" role="region" aria-label="Export options">
@@ -122,6 +253,59 @@ function ExportTab() {
         </Alert>
       )}
 
+      {savedChapters.length > 0 && (
+        <Card className="export-source-card">
+          <label htmlFor="export-source" className="synthesis-label">
+            Chapter to export
+          </label>
+          <select
+            id="export-source"
+            className="synthesis-select"
+            value={entryId || ''}
+            onChange={handleSourceChange}
+            disabled={exporting !== null}
+          >
+            {!entryId && (
+              <option value="" disabled>
+                {hasContent ? `Current chapter: ${topic}` : 'Select a saved chapter...'}
+              </option>
+            )}
+            {savedChapters.map((entry) => (
+              <option key={entry.id} value={entry.id}>
+                {entry.name} (v{entry.version}, {formatDate(entry.createdAt)})
+              </option>
+            ))}
+          </select>
+        </Card>
+      )}
+
+      <Card className="export-source-card">
+        <Button
+          variant="ghost"
+          size="sm"
+          icon={<Settings size={14} />}
+          onClick={() => setShowOptions(!showOptions)}
+          aria-expanded={showOptions}
+          aria-controls="export-options"
+        >
+          {`Export settings: ${activePreset?.name || 'Custom'}`}
+        </Button>
+
+        {showOptions && (
+          <div id="export-options">
+            <ExportOptionsPanel
+              value={options}
+              onChange={setOptions}
+              presetId={presetId}
+              onSelectPreset={handleSelectPreset}
+              presetStore={presetStore}
+              chapter={chapter}
+              disabled={exporting !== null}
+            />
+          </div>
+        )}
+      </Card>
+
       <div className="export-formats" role="list" aria-label="Available export formats">
         {EXPORT_FORMATS.map((format) => {
           const Icon = format.icon;
@@ -145,7 +329,7 @@ function ExportTab() {
               <Button
                 variant="primary"
                 onClick={() => handleExport(format)}
-                disabled={!hasContent || isExporting || exporting !== null}
+                disabled={!hasContent || (format.clientSide && !result) || isExporting || exporting !== null}
                 aria-label={`Export as ${format.label}`}
               >
                 {isExporting ? (
@@ -165,6 +349,21 @@ function ExportTab() {
         })}
       </div>
 
+      {result && (
+        <ReferenceExport
+          references={result.references || []}
+          documents={documents}
+          filenameTemplate={options.filenameTemplate}
+          chapter={chapter}
+        />
+      )}
+
+      <ExportHistory
+        history={history}
+        onRerun={handleRerun}
+        disabled={exporting !== null}
+      />
+
       <Card className="export-preview-card">
         <h3>Preview</h3>
         {hasContent ? (
@@ -173,6 +372,12 @@ function ExportTab() {
             <p className="export-preview-note">
               {synthesisContent.length.toLocaleString()} characters ready for export.
             </p>
+            <ExportPreview
+              params={requestParams}
+              getFilename={getFilename}
+              onDownload={handlePreviewDownload}
+              disabled={exporting !== null}
+            />
           </div>
         ) : (
           <div className="export-preview-empty">
@@ -0,0 +1,132 @@
+import React, { memo, useMemo, useState } from 'react';
+import { BookMarked, Download, ChevronDown, ChevronUp } from 'lucide-react';
+import { useToast } from '../../context/ToastContext';
+import { collectCitations, toBibTeX, toRIS, toCSLJSON } from '../../utils/citations';
+import { buildExportFilename } from '../../utils/exportOptions';
+import { downloadText } from '../../utils/helpers';
+import { Button, Card } from '../ui';
+
+/**
+ * @typedef {Object} ReferenceExportProps
+ * @property {Array} references - SynthesisReference[] from the chapter
+ * @property {Object[]} documents - Document metadata used to complete citations
+ * @property {string} filenameTemplate - Filename template from the export settings
+ * @property {{topic: string, title?: string, version?: number}} chapter - Filename values
+ */
+
+const REFERENCE_FORMATS = [
+  {
+    id: 'bibtex',
+    label: 'BibTeX',
+    description: 'LaTeX, JabRef, Zotero',
+    extension: 'bib',
+    mimeType: 'application/x-bibtex',
+    serialize: toBibTeX,
+  },
+  {
+    id: 'ris',
+    label: 'RIS',
+    description: 'EndNote, Zotero, Mendeley',
+    extension: 'ris',
+    mimeType: 'application/x-research-info-systems',
+    serialize: toRIS,
+  },
+  {
+    id: 'csl-json',
+    label: 'CSL-JSON',
+    description: 'Zotero, Pandoc citeproc',
+    extension: 'json',
+    mimeType: 'application/json',
+    serialize: toCSLJSON,
+  },
+];
+
+/**
+ * Download the chapter's references for reference managers. Files are
+ * generated in the browser from the synthesis references and document metadata.
+ *
+ * @param {ReferenceExportProps} props
+ */
+function ReferenceExport({ references, documents, filenameTemplate, chapter }) {
+  const [showList, setShowList] = useState(false);
+  const toast = useToast();
+
+  const citations = useMemo(
+    () => collectCitations(references, documents),
+    [references, documents]
+  );
+
+  const handleDownload = (format) => {
+    const filename = buildExportFilename(filenameTemplate, {
+      ...chapter,
+      format: format.id,
+      extension: format.extension,
+    });
+    downloadText(format.serialize(citations), filename, format.mimeType);
+    toast.success(`Exported ${citations.length} reference${citations.length !== 1 ? 's' : ''} as ${format.label}`);
+  };
+
+  return (
+    <Card className="export-references-card">
+      <div className="export-references-header">
+        <BookMarked size={24} className="export-format-icon" aria-hidden="true" />
+        <div className="export-format-info">
+          <h3 className="export-format-label">References</h3>
+          <p className="export-format-description">
+            {citations.length > 0
+              ? `${citations.length} unique source${citations.length !== 1 ? 's' : ''} from ${references.length} citation${references.length !== 1 ? 's' : ''}`
+              : 'This chapter has no references to export.'}
+          </p>
+        </div>
+      </div>
+
+      <div className="export-references-actions">
+        {REFERENCE_FORMATS.map((format) => (
+          <Button
+            key={format.id}
+            variant="secondary"
+            size="sm"
+            icon={<Download size={14} />}
+            onClick={() => handleDownload(format)}
+            disabled={citations.length === 0}
+            title={format.description}
+            aria-label={`Export references as ${format.label}`}
+          >
+            {format.label}
+          </Button>
+        ))}
+      </div>
+
+      {citations.length > 0 && (
+        <>
+          <button
+            type="button"
+            className="conflict-context-toggle"
+            onClick={() => setShowList(!showList)}
+            aria-expanded={showList}
+            aria-controls="export-references-list"
+          >
+            {showList ? <ChevronUp size={12} /> : <ChevronDown size={12} />}
+            Citation keys
+          </button>
+          {showList && (
+            <ul id="export-references-list" className="export-references-list">
+              {citations.map((citation) => (
+                <li key={citation.key}>
+                  <code>{citation.key}</code>
+                  <span>
+                    {citation.title}
+                    {citation.year ? ` (${citation.year})` : ''}
+                    {citation.pages.length > 0 ? ` — p. ${citation.pages.join(', ')}` : ''}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </Card>
+  );
+}
+
+export default memo(ReferenceExport);
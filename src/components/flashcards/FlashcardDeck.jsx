@@ -0,0 +1,223 @@
+import React, { memo, useMemo, useState } from 'react';
+import { GraduationCap, Download, Pencil, X, Check } from 'lucide-react';
+import { useToast } from '../../context/ToastContext';
+import { toAnkiTSV, toFlashcardCSV } from '../../utils/flashcards';
+import { downloadText } from '../../utils/helpers';
+import { Button, Badge, EmptyState } from '../ui';
+import StudyMode from './StudyMode';
+
+/**
+ * @typedef {import('../../utils/flashcards').Flashcard} Flashcard
+ */
+
+/**
+ * @typedef {Object} FlashcardDeckProps
+ * @property {Flashcard[]} cards - Generated cards
+ * @property {string} name - Deck name, used for filenames
+ */
+
+const KIND_LABELS = {
+  section: 'Sections',
+  fact: 'Key numbers',
+  conflict: 'Conflicts',
+  chunk: 'Passages',
+};
+
+/**
+ * Turn a deck name into a filename
+ */
+function toFilename(name, extension) {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'flashcards';
+  return `${base}-flashcards.${extension}`;
+}
+
+/**
+ * One card in the deck list, editable in place
+ */
+const DeckCard = memo(function DeckCard({ card, index, onUpdate, onRemove }) {
+  const [draft, setDraft] = useState(null);
+
+  if (draft) {
+    return (
+      <li className="flashcard-item editing">
+        <textarea
+          value={draft.front}
+          onChange={(e) => setDraft({ ...draft, front: e.target.value })}
+          rows={2}
+          aria-label={`Card ${index + 1} question`}
+        />
+        <textarea
+          value={draft.back}
+          onChange={(e) => setDraft({ ...draft, back: e.target.value })}
+          rows={3}
+          aria-label={`Card ${index + 1} answer`}
+        />
+        <div className="synthesis-section-editor-actions">
+          <Button variant="ghost" size="sm" onClick={() => setDraft(null)}>
+            Cancel
+          </Button>
+          <Button
+            variant="primary"
+            size="sm"
+            icon={<Check size={14} />}
+            onClick={() => {
+              onUpdate(card.id, draft);
+              setDraft(null);
+            }}
+            disabled={!draft.front.trim() || !draft.back.trim()}
+          >
+            Save
+          </Button>
+        </div>
+      </li>
+    );
+  }
+
+  return (
+    <li className="flashcard-item">
+      <div className="flashcard-item-text">
+        <p className="flashcard-item-front">{card.front}</p>
+        <p className="flashcard-item-back">{card.back}</p>
+        <p className="flashcard-source">Source: {card.source}</p>
+      </div>
+      <div className="synthesis-section-actions">
+        <button
+          type="button"
+          className="synthesis-section-action"
+          onClick={() => setDraft({ front: card.front, back: card.back })}
+          aria-label={`Edit card ${index + 1}`}
+        >
+          <Pencil size={14} />
+        </button>
+        <button
+          type="button"
+          className="synthesis-section-action"
+          onClick={() => onRemove(card.id)}
+          aria-label={`Remove card ${index + 1}`}
+        >
+          <X size={14} />
+        </button>
+      </div>
+    </li>
+  );
+});
+
+/**
+ * Review, trim and export a generated flashcard deck, or study it in the app
+ *
+ * @param {FlashcardDeckProps} props
+ */
+function FlashcardDeck({ cards: initialCards, name }) {
+  const [cards, setCards] = useState(initialCards);
+  const [hiddenKinds, setHiddenKinds] = useState([]);
+  const [studying, setStudying] = useState(false);
+  const toast = useToast();
+
+  const kinds = useMemo(
+    () => Object.keys(KIND_LABELS).filter((kind) => cards.some((c) => c.kind === kind)),
+    [cards]
+  );
+  const deck = useMemo(
+    () => cards.filter((card) => !hiddenKinds.includes(card.kind)),
+    [cards, hiddenKinds]
+  );
+
+  const updateCard = (id, changes) => {
+    setCards((prev) => prev.map((c) => (c.id === id ? { ...c, ...changes } : c)));
+  };
+
+  const removeCard = (id) => {
+    setCards((prev) => prev.filter((c) => c.id !== id));
+  };
+
+  const toggleKind = (kind) => {
+    setHiddenKinds((prev) => (prev.includes(kind) ? prev.filter((k) => k !== kind) : [...prev, kind]));
+  };
+
+  const handleExport = (format) => {
+    if (format === 'tsv') {
+      downloadText(toAnkiTSV(deck), toFilename(name, 'txt'), 'text/tab-separated-values');
+    } else {
+      downloadText(toFlashcardCSV(deck), toFilename(name, 'csv'), 'text/csv');
+    }
+    toast.success(`Exported ${deck.length} card${deck.length !== 1 ? 's' : ''}`);
+  };
+
+  if (studying) {
+    return <StudyMode cards={deck} onExit={() => setStudying(false)} />;
+  }
+
+  if (cards.length === 0) {
+    return (
+      <EmptyState
+        icon={<GraduationCap size={48} />}
+        title="No Cards Generated"
+        description="There was not enough text to build flashcards from."
+      />
+    );
+  }
+
+  return (
+    <div className="flashcard-deck">
+      <div className="flashcard-deck-toolbar">
+        <div className="filter-checkboxes">
+          {kinds.map((kind) => (
+            <label key={kind} className="filter-checkbox">
+              <input
+                type="checkbox"
+                checked={!hiddenKinds.includes(kind)}
+                onChange={() => toggleKind(kind)}
+              />
+              {KIND_LABELS[kind]}
+              <Badge size="sm">{cards.filter((c) => c.kind === kind).length}</Badge>
+            </label>
+          ))}
+        </div>
+        <div className="flashcard-deck-actions">
+          <Button
+            variant="ghost"
+            size="sm"
+            icon={<Download size={14} />}
+            onClick={() => handleExport('tsv')}
+            disabled={deck.length === 0}
+            title="Tab-separated text for File → Import in Anki"
+          >
+            Anki (TSV)
+          </Button>
+          <Button
+            variant="ghost"
+            size="sm"
+            icon={<Download size={14} />}
+            onClick={() => handleExport('csv')}
+            disabled={deck.length === 0}
+          >
+            CSV
+          </Button>
+          <Button
+            variant="primary"
+            size="sm"
+            icon={<GraduationCap size={14} />}
+            onClick={() => setStudying(true)}
+            disabled={deck.length === 0}
+          >
+            Study {deck.length}
+          </Button>
+        </div>
+      </div>
+
+      <ol className="flashcard-list">
+        {deck.map((card, i) => (
+          <DeckCard
+            key={card.id}
+            card={card}
+            index={i}
+            onUpdate={updateCard}
+            onRemove={removeCard}
+          />
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export default memo(FlashcardDeck);
@@ -0,0 +1,138 @@
+import React, { memo, useCallback, useEffect, useState } from 'react';
+import { RotateCcw, Check, Repeat, ArrowLeft } from 'lucide-react';
+import { Button, Progress } from '../ui';
+
+/**
+ * @typedef {import('../../utils/flashcards').Flashcard} Flashcard
+ */
+
+// Cards marked "Again" come back after this many other cards
+const AGAIN_OFFSET = 3;
+
+/**
+ * Shuffle a list, returning a new list
+ */
+function shuffle(list) {
+  const next = [...list];
+  for (let i = next.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [next[i], next[j]] = [next[j], next[i]];
+  }
+  return next;
+}
+
+/**
+ * In-app review: flip each card, then mark it Good (done) or Again (seen
+ * again shortly). Space flips, 1 is Again, 2 is Good.
+ *
+ * @param {{ cards: Flashcard[], onExit: Function }} props
+ */
+function StudyMode({ cards, onExit }) {
+  const [queue, setQueue] = useState(() => shuffle(cards));
+  const [flipped, setFlipped] = useState(false);
+  const [reviews, setReviews] = useState(0);
+  const [lapses, setLapses] = useState(0);
+
+  const current = queue[0];
+  const done = cards.length - new Set(queue.map((c) => c.id)).size;
+
+  const answer = useCallback((good) => {
+    setQueue((prev) => {
+      const [card, ...rest] = prev;
+      if (good) return rest;
+      const next = [...rest];
+      next.splice(Math.min(AGAIN_OFFSET, next.length), 0, card);
+      return next;
+    });
+    setReviews((n) => n + 1);
+    if (!good) setLapses((n) => n + 1);
+    setFlipped(false);
+  }, []);
+
+  const restart = () => {
+    setQueue(shuffle(cards));
+    setFlipped(false);
+    setReviews(0);
+    setLapses(0);
+  };
+
+  useEffect(() => {
+    if (!current) return;
+    const handleKey = (e) => {
+      if (e.target.closest('input, textarea, select')) return;
+      if (e.key === ' ') {
+        e.preventDefault();
+        setFlipped((f) => !f);
+      } else if (flipped && e.key === '1') {
+        answer(false);
+      } else if (flipped && e.key === '2') {
+        answer(true);
+      }
+    };
+    document.addEventListener('keydown', handleKey);
+    return () => document.removeEventListener('keydown', handleKey);
+  }, [current, flipped, answer]);
+
+  if (!current) {
+    return (
+      <div className="flashcard-study flashcard-study-done">
+        <h3>Deck complete</h3>
+        <p className="export-preview-note">
+          {cards.length} card{cards.length !== 1 ? 's' : ''} in {reviews} review{reviews !== 1 ? 's' : ''}
+          {lapses > 0 ? ` · ${lapses} marked "Again"` : ''}
+        </p>
+        <div className="flashcard-study-actions">
+          <Button variant="ghost" icon={<ArrowLeft size={16} />} onClick={onExit}>
+            Back to Deck
+          </Button>
+          <Button variant="primary" icon={<RotateCcw size={16} />} onClick={restart}>
+            Study Again
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flashcard-study">
+      <Progress
+        value={(done / cards.length) * 100}
+        label={`${done} of ${cards.length} learned`}
+        showValue={false}
+      />
+
+      <button
+        type="button"
+        className={`flashcard ${flipped ? 'flipped' : ''}`}
+        onClick={() => setFlipped(!flipped)}
+        aria-label={flipped ? 'Show question' : 'Show answer'}
+      >
+        <span className="flashcard-side-label">{flipped ? 'Answer' : 'Question'}</span>
+        <span className="flashcard-text">{flipped ? current.back : current.front}</span>
+        {flipped && <span className="flashcard-source">Source: {current.source}</span>}
+      </button>
+
+      <div className="flashcard-study-actions">
+        <Button variant="ghost" size="sm" icon={<ArrowLeft size={14} />} onClick={onExit}>
+          Deck
+        </Button>
+        {flipped ? (
+          <>
+            <Button variant="secondary" icon={<Repeat size={16} />} onClick={() => answer(false)}>
+              Again (1)
+            </Button>
+            <Button variant="primary" icon={<Check size={16} />} onClick={() => answer(true)}>
+              Good (2)
+            </Button>
+          </>
+        ) : (
+          <Button variant="primary" onClick={() => setFlipped(true)}>
+            Show Answer (Space)
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default memo(StudyMode);
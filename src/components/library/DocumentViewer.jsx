@@ -1,14 +1,64 @@
-import React, { memo, useState, useEffect, useCallback } from 'react';
+import React, { memo, useState, useEffect, useCallback, useRef } from 'react';
 import { X, FileText, Image as ImageIcon, Info, ChevronLeft, ChevronRight, Layers, Tag } from 'lucide-react';
 import { api } from '../../api/client';
 import { Spinner, Badge, ImagePreviewModal } from '../ui';
 import { useToast } from '../../context/ToastContext';
 
+/**
+ * @typedef {Object} ChunkFocus
+ * @property {string} [chunkId] - Chunk to jump to
+ * @property {number} [page] - Page the chunk is on, used when the ID is unknown
+ * @property {string} [text] - Passage to highlight inside the chunk
+ */
+
+const CHUNKS_PER_PAGE = 20;
+// Upper bound on chunk pages scanned when locating a focused chunk
+const MAX_FOCUS_PAGES = 25;
+
+/**
+ * Normalize text for passage matching
+ */
+function normalizeText(text) {
+  return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Whether a chunk is the one a focus target points at
+ * @returns {'exact'|'page'|null} Match strength
+ */
+function matchChunk(chunk, focus) {
+  if (focus.chunkId && chunk.id === focus.chunkId) return 'exact';
+  const passage = normalizeText(focus.text);
+  if (passage && normalizeText(chunk.content).includes(passage)) return 'exact';
+  if (focus.page && chunk.page_number === focus.page) return 'page';
+  return null;
+}
+
+/**
+ * Render chunk content with a passage highlighted, when it appears verbatim
+ */
+function HighlightedContent({ content, passage }) {
+  const index = passage ? content.toLowerCase().indexOf(passage.toLowerCase().trim()) : -1;
+  if (index === -1) return content;
+
+  const end = index + passage.trim().length;
+  return (
+    <>
+      {content.slice(0, index)}
+      <mark className="chunk-highlight">{content.slice(index, end)}</mark>
+      {content.slice(end)}
+    </>
+  );
+}
+
 /**
  * Document Viewer Modal
- * Displays document details, chunks, and images in a tabbed interface
+ * Displays document details, chunks, and images in a tabbed interface.
+ * When `focus` is given, the chunk it points at is located, scrolled to and highlighted.
+ *
+ * @param {{ documentId: string, onClose: Function, focus?: ChunkFocus }} props
  */
-function DocumentViewer({ documentId, onClose }) {
+function DocumentViewer({ documentId, onClose, focus = null }) {
   const [activeTab, setActiveTab] = useState('chunks');
   const [docData, setDocData] = useState(null);
   const [chunks, setChunks] = useState([]);
@@ -21,11 +71,61 @@ function DocumentViewer({ documentId, onClose }) {
   const [totalImages, setTotalImages] = useState(0);
   const [expandedChunks, setExpandedChunks] = useState(new Set());
   const [previewImage, setPreviewImage] = useState(null);
+  const [focusedChunkId, setFocusedChunkId] = useState(null);
+  const [locating, setLocating] = useState(Boolean(focus));
+  const focusedChunkRef = useRef(null);
   const toast = useToast();
 
-  const CHUNKS_PER_PAGE = 20;
   const IMAGES_PER_PAGE = 12;
 
+  // Locate the focused chunk by scanning chunk pages until it turns up
+  useEffect(() => {
+    if (!focus) return;
+    let cancelled = false;
+
+    const locateChunk = async () => {
+      setLocating(true);
+      let found = null;
+      try {
+        for (let page = 1; page <= MAX_FOCUS_PAGES; page++) {
+          const result = await api.getDocumentChunks(documentId, {
+            page,
+            page_size: CHUNKS_PER_PAGE
+          });
+          if (cancelled) return;
+
+          const pageChunks = result.chunks || [];
+          for (const chunk of pageChunks) {
+            const match = matchChunk(chunk, focus);
+            if (match === 'exact') {
+              found = { page, chunkId: chunk.id };
+              break;
+            }
+            if (match === 'page' && !found) {
+              found = { page, chunkId: chunk.id, weak: true };
+            }
+          }
+          if ((found && !found.weak) || page * CHUNKS_PER_PAGE >= (result.total || 0)) break;
+        }
+
+        if (found) {
+          setChunksPage(found.page);
+          setFocusedChunkId(found.chunkId);
+          setExpandedChunks(new Set([found.chunkId]));
+        } else {
+          toast.info('Could not locate the cited passage in this document');
+        }
+      } catch (err) {
+        if (!cancelled) toast.error('Failed to locate cited passage');
+      } finally {
+        if (!cancelled) setLocating(false);
+      }
+    };
+    locateChunk();
+
+    return () => { cancelled = true; };
+  }, [documentId, focus]);
+
   // Fetch document details
   useEffect(() => {
     const fetchDocument = async () => {
@@ -45,6 +145,7 @@ function DocumentViewer({ documentId, onClose }) {
 
   // Fetch chunks
   useEffect(() => {
+    if (locating) return;
     const fetchChunks = async () => {
       try {
         setLoading(prev => ({ ...prev, chunks: true }));
@@ -61,7 +162,14 @@ function DocumentViewer({ documentId, onClose }) {
       }
     };
     fetchChunks();
-  }, [documentId, chunksPage]);
+  }, [documentId, chunksPage, locating]);
+
+  // Bring the focused chunk into view once its page has rendered
+  useEffect(() => {
+    if (focusedChunkId && !loading.chunks) {
+      focusedChunkRef.current?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+  }, [focusedChunkId, loading.chunks]);
 
   // Fetch images
   useEffect(() => {
@@ -185,7 +293,9 @@ function DocumentViewer({ documentId, onClose }) {
           {/* Chunks Tab */}
           {activeTab === 'chunks' && (
             <div className="doc-viewer-chunks">
-              {loading.chunks ? (
+              {locating ? (
+                <div className="doc-viewer-loading"><Spinner /> Locating cited passage...</div>
+              ) : loading.chunks ? (
                 <div className="doc-viewer-loading"><Spinner /> Loading chunks...</div>
               ) : chunks.length === 0 ? (
                 <div className="doc-viewer-empty">No chunks found</div>
@@ -193,7 +303,11 @@ function DocumentViewer({ documentId, onClose }) {
                 <>
                   <div className="chunks-list">
                     {chunks.map((chunk, idx) => (
-                      <div key={chunk.id} className="chunk-item">
+                      <div
+                        key={chunk.id}
+                        ref={chunk.id === focusedChunkId ? focusedChunkRef : undefined}
+                        className={`chunk-item ${chunk.id === focusedChunkId ? 'focused' : ''}`}
+                      >
                         <div className="chunk-header" onClick={() => toggleChunk(chunk.id)}>
                           <div className="chunk-badges">
                             <Badge variant="default" size="sm">
@@ -214,7 +328,9 @@ function DocumentViewer({ documentId, onClose }) {
                           <div className="chunk-summary">{chunk.summary}</div>
                         )}
                         <div className={`chunk-content ${expandedChunks.has(chunk.id) ? 'expanded' : ''}`}>
-                          {chunk.content}
+                          {chunk.id === focusedChunkId ? (
+                            <HighlightedContent content={chunk.content || ''} passage={focus?.text} />
+                          ) : chunk.content}
                         </div>
                         {chunk.cuis && chunk.cuis.length > 0 && expandedChunks.has(chunk.id) && (
                           <div className="chunk-cuis">
@@ -0,0 +1,122 @@
+import React, { memo } from 'react';
+import { Input } from '../ui';
+
+/**
+ * @typedef {Object} AdvancedSynthesisOptions
+ * @property {number} max_chunks - Maximum source chunks retrieved
+ * @property {boolean} include_figures - Resolve figures into the chapter
+ * @property {boolean} gemini_verification - Run the verification pass
+ * @property {string} author - Author shown on the chapter
+ * @property {string} institution - Institution shown on the chapter
+ */
+
+/**
+ * Defaults matching the backend request defaults
+ * @type {AdvancedSynthesisOptions}
+ */
+export const DEFAULT_ADVANCED_OPTIONS = {
+  max_chunks: 50,
+  include_figures: true,
+  gemini_verification: false,
+  author: '',
+  institution: '',
+};
+
+/**
+ * Count options that differ from the defaults
+ * @param {AdvancedSynthesisOptions} options
+ * @returns {number}
+ */
+export function countChangedOptions(options) {
+  return Object.keys(DEFAULT_ADVANCED_OPTIONS)
+    .filter((key) => options[key] !== DEFAULT_ADVANCED_OPTIONS[key])
+    .length;
+}
+
+/**
+ * Convert options into generation parameters, dropping empty text fields
+ * @param {AdvancedSynthesisOptions} options
+ * @returns {Object}
+ */
+export function toGenerationOptions(options) {
+  return {
+    max_chunks: options.max_chunks,
+    include_figures: options.include_figures,
+    gemini_verification: options.gemini_verification,
+    author: options.author.trim() || undefined,
+    institution: options.institution.trim() || undefined,
+  };
+}
+
+/**
+ * Advanced generation parameters: retrieval depth, figures, verification and attribution
+ *
+ * @param {{ value: AdvancedSynthesisOptions, onChange: Function, disabled?: boolean }} props
+ */
+function AdvancedOptions({ value, onChange, disabled = false }) {
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  return (
+    <div className="synthesis-scope-editor synthesis-advanced">
+      <div className="synthesis-scope-group">
+        <label htmlFor="synthesis-max-chunks" className="synthesis-label">
+          Maximum Source Chunks
+        </label>
+        <div className="filter-slider">
+          <input
+            id="synthesis-max-chunks"
+            type="range"
+            min="10"
+            max="200"
+            step="10"
+            value={value.max_chunks}
+            onChange={(e) => update({ max_chunks: Number(e.target.value) })}
+            disabled={disabled}
+          />
+          <span className="filter-slider-value">{value.max_chunks}</span>
+        </div>
+      </div>
+
+      <div className="synthesis-scope-group">
+        <span className="synthesis-label">Generation</span>
+        <label className="filter-checkbox">
+          <input
+            type="checkbox"
+            checked={value.include_figures}
+            onChange={(e) => update({ include_figures: e.target.checked })}
+            disabled={disabled}
+          />
+          Include figures
+        </label>
+        <label className="filter-checkbox">
+          <input
+            type="checkbox"
+            checked={value.gemini_verification}
+            onChange={(e) => update({ gemini_verification: e.target.checked })}
+            disabled={disabled}
+          />
+          Verify claims against sources (slower)
+        </label>
+      </div>
+
+      <div className="synthesis-advanced-attribution">
+        <Input
+          label="Author"
+          value={value.author}
+          onChange={(e) => update({ author: e.target.value })}
+          placeholder="Shown on the chapter and exports"
+          disabled={disabled}
+        />
+        <Input
+          label="Institution"
+          value={value.institution}
+          onChange={(e) => update({ institution: e.target.value })}
+          placeholder="Optional"
+          disabled={disabled}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default memo(AdvancedOptions);
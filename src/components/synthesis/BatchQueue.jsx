@@ -0,0 +1,432 @@
+import React, { memo, useCallback, useRef, useState } from 'react';
+import {
+  ListPlus,
+  FileUp,
+  Play,
+  Pause,
+  Square,
+  RotateCcw,
+  ArrowUp,
+  ArrowDown,
+  X,
+  ExternalLink,
+} from 'lucide-react';
+import { useSynthesisQueue, QUEUE_STATUS, ITEM_STATUS } from '../../context/SynthesisQueueContext';
+import { useToast } from '../../context/ToastContext';
+import { templateParams } from '../../hooks/useTemplates';
+import { parseTopicList } from '../../utils/topicList';
+import { Button, Badge } from '../ui';
+import ScopeEditor, { EMPTY_SCOPE, countScopeFilters, toScopeParams } from './ScopeEditor';
+import { toGenerationOptions } from './AdvancedOptions';
+
+/**
+ * @typedef {import('../../context/SynthesisQueueContext').QueueItem} QueueItem
+ * @typedef {import('./ScopeEditor').SynthesisScopeValue} SynthesisScopeValue
+ */
+
+/**
+ * @typedef {Object} BatchQueueProps
+ * @property {Object} catalog - Return value of useTemplates()
+ * @property {Object[]} documents - Documents available for scoping
+ * @property {{ templateValue: string, scope: SynthesisScopeValue, options: Object }} defaults - Current form settings applied to new items
+ * @property {(entryId: string) => void} onOpenEntry - Open a finished chapter
+ */
+
+const STATUS_BADGES = {
+  [ITEM_STATUS.PENDING]: { variant: 'default', label: 'Queued' },
+  [ITEM_STATUS.RUNNING]: { variant: 'info', label: 'Generating' },
+  [ITEM_STATUS.COMPLETED]: { variant: 'success', label: 'Saved' },
+  [ITEM_STATUS.FAILED]: { variant: 'error', label: 'Failed' },
+  [ITEM_STATUS.CANCELLED]: { variant: 'warning', label: 'Cancelled' },
+};
+
+const EDITABLE = [ITEM_STATUS.PENDING, ITEM_STATUS.FAILED, ITEM_STATUS.CANCELLED];
+
+/**
+ * Find the template a list entry names, by selector value, type or label
+ * @returns {Object|undefined}
+ */
+function matchTemplate(templates, name) {
+  const key = name.trim().toLowerCase();
+  return templates.find((t) =>
+    t.value.toLowerCase() === key || t.label.toLowerCase() === key
+  );
+}
+
+/**
+ * One queued topic with its template, scope, status and progress
+ */
+const QueueRow = memo(function QueueRow({
+  item,
+  index,
+  count,
+  templates,
+  documents,
+  onChange,
+  onMove,
+  onRetry,
+  onRemove,
+  onOpenEntry,
+}) {
+  const [showScope, setShowScope] = useState(false);
+  const editable = EDITABLE.includes(item.status);
+  const badge = STATUS_BADGES[item.status];
+  const scopeCount = countScopeFilters(item.scope);
+  const progress = item.progress;
+
+  return (
+    <li className={`synthesis-queue-item ${item.status}`}>
+      <div className="synthesis-queue-item-header">
+        <span className="synthesis-queue-index">{index + 1}.</span>
+        <span className="synthesis-queue-topic">{item.topic}</span>
+        <Badge variant={badge.variant} size="sm">{badge.label}</Badge>
+        <div className="synthesis-section-actions">
+          {editable && (
+            <>
+              <button
+                type="button"
+                className="synthesis-section-action"
+                onClick={() => onMove(item.id, -1)}
+                disabled={index === 0}
+                aria-label={`Move "${item.topic}" up`}
+              >
+                <ArrowUp size={14} />
+              </button>
+              <button
+                type="button"
+                className="synthesis-section-action"
+                onClick={() => onMove(item.id, 1)}
+                disabled={index === count - 1}
+                aria-label={`Move "${item.topic}" down`}
+              >
+                <ArrowDown size={14} />
+              </button>
+            </>
+          )}
+          {(item.status === ITEM_STATUS.FAILED || item.status === ITEM_STATUS.CANCELLED) && (
+            <button
+              type="button"
+              className="synthesis-section-action"
+              onClick={() => onRetry(item.id)}
+              aria-label={`Retry "${item.topic}"`}
+              title="Retry"
+            >
+              <RotateCcw size={14} />
+            </button>
+          )}
+          {item.status === ITEM_STATUS.COMPLETED && item.entryId && (
+            <button
+              type="button"
+              className="synthesis-section-action"
+              onClick={() => onOpenEntry(item.entryId)}
+              aria-label={`Open "${item.topic}"`}
+              title="Open chapter"
+            >
+              <ExternalLink size={14} />
+            </button>
+          )}
+          {item.status !== ITEM_STATUS.RUNNING && (
+            <button
+              type="button"
+              className="synthesis-section-action"
+              onClick={() => onRemove(item.id)}
+              aria-label={`Remove "${item.topic}"`}
+              title="Remove"
+            >
+              <X size={14} />
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="synthesis-queue-item-settings">
+        <select
+          className="synthesis-select"
+          value={item.templateValue}
+          onChange={(e) => onChange(item, { templateValue: e.target.value })}
+          disabled={!editable}
+          aria-label={`Template for "${item.topic}"`}
+        >
+          {templates.map((opt) => (
+            <option key={opt.value} value={opt.value}>
+              {opt.label}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="conflict-context-toggle"
+          onClick={() => setShowScope(!showScope)}
+          aria-expanded={showScope}
+          disabled={!editable}
+        >
+          {scopeCount > 0 ? `Scope: ${scopeCount} filter(s)` : 'All sources'}
+        </button>
+      </div>
+
+      {showScope && editable && (
+        <ScopeEditor
+          value={item.scope}
+          onChange={(scope) => onChange(item, { scope })}
+          documents={documents}
+          idPrefix={`queue-${item.id}`}
+        />
+      )}
+
+      {item.status === ITEM_STATUS.RUNNING && (
+        <div className="synthesis-queue-progress">
+          <div className="synthesis-progress-bar-container">
+            <div
+              className="synthesis-progress-bar"
+              style={{ width: `${progress?.progress || 0}%` }}
+            />
+          </div>
+          <p className="synthesis-progress-stage">
+            {progress?.section
+              ? `Generating: ${progress.section}`
+              : progress?.message || `Stage: ${progress?.stage || 'Initializing...'}`}
+          </p>
+        </div>
+      )}
+
+      {item.status === ITEM_STATUS.COMPLETED && item.words != null && (
+        <p className="synthesis-queue-detail">{item.words.toLocaleString()} words saved to the library</p>
+      )}
+
+      {item.error && (
+        <p className="synthesis-queue-detail synthesis-queue-error">{item.error}</p>
+      )}
+    </li>
+  );
+});
+
+/**
+ * Batch generation: queue a list of topics, each with its own template and
+ * scope, and generate them one after another
+ *
+ * @param {BatchQueueProps} props
+ */
+function BatchQueue({ catalog, documents, defaults, onOpenEntry }) {
+  const [text, setText] = useState('');
+  const fileInputRef = useRef(null);
+  const {
+    items,
+    status,
+    addItems,
+    updateItem,
+    removeItem,
+    moveItem,
+    retry,
+    clearFinished,
+    start,
+    pause,
+    resume,
+    cancel,
+  } = useSynthesisQueue();
+  const { templates, getTemplate } = catalog;
+  const toast = useToast();
+
+  /**
+   * Build generation parameters for a queue item
+   */
+  const buildParams = useCallback((topic, templateValue, scope, options) => ({
+    topic,
+    ...templateParams(getTemplate(templateValue)),
+    ...toGenerationOptions(options),
+    ...toScopeParams(scope),
+  }), [getTemplate]);
+
+  /**
+   * Add parsed topics to the queue with the current form settings
+   * @returns {boolean} False when the selected template no longer exists
+   */
+  const enqueue = useCallback((specs) => {
+    if (!getTemplate(defaults.templateValue)) {
+      toast.error('The selected template no longer exists. Choose another template before adding topics.');
+      return false;
+    }
+    const unknown = new Set();
+    const newItems = specs.map((spec) => {
+      let templateValue = defaults.templateValue;
+      if (spec.template) {
+        const match = matchTemplate(templates, spec.template);
+        if (match) templateValue = match.value;
+        else unknown.add(spec.template);
+      }
+      const scope = spec.scope ? { ...EMPTY_SCOPE, ...spec.scope } : defaults.scope;
+      return {
+        topic: spec.topic,
+        templateValue,
+        scope,
+        options: defaults.options,
+        params: buildParams(spec.topic, templateValue, scope, defaults.options),
+      };
+    });
+
+    addItems(newItems);
+    toast.success(`Added ${newItems.length} topic${newItems.length !== 1 ? 's' : ''} to the queue`);
+    if (unknown.size > 0) {
+      toast.warning(`Unknown template(s) ${[...unknown].join(', ')}; using the selected template instead`);
+    }
+    return true;
+  }, [defaults, templates, getTemplate, buildParams, addItems, toast]);
+
+  const handleAddText = useCallback(() => {
+    try {
+      const specs = parseTopicList(text);
+      if (specs.length === 0) {
+        toast.warning('No topics found');
+        return;
+      }
+      if (enqueue(specs)) setText('');
+    } catch (err) {
+      toast.error(`Could not read topic list: ${err.message}`);
+    }
+  }, [text, enqueue, toast]);
+
+  const handleImportFile = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const specs = parseTopicList(await file.text(), file.name.toLowerCase());
+      if (specs.length === 0) {
+        toast.warning(`No topics found in ${file.name}`);
+        return;
+      }
+      enqueue(specs);
+    } catch (err) {
+      toast.error(`Could not read ${file.name}: ${err.message}`);
+    }
+  }, [enqueue, toast]);
+
+  // Template and scope edits rebuild the parameters the item will be sent with
+  const handleChangeItem = useCallback((item, changes) => {
+    const next = { ...item, ...changes };
+    updateItem(item.id, {
+      ...changes,
+      params: buildParams(next.topic, next.templateValue, next.scope, next.options),
+    });
+  }, [updateItem, buildParams]);
+
+  const pendingCount = items.filter((item) => item.status === ITEM_STATUS.PENDING).length;
+  const completedCount = items.filter((item) => item.status === ITEM_STATUS.COMPLETED).length;
+  const retryableCount = items.filter((item) =>
+    item.status === ITEM_STATUS.FAILED || item.status === ITEM_STATUS.CANCELLED
+  ).length;
+  const finishedCount = items.length - pendingCount -
+    items.filter((item) => item.status === ITEM_STATUS.RUNNING).length;
+
+  return (
+    <section className="synthesis-queue" aria-label="Batch synthesis queue">
+      <header className="synthesis-queue-header">
+        <div>
+          <h3 className="synthesis-queue-title">Batch Queue</h3>
+          <p className="synthesis-library-meta">
+            {items.length === 0
+              ? 'Generate several chapters in a row; each one is saved to the library when it finishes.'
+              : `${completedCount} of ${items.length} saved · ${pendingCount} waiting`}
+            {status === QUEUE_STATUS.PAUSED && ' · paused after the current chapter'}
+          </p>
+        </div>
+        <div className="synthesis-queue-controls">
+          {status === QUEUE_STATUS.IDLE && (
+            <Button
+              variant="primary"
+              size="sm"
+              icon={<Play size={14} />}
+              onClick={start}
+              disabled={pendingCount === 0}
+            >
+              Start
+            </Button>
+          )}
+          {status === QUEUE_STATUS.RUNNING && (
+            <Button variant="secondary" size="sm" icon={<Pause size={14} />} onClick={pause}>
+              Pause
+            </Button>
+          )}
+          {status === QUEUE_STATUS.PAUSED && (
+            <Button variant="primary" size="sm" icon={<Play size={14} />} onClick={resume}>
+              Resume
+            </Button>
+          )}
+          {status !== QUEUE_STATUS.IDLE && (
+            <Button variant="danger" size="sm" icon={<Square size={14} />} onClick={cancel}>
+              Cancel
+            </Button>
+          )}
+          {retryableCount > 0 && (
+            <Button variant="ghost" size="sm" icon={<RotateCcw size={14} />} onClick={() => retry()}>
+              Retry All
+            </Button>
+          )}
+          {finishedCount > 0 && (
+            <Button variant="ghost" size="sm" onClick={clearFinished}>
+              Clear Finished
+            </Button>
+          )}
+        </div>
+      </header>
+
+      <div className="synthesis-queue-input">
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          rows={4}
+          placeholder={'One topic per line, optionally "Topic | TEMPLATE"\nMicrovascular decompression | PROCEDURAL\nChiari malformation | DISORDER'}
+          aria-label="Topics to queue"
+        />
+        <div className="synthesis-section-editor-actions">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".txt,.csv,.json"
+            onChange={handleImportFile}
+            hidden
+          />
+          <Button
+            variant="ghost"
+            size="sm"
+            icon={<FileUp size={14} />}
+            onClick={() => fileInputRef.current?.click()}
+          >
+            Import List
+          </Button>
+          <Button
+            variant="secondary"
+            size="sm"
+            icon={<ListPlus size={14} />}
+            onClick={handleAddText}
+            disabled={!text.trim()}
+          >
+            Add to Queue
+          </Button>
+        </div>
+      </div>
+
+      {items.length > 0 && (
+        <ol className="synthesis-queue-items">
+          {items.map((item, i) => (
+            <QueueRow
+              key={item.id}
+              item={item}
+              index={i}
+              count={items.length}
+              templates={templates}
+              documents={documents}
+              onChange={handleChangeItem}
+              onMove={moveItem}
+              onRetry={retry}
+              onRemove={removeItem}
+              onOpenEntry={onOpenEntry}
+            />
+          ))}
+        </ol>
+      )}
+    </section>
+  );
+}
+
+export default memo(BatchQueue);
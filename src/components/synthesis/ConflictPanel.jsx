@@ -1,16 +1,41 @@
 import React, { memo, useState } from 'react';
-import { ChevronDown, ChevronUp, AlertTriangle, AlertCircle, Info } from 'lucide-react';
-import { Card } from '../ui';
+import {
+  ChevronDown,
+  ChevronUp,
+  AlertTriangle,
+  AlertCircle,
+  Info,
+  CheckCircle,
+  MessageSquare,
+  Quote,
+  RotateCcw,
+  ExternalLink,
+} from 'lucide-react';
+import {
+  getConflictTypeLabel,
+  describeDecision,
+  extractDisputedNumbers,
+  emphasizeNumbers,
+} from '../../utils/conflicts';
+import { Card, Button, Badge } from '../ui';
 
 /**
  * @typedef {import('../../api/client').ConflictItem} ConflictItem
  * @typedef {import('../../api/client').ConflictReport} ConflictReport
+ * @typedef {import('../../utils/conflicts').ConflictResolution} ConflictResolution
+ * @typedef {import('../../utils/conflicts').SourceLocation} SourceLocation
  */
 
 /**
  * @typedef {Object} ConflictPanelProps
  * @property {ConflictReport} report - Full conflict report
  * @property {boolean} [defaultExpanded=false] - Whether panel starts expanded
+ * @property {Object<number, ConflictResolution>} [resolutions] - Resolutions keyed by conflict index
+ * @property {(index: number, changes: Partial<ConflictResolution>) => void} [onResolve] - Record a resolution; omit for a read-only panel
+ * @property {(index: number) => void} [onReopen] - Discard a resolution
+ * @property {(index: number) => void} [onInsertCallout] - Insert a controversy callout into the conflict's section
+ * @property {Object<string, SourceLocation|null>} [sourceLocations] - Resolved locations keyed by source label
+ * @property {(location: SourceLocation & {text?: string}) => void} [onOpenSource] - Open the evidence for one side
  */
 
 /**
@@ -28,41 +53,275 @@ function getSeverityIcon(severity) {
 }
 
 /**
- * Get readable label for conflict type
+ * Source label that opens its document when the location is known
  */
-function getTypeLabel(type) {
-  const labels = {
-    quantitative: 'Numerical Disagreement',
-    contradictory: 'Contradictory Statement',
-    approach: 'Different Approach',
-    temporal: 'Outdated Information',
-  };
-  return labels[type] || type;
+function SourceLink({ label, location, text, onOpenSource }) {
+  if (!location || !onOpenSource) {
+    return <>{label}</>;
+  }
+
+  return (
+    <button
+      type="button"
+      className="conflict-source-link"
+      onClick={() => onOpenSource({ ...location, text })}
+      title={`Open ${location.title}${location.page ? `, p. ${location.page}` : ''}`}
+    >
+      {label}
+      <ExternalLink size={12} aria-hidden="true" />
+    </button>
+  );
+}
+
+/**
+ * One side of the evidence split view
+ */
+function EvidencePassage({ side, label, passage, disputed, location, onOpenSource }) {
+  return (
+    <blockquote className="conflict-context-quote conflict-evidence-passage">
+      <cite>
+        Source {side}: {label}
+        {location?.page ? ` (p. ${location.page})` : ''}
+      </cite>
+      {passage ? (
+        <p>
+          "
+          {emphasizeNumbers(passage, disputed).map((segment, i) =>
+            segment.emphasized ? (
+              <mark key={i} className="conflict-disputed">{segment.text}</mark>
+            ) : (
+              <React.Fragment key={i}>{segment.text}</React.Fragment>
+            )
+          )}
+          "
+        </p>
+      ) : (
+        <p className="conflict-evidence-missing">No passage captured for this source.</p>
+      )}
+      {location && onOpenSource && (
+        <button
+          type="button"
+          className="conflict-context-toggle"
+          onClick={() => onOpenSource({ ...location, text: passage })}
+        >
+          <ExternalLink size={12} aria-hidden="true" />
+          View in document
+        </button>
+      )}
+    </blockquote>
+  );
+}
+
+/**
+ * Both passages side by side with the disputed numbers emphasized
+ */
+function EvidenceSplit({ conflict, locationA, locationB, onOpenSource }) {
+  const disputed = extractDisputedNumbers(conflict.description);
+
+  return (
+    <div className="conflict-context conflict-evidence">
+      <EvidencePassage
+        side="A"
+        label={conflict.source_a}
+        passage={conflict.context_a}
+        disputed={disputed}
+        location={locationA}
+        onOpenSource={onOpenSource}
+      />
+      <div className="compare-divider" aria-hidden="true" />
+      <EvidencePassage
+        side="B"
+        label={conflict.source_b}
+        passage={conflict.context_b}
+        disputed={disputed}
+        location={locationB}
+        onOpenSource={onOpenSource}
+      />
+    </div>
+  );
+}
+
+/**
+ * Reviewer note editor
+ */
+function NoteEditor({ initialNote, onSave, onCancel }) {
+  const [draft, setDraft] = useState(initialNote);
+
+  return (
+    <div className="synthesis-section-editor conflict-note-editor">
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        rows={3}
+        placeholder="Why was this conflict resolved this way?"
+        aria-label="Reviewer note"
+        autoFocus
+      />
+      <div className="synthesis-section-editor-actions">
+        <Button variant="ghost" size="sm" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button
+          variant="primary"
+          size="sm"
+          onClick={() => onSave(draft.trim())}
+          disabled={draft.trim() === initialNote}
+        >
+          Save Note
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Resolve / prefer / note / callout actions for one conflict
+ */
+function ConflictActions({ conflict, index, resolution, onResolve, onReopen, onInsertCallout }) {
+  const [editingNote, setEditingNote] = useState(false);
+  const decision = resolution?.decision || null;
+
+  // Clicking the active decision again clears it
+  const decide = (value) => onResolve(index, { decision: decision === value ? null : value });
+
+  return (
+    <div className="conflict-review">
+      <div className="conflict-actions" role="group" aria-label="Conflict resolution">
+        <button
+          type="button"
+          className={`conflict-action ${decision === 'resolved' ? 'active' : ''}`}
+          onClick={() => decide('resolved')}
+          aria-pressed={decision === 'resolved'}
+        >
+          <CheckCircle size={14} aria-hidden="true" />
+          Resolved
+        </button>
+        <button
+          type="button"
+          className={`conflict-action ${decision === 'prefer_a' ? 'active' : ''}`}
+          onClick={() => decide('prefer_a')}
+          aria-pressed={decision === 'prefer_a'}
+          title={`Prefer ${conflict.source_a}`}
+        >
+          Prefer A
+        </button>
+        <button
+          type="button"
+          className={`conflict-action ${decision === 'prefer_b' ? 'active' : ''}`}
+          onClick={() => decide('prefer_b')}
+          aria-pressed={decision === 'prefer_b'}
+          title={`Prefer ${conflict.source_b}`}
+        >
+          Prefer B
+        </button>
+        <button
+          type="button"
+          className="conflict-action"
+          onClick={() => setEditingNote(true)}
+          disabled={editingNote}
+        >
+          <MessageSquare size={14} aria-hidden="true" />
+          {resolution?.note ? 'Edit note' : 'Add note'}
+        </button>
+        {onInsertCallout && (
+          <button
+            type="button"
+            className="conflict-action"
+            onClick={() => onInsertCallout(index)}
+            disabled={Boolean(resolution?.calloutSection)}
+            title={
+              resolution?.calloutSection
+                ? `Callout added to "${resolution.calloutSection}"`
+                : 'Insert a controversy callout into the section'
+            }
+          >
+            <Quote size={14} aria-hidden="true" />
+            {resolution?.calloutSection ? 'Callout added' : 'Insert callout'}
+          </button>
+        )}
+        {resolution && onReopen && (
+          <button
+            type="button"
+            className="conflict-action"
+            onClick={() => onReopen(index)}
+            aria-label="Reopen conflict and discard its resolution"
+            title="Reopen"
+          >
+            <RotateCcw size={14} aria-hidden="true" />
+          </button>
+        )}
+      </div>
+
+      {editingNote ? (
+        <NoteEditor
+          initialNote={resolution?.note || ''}
+          onSave={(note) => {
+            onResolve(index, { note });
+            setEditingNote(false);
+          }}
+          onCancel={() => setEditingNote(false)}
+        />
+      ) : resolution?.note ? (
+        <p className="conflict-note">
+          <strong>Reviewer note:</strong> {resolution.note}
+        </p>
+      ) : null}
+    </div>
+  );
 }
 
 /**
  * Single conflict item display
  */
-function ConflictItem({ conflict }) {
+function ConflictItem({
+  conflict,
+  index,
+  resolution,
+  onResolve,
+  onReopen,
+  onInsertCallout,
+  sourceLocations,
+  onOpenSource,
+}) {
   const [showContext, setShowContext] = useState(false);
+  const isDecided = Boolean(resolution?.decision);
+  const locationA = sourceLocations?.[conflict.source_a] || null;
+  const locationB = sourceLocations?.[conflict.source_b] || null;
 
   return (
-    <div className={`conflict-item conflict-severity-${conflict.severity}`}>
+    <div
+      className={`conflict-item conflict-severity-${conflict.severity} ${isDecided ? 'conflict-item-resolved' : ''}`}
+    >
       <div className="conflict-item-header">
         {getSeverityIcon(conflict.severity)}
-        <span className="conflict-type">{getTypeLabel(conflict.type)}</span>
+        <span className="conflict-type">{getConflictTypeLabel(conflict.type)}</span>
         <span className="conflict-severity-badge">{conflict.severity}</span>
+        {isDecided && (
+          <Badge variant="success" size="sm">{describeDecision(conflict, resolution)}</Badge>
+        )}
       </div>
 
       <p className="conflict-description">{conflict.description}</p>
 
       <div className="conflict-sources">
         <span className="conflict-source">
-          <strong>Source A:</strong> {conflict.source_a}
+          <strong>Source A:</strong>{' '}
+          <SourceLink
+            label={conflict.source_a}
+            location={locationA}
+            text={conflict.context_a}
+            onOpenSource={onOpenSource}
+          />
         </span>
         <span className="conflict-vs">vs</span>
         <span className="conflict-source">
-          <strong>Source B:</strong> {conflict.source_b}
+          <strong>Source B:</strong>{' '}
+          <SourceLink
+            label={conflict.source_b}
+            location={locationB}
+            text={conflict.context_b}
+            onOpenSource={onOpenSource}
+          />
         </span>
       </div>
 
@@ -80,28 +339,31 @@ function ConflictItem({ conflict }) {
             onClick={() => setShowContext(!showContext)}
             aria-expanded={showContext}
           >
-            {showContext ? 'Hide context' : 'Show context'}
+            {showContext ? 'Hide evidence' : 'Compare evidence'}
             {showContext ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
           </button>
 
           {showContext && (
-            <div className="conflict-context">
-              {conflict.context_a && (
-                <blockquote className="conflict-context-quote">
-                  <cite>From {conflict.source_a}:</cite>
-                  <p>"{conflict.context_a}"</p>
-                </blockquote>
-              )}
-              {conflict.context_b && (
-                <blockquote className="conflict-context-quote">
-                  <cite>From {conflict.source_b}:</cite>
-                  <p>"{conflict.context_b}"</p>
-                </blockquote>
-              )}
-            </div>
+            <EvidenceSplit
+              conflict={conflict}
+              locationA={locationA}
+              locationB={locationB}
+              onOpenSource={onOpenSource}
+            />
           )}
         </>
       )}
+
+      {onResolve && (
+        <ConflictActions
+          conflict={conflict}
+          index={index}
+          resolution={resolution}
+          onResolve={onResolve}
+          onReopen={onReopen}
+          onInsertCallout={onInsertCallout}
+        />
+      )}
     </div>
   );
 }
@@ -111,13 +373,25 @@ function ConflictItem({ conflict }) {
  *
  * @param {ConflictPanelProps} props
  */
-function ConflictPanel({ report, defaultExpanded = false }) {
+function ConflictPanel({
+  report,
+  defaultExpanded = false,
+  resolutions = {},
+  onResolve,
+  onReopen,
+  onInsertCallout,
+  sourceLocations,
+  onOpenSource,
+}) {
   const [expanded, setExpanded] = useState(defaultExpanded);
 
   if (!report || report.count === 0) {
     return null;
   }
 
+  const conflicts = report.conflicts || [];
+  const resolvedCount = conflicts.filter((_, i) => resolutions[i]?.decision).length;
+
   return (
     <Card className="conflict-panel">
       <button
@@ -133,6 +407,11 @@ function ConflictPanel({ report, defaultExpanded = false }) {
             {report.count} Conflict{report.count !== 1 ? 's' : ''} Detected
           </span>
           <span className="conflict-mode-badge">{report.mode} detection</span>
+          {onResolve && conflicts.length > 0 && (
+            <span className="conflict-mode-badge">
+              {resolvedCount}/{conflicts.length} resolved
+            </span>
+          )}
         </div>
         {expanded ? <ChevronUp size={20} /> : <ChevronDown size={20} />}
       </button>
@@ -149,7 +428,7 @@ function ConflictPanel({ report, defaultExpanded = false }) {
                   {Object.entries(report.by_type || {}).map(([type, count]) =>
                     count > 0 ? (
                       <li key={type}>
-                        {getTypeLabel(type)}: <strong>{count}</strong>
+                        {getConflictTypeLabel(type)}: <strong>{count}</strong>
                       </li>
                     ) : null
                   )}
@@ -176,8 +455,18 @@ function ConflictPanel({ report, defaultExpanded = false }) {
           {/* Individual conflicts */}
           <div className="conflict-list">
             <h4>Details</h4>
-            {(report.conflicts || []).map((conflict, index) => (
-              <ConflictItem key={index} conflict={conflict} />
+            {conflicts.map((conflict, index) => (
+              <ConflictItem
+                key={index}
+                conflict={conflict}
+                index={index}
+                resolution={resolutions[index]}
+                onResolve={onResolve}
+                onReopen={onReopen}
+                onInsertCallout={onInsertCallout}
+                sourceLocations={sourceLocations}
+                onOpenSource={onOpenSource}
+              />
             ))}
           </div>
         </div>
@@ -0,0 +1,177 @@
+import React, { memo, useState } from 'react';
+import { ArrowUp, ArrowDown, X, Plus } from 'lucide-react';
+import { useToast } from '../../context/ToastContext';
+import { Input, Button } from '../ui';
+
+/**
+ * @typedef {import('../../storage/customTemplates').CustomTemplate} CustomTemplate
+ * @typedef {import('../../hooks/useTemplates').TemplateOption} TemplateOption
+ */
+
+/**
+ * @typedef {Object} CustomTemplateEditorProps
+ * @property {CustomTemplate} [template] - Template to edit; omit to create one
+ * @property {TemplateOption[]} baseTemplates - Catalog templates to build on
+ * @property {(template: Partial<CustomTemplate>) => Promise<CustomTemplate>} onSave - Persist the template
+ * @property {(saved: CustomTemplate) => void} onSaved - Called after a successful save
+ * @property {Function} onCancel - Close the editor
+ */
+
+const EMPTY_SECTION = { title: '', guidance: '' };
+
+/**
+ * Move an item within a list, returning a new list
+ */
+function moveItem(list, from, to) {
+  if (to < 0 || to >= list.length) return list;
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
+
+/**
+ * Form for defining a local template: ordered section headings plus guidance
+ *
+ * @param {CustomTemplateEditorProps} props
+ */
+function CustomTemplateEditor({ template, baseTemplates, onSave, onSaved, onCancel }) {
+  const [name, setName] = useState(template?.name || '');
+  const [description, setDescription] = useState(template?.description || '');
+  const [baseType, setBaseType] = useState(template?.baseType || baseTemplates[0]?.value || 'ENCYCLOPEDIA');
+  const [sections, setSections] = useState(template?.sections?.length ? template.sections : [EMPTY_SECTION]);
+  const [saving, setSaving] = useState(false);
+  const toast = useToast();
+
+  const updateSection = (index, changes) => {
+    setSections((prev) => prev.map((s, i) => (i === index ? { ...s, ...changes } : s)));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const saved = await onSave({ id: template?.id, name, description, baseType, sections });
+      toast.success(`Template "${saved.name}" saved`);
+      onSaved(saved);
+    } catch (err) {
+      toast.error(err.message || 'Failed to save template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="template-editor" onSubmit={handleSubmit} aria-label="Custom template">
+      <div className="template-editor-fields">
+        <Input
+          label="Template name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g., Skull base case review"
+          required
+        />
+        <div className="synthesis-template-selector">
+          <label htmlFor="template-base" className="synthesis-label">
+            Based on
+          </label>
+          <select
+            id="template-base"
+            className="synthesis-select"
+            value={baseType}
+            onChange={(e) => setBaseType(e.target.value)}
+          >
+            {baseTemplates.map((opt) => (
+              <option key={opt.value} value={opt.value}>
+                {opt.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <Input
+        label="Description"
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+        placeholder="What is this template for?"
+      />
+
+      <fieldset className="template-editor-sections">
+        <legend className="synthesis-label">Sections</legend>
+        <ol>
+          {sections.map((section, i) => (
+            <li key={i} className="template-editor-section">
+              <div className="template-editor-section-header">
+                <span className="template-editor-section-number">{i + 1}.</span>
+                <input
+                  className="template-editor-input"
+                  value={section.title}
+                  onChange={(e) => updateSection(i, { title: e.target.value })}
+                  placeholder="Section heading"
+                  aria-label={`Section ${i + 1} heading`}
+                />
+                <div className="synthesis-section-actions">
+                  <button
+                    type="button"
+                    className="synthesis-section-action"
+                    onClick={() => setSections((prev) => moveItem(prev, i, i - 1))}
+                    disabled={i === 0}
+                    aria-label={`Move section ${i + 1} up`}
+                  >
+                    <ArrowUp size={14} />
+                  </button>
+                  <button
+                    type="button"
+                    className="synthesis-section-action"
+                    onClick={() => setSections((prev) => moveItem(prev, i, i + 1))}
+                    disabled={i === sections.length - 1}
+                    aria-label={`Move section ${i + 1} down`}
+                  >
+                    <ArrowDown size={14} />
+                  </button>
+                  <button
+                    type="button"
+                    className="synthesis-section-action"
+                    onClick={() => setSections((prev) => prev.filter((_, j) => j !== i))}
+                    disabled={sections.length === 1}
+                    aria-label={`Remove section ${i + 1}`}
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              </div>
+              <textarea
+                value={section.guidance || ''}
+                onChange={(e) => updateSection(i, { guidance: e.target.value })}
+                rows={2}
+                placeholder="Guidance: what this section should cover (optional)"
+                aria-label={`Section ${i + 1} guidance`}
+              />
+            </li>
+          ))}
+        </ol>
+        <Button
+          type="button"
+          variant="ghost"
+          size="sm"
+          icon={<Plus size={14} />}
+          onClick={() => setSections((prev) => [...prev, EMPTY_SECTION])}
+        >
+          Add Section
+        </Button>
+      </fieldset>
+
+      <div className="synthesis-section-editor-actions">
+        <Button type="button" variant="ghost" size="sm" onClick={onCancel} disabled={saving}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="primary" size="sm" loading={saving}>
+          Save Template
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+export default memo(CustomTemplateEditor);
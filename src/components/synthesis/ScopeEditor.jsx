@@ -0,0 +1,145 @@
+import React, { memo } from 'react';
+import { CHUNK_TYPES, SPECIALTIES } from '../browse/BrowseFilters';
+
+/**
+ * @typedef {Object} SynthesisScopeValue
+ * @property {string[]} document_ids - Restrict to these documents
+ * @property {string[]} chunk_types - Restrict to these chunk types
+ * @property {string[]} specialties - Restrict to these specialties
+ * @property {number} min_authority - Minimum authority score (0-1)
+ */
+
+/**
+ * @typedef {Object} ScopeEditorProps
+ * @property {SynthesisScopeValue} value - Current scope
+ * @property {(value: SynthesisScopeValue) => void} onChange - Called with the updated scope
+ * @property {Object[]} documents - Documents available for selection
+ * @property {boolean} [disabled=false] - Disable all controls
+ * @property {string} [idPrefix='synthesis'] - Prefix for element IDs when several editors are mounted
+ */
+
+export const EMPTY_SCOPE = {
+  document_ids: [],
+  chunk_types: [],
+  specialties: [],
+  min_authority: 0,
+};
+
+/**
+ * Toggle a value in a list, returning a new list
+ */
+function toggleValue(list, value) {
+  return list.includes(value) ? list.filter((v) => v !== value) : [...list, value];
+}
+
+/**
+ * Count the active filters in a scope
+ * @param {SynthesisScopeValue} scope
+ * @returns {number}
+ */
+export function countScopeFilters(scope) {
+  return scope.document_ids.length +
+    scope.chunk_types.length +
+    scope.specialties.length +
+    (scope.min_authority > 0 ? 1 : 0);
+}
+
+/**
+ * Convert a scope to generation parameters, leaving out empty filters
+ * @param {SynthesisScopeValue} scope
+ * @returns {Object}
+ */
+export function toScopeParams(scope) {
+  return {
+    document_ids: scope.document_ids.length > 0 ? scope.document_ids : undefined,
+    chunk_types: scope.chunk_types.length > 0 ? scope.chunk_types : undefined,
+    specialties: scope.specialties.length > 0 ? scope.specialties : undefined,
+    min_authority: scope.min_authority > 0 ? scope.min_authority : undefined,
+  };
+}
+
+/**
+ * Source scope controls: documents, chunk types, specialties and minimum authority
+ *
+ * @param {ScopeEditorProps} props
+ */
+function ScopeEditor({ value, onChange, documents, disabled = false, idPrefix = 'synthesis' }) {
+  const toggle = (key, item) => onChange({ ...value, [key]: toggleValue(value[key], item) });
+
+  return (
+    <div className="synthesis-scope-editor">
+      <fieldset className="doc-selector">
+        <legend className="synthesis-label">Documents</legend>
+        {documents.map((doc) => (
+          <label key={doc.id} className="doc-selector-item">
+            <input
+              type="checkbox"
+              checked={value.document_ids.includes(doc.id)}
+              onChange={() => toggle('document_ids', doc.id)}
+              disabled={disabled}
+            />
+            <span>{doc.title || doc.filename}</span>
+          </label>
+        ))}
+      </fieldset>
+
+      <fieldset className="synthesis-scope-group">
+        <legend className="synthesis-label">Chunk Types</legend>
+        <div className="filter-checkboxes">
+          {CHUNK_TYPES.map((type) => (
+            <label key={type.id} className="filter-checkbox">
+              <input
+                type="checkbox"
+                checked={value.chunk_types.includes(type.id)}
+                onChange={() => toggle('chunk_types', type.id)}
+                disabled={disabled}
+              />
+              <span
+                className="chunk-type-dot"
+                style={{ backgroundColor: type.color }}
+              />
+              {type.label}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <fieldset className="synthesis-scope-group">
+        <legend className="synthesis-label">Specialties</legend>
+        <div className="filter-checkboxes">
+          {SPECIALTIES.map((spec) => (
+            <label key={spec.id} className="filter-checkbox">
+              <input
+                type="checkbox"
+                checked={value.specialties.includes(spec.id)}
+                onChange={() => toggle('specialties', spec.id)}
+                disabled={disabled}
+              />
+              {spec.label}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <div className="synthesis-scope-group">
+        <label htmlFor={`${idPrefix}-min-authority`} className="synthesis-label">
+          Minimum Authority
+        </label>
+        <div className="filter-slider">
+          <input
+            id={`${idPrefix}-min-authority`}
+            type="range"
+            min="0"
+            max="100"
+            value={Math.round(value.min_authority * 100)}
+            onChange={(e) => onChange({ ...value, min_authority: Number(e.target.value) / 100 })}
+            disabled={disabled}
+          />
+          <span className="filter-slider-value">{Math.round(value.min_authority * 100)}%</span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default memo(ScopeEditor);
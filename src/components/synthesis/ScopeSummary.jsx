@@ -0,0 +1,74 @@
+import React, { memo } from 'react';
+import { Filter } from 'lucide-react';
+import { CHUNK_TYPES, SPECIALTIES } from '../browse/BrowseFilters';
+
+/**
+ * @typedef {import('../../api/client').SynthesisScope} SynthesisScope
+ */
+
+/**
+ * @typedef {Object} ScopeSummaryProps
+ * @property {SynthesisScope|null} scope - Applied source scope
+ * @property {Array} [documents=[]] - Known documents for resolving titles
+ */
+
+/**
+ * Resolve vocabulary ids to their display labels
+ */
+function labelsFor(ids, vocabulary) {
+  return ids.map((id) => vocabulary.find((v) => v.id === id)?.label || id);
+}
+
+/**
+ * Compact chip row describing which sources a chapter was built from
+ *
+ * @param {ScopeSummaryProps} props
+ */
+function ScopeSummary({ scope, documents = [] }) {
+  const docIds = scope?.document_ids || [];
+  const chunkTypes = scope?.chunk_types || [];
+  const specialties = scope?.specialties || [];
+  const minAuthority = scope?.min_authority || 0;
+
+  const isUnscoped =
+    docIds.length === 0 && chunkTypes.length === 0 && specialties.length === 0 && !minAuthority;
+
+  const docTitles = docIds.map((id) => {
+    const doc = documents.find((d) => d.id === id);
+    return doc?.title || doc?.filename || id;
+  });
+
+  return (
+    <div className="synthesis-scope" aria-label="Source scope">
+      <Filter size={14} aria-hidden="true" />
+      {isUnscoped ? (
+        <span className="synthesis-scope-chip">All sources</span>
+      ) : (
+        <>
+          {docIds.length > 0 && (
+            <span className="synthesis-scope-chip" title={docTitles.join('\n')}>
+              {docIds.length === 1 ? docTitles[0] : `${docIds.length} documents`}
+            </span>
+          )}
+          {chunkTypes.length > 0 && (
+            <span className="synthesis-scope-chip">
+              {labelsFor(chunkTypes, CHUNK_TYPES).join(', ')}
+            </span>
+          )}
+          {specialties.length > 0 && (
+            <span className="synthesis-scope-chip">
+              {labelsFor(specialties, SPECIALTIES).join(', ')}
+            </span>
+          )}
+          {minAuthority > 0 && (
+            <span className="synthesis-scope-chip">
+              Authority &ge; {Math.round(minAuthority * 100)}%
+            </span>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default memo(ScopeSummary);
@@ -0,0 +1,201 @@
+import React, { memo, useMemo, useState } from 'react';
+import { GitCompare, X, ArrowRight } from 'lucide-react';
+import { useSynthesisLibrary } from '../../hooks/useSynthesisLibrary';
+import { applyEdits, formatDate, formatReference } from '../../utils/helpers';
+import { diffSynthesisResults } from '../../utils/diff';
+import { Button, Badge, EmptyState } from '../ui';
+
+/**
+ * @typedef {Object} SynthesisDiffProps
+ * @property {string} [initialLeftId] - Entry shown on the left (older)
+ * @property {string} [initialRightId] - Entry shown on the right (newer)
+ * @property {Function} onClose - Close the diff view
+ */
+
+const STATUS_BADGES = {
+  added: { variant: 'success', label: 'Added' },
+  removed: { variant: 'error', label: 'Removed' },
+  changed: { variant: 'warning', label: 'Changed' },
+  unchanged: { variant: 'default', label: 'Unchanged' },
+};
+
+/**
+ * Show "a → b" with a highlight when the values differ
+ */
+function Delta({ left, right }) {
+  return (
+    <span className={`synthesis-diff-delta ${left !== right ? 'changed' : ''}`}>
+      {left} <ArrowRight size={12} aria-hidden="true" /> {right}
+    </span>
+  );
+}
+
+/**
+ * Version selector for one side of the diff
+ */
+function VersionSelect({ id, value, entries, onChange, label }) {
+  return (
+    <div className="compare-doc-selector">
+      <label htmlFor={id} className="sr-only">{label}</label>
+      <select
+        id={id}
+        className="compare-select"
+        value={value || ''}
+        onChange={(e) => onChange(e.target.value)}
+      >
+        <option value="" disabled>Select a version...</option>
+        {entries.map((entry) => (
+          <option key={entry.id} value={entry.id}>
+            {entry.name} v{entry.version} &middot; {entry.templateType} &middot; {formatDate(entry.createdAt)}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+/**
+ * Side-by-side section-aligned diff between two saved synthesis versions
+ *
+ * @param {SynthesisDiffProps} props
+ */
+function SynthesisDiff({ initialLeftId, initialRightId, onClose }) {
+  const { entries } = useSynthesisLibrary();
+  const [leftId, setLeftId] = useState(initialLeftId || null);
+  const [rightId, setRightId] = useState(initialRightId || null);
+  const [showUnchanged, setShowUnchanged] = useState(false);
+
+  const leftEntry = entries.find((e) => e.id === leftId);
+  const rightEntry = entries.find((e) => e.id === rightId);
+
+  const diff = useMemo(() => {
+    if (!leftEntry || !rightEntry) return null;
+    return diffSynthesisResults(
+      applyEdits(leftEntry.result, leftEntry.edits),
+      applyEdits(rightEntry.result, rightEntry.edits)
+    );
+  }, [leftEntry, rightEntry]);
+
+  const visibleSections = diff
+    ? diff.sections.filter((s) => showUnchanged || s.status !== 'unchanged')
+    : [];
+
+  return (
+    <div className="synthesis-diff" role="region" aria-label="Version comparison">
+      <header className="synthesis-diff-header">
+        <h3>
+          <GitCompare size={18} aria-hidden="true" /> Compare Versions
+        </h3>
+        <Button
+          variant="ghost"
+          size="sm"
+          icon={<X size={14} />}
+          onClick={onClose}
+          aria-label="Close version comparison"
+        />
+      </header>
+
+      <div className="compare-container synthesis-diff-selectors">
+        <VersionSelect
+          id="diff-left"
+          label="Older version"
+          value={leftId}
+          entries={entries}
+          onChange={setLeftId}
+        />
+        <div className="compare-divider" aria-hidden="true" />
+        <VersionSelect
+          id="diff-right"
+          label="Newer version"
+          value={rightId}
+          entries={entries}
+          onChange={setRightId}
+        />
+      </div>
+
+      {!diff ? (
+        <EmptyState
+          icon={<GitCompare size={32} />}
+          title="Select Two Versions"
+          description="Choose a saved chapter for each side to see what changed"
+        />
+      ) : (
+        <>
+          <div className="synthesis-diff-summary">
+            <span>
+              Sections: <strong>{diff.summary.added}</strong> added,{' '}
+              <strong>{diff.summary.removed}</strong> removed,{' '}
+              <strong>{diff.summary.changed}</strong> changed
+            </span>
+            <span>
+              Citations: <Delta left={diff.citations.left} right={diff.citations.right} />
+            </span>
+            <span>
+              Conflicts: <Delta left={diff.conflicts.left} right={diff.conflicts.right} />
+            </span>
+            <label className="filter-checkbox">
+              <input
+                type="checkbox"
+                checked={showUnchanged}
+                onChange={(e) => setShowUnchanged(e.target.checked)}
+              />
+              Show unchanged sections ({diff.summary.unchanged})
+            </label>
+          </div>
+
+          {diff.conflicts.byType.some((t) => t.left !== t.right) && (
+            <ul className="synthesis-diff-conflicts">
+              {diff.conflicts.byType
+                .filter((t) => t.left !== t.right)
+                .map((t) => (
+                  <li key={t.type}>
+                    {t.type}: <Delta left={t.left} right={t.right} />
+                  </li>
+                ))}
+            </ul>
+          )}
+
+          <div className="synthesis-diff-sections">
+            {visibleSections.map((section, i) => {
+              const badge = STATUS_BADGES[section.status];
+              return (
+                <section key={i} className={`synthesis-diff-section diff-${section.status}`}>
+                  <header className="synthesis-diff-section-header">
+                    <h4>{section.title}</h4>
+                    <Badge variant={badge.variant} size="sm">{badge.label}</Badge>
+                  </header>
+                  {section.paragraphs.map((para, j) => (
+                    <div key={j} className={`synthesis-diff-row diff-${para.type}`}>
+                      <p className="synthesis-diff-cell">{para.left}</p>
+                      <div className="compare-divider" aria-hidden="true" />
+                      <p className="synthesis-diff-cell">{para.right}</p>
+                    </div>
+                  ))}
+                </section>
+              );
+            })}
+            {visibleSections.length === 0 && (
+              <p className="synthesis-library-empty">No section differences.</p>
+            )}
+          </div>
+
+          {(diff.references.added.length > 0 || diff.references.removed.length > 0) && (
+            <section className="synthesis-diff-references">
+              <h4>Changed References</h4>
+              <ul>
+                {diff.references.removed.map((ref, i) => (
+                  <li key={`r-${i}`} className="diff-removed">&minus; {formatReference(ref)}</li>
+                ))}
+                {diff.references.added.map((ref, i) => (
+                  <li key={`a-${i}`} className="diff-added">+ {formatReference(ref)}</li>
+                ))}
+              </ul>
+            </section>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default memo(SynthesisDiff);
@@ -0,0 +1,235 @@
+import React, { memo, useCallback, useState } from 'react';
+import { Search, FolderOpen, Pencil, Trash2, History, Check, X, GitCompare } from 'lucide-react';
+import { useSynthesisLibrary } from '../../hooks/useSynthesisLibrary';
+import { useToast } from '../../context/ToastContext';
+import { formatRelativeTime } from '../../utils/helpers';
+import { Input, Badge, EmptyState, Spinner } from '../ui';
+
+/**
+ * @typedef {import('../../storage/synthesisLibrary').SynthesisEntry} SynthesisEntry
+ */
+
+/**
+ * @typedef {Object} SynthesisLibraryProps
+ * @property {string|null} [activeEntryId] - Entry currently open
+ * @property {(entry: SynthesisEntry) => void} onOpen - Open an entry
+ * @property {(entry: SynthesisEntry) => void} [onCompare] - Compare an entry with the open one
+ */
+
+/**
+ * Single saved version row with open/rename/delete actions
+ */
+function LibraryEntryRow({ entry, isActive, onOpen, onCompare, onRename, onDelete }) {
+  const [renaming, setRenaming] = useState(false);
+  const [name, setName] = useState(entry.name);
+  const editCount = Object.keys(entry.edits || {}).length;
+
+  const handleRenameSubmit = (e) => {
+    e.preventDefault();
+    if (name.trim() && name.trim() !== entry.name) {
+      onRename(entry, name);
+    }
+    setRenaming(false);
+  };
+
+  return (
+    <li className={`synthesis-library-entry ${isActive ? 'active' : ''}`}>
+      {renaming ? (
+        <form className="synthesis-library-rename" onSubmit={handleRenameSubmit}>
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            aria-label="Chapter name"
+            autoFocus
+          />
+          <button type="submit" className="synthesis-section-action" aria-label="Save name">
+            <Check size={14} />
+          </button>
+          <button
+            type="button"
+            className="synthesis-section-action"
+            onClick={() => {
+              setName(entry.name);
+              setRenaming(false);
+            }}
+            aria-label="Cancel rename"
+          >
+            <X size={14} />
+          </button>
+        </form>
+      ) : (
+        <button
+          type="button"
+          className="synthesis-library-open"
+          onClick={() => onOpen(entry)}
+          aria-current={isActive}
+        >
+          <span className="synthesis-library-name">{entry.name}</span>
+          <span className="synthesis-library-meta">
+            v{entry.version} &middot; {entry.templateType} &middot;{' '}
+            {(entry.result?.total_words || 0).toLocaleString()} words &middot;{' '}
+            {formatRelativeTime(entry.createdAt)}
+          </span>
+        </button>
+      )}
+
+      {editCount > 0 && (
+        <Badge variant="info" size="sm">{editCount} edited</Badge>
+      )}
+
+      {!renaming && (
+        <div className="synthesis-section-actions">
+          <button
+            type="button"
+            className="synthesis-section-action"
+            onClick={() => onOpen(entry)}
+            aria-label={`Open ${entry.name} v${entry.version}`}
+            title="Open"
+          >
+            <FolderOpen size={14} />
+          </button>
+          {onCompare && !isActive && (
+            <button
+              type="button"
+              className="synthesis-section-action"
+              onClick={() => onCompare(entry)}
+              aria-label={`Compare ${entry.name} v${entry.version} with the open chapter`}
+              title="Compare with open chapter"
+            >
+              <GitCompare size={14} />
+            </button>
+          )}
+          <button
+            type="button"
+            className="synthesis-section-action"
+            onClick={() => setRenaming(true)}
+            aria-label={`Rename ${entry.name} v${entry.version}`}
+            title="Rename"
+          >
+            <Pencil size={14} />
+          </button>
+          <button
+            type="button"
+            className="synthesis-section-action"
+            onClick={() => onDelete(entry)}
+            aria-label={`Delete ${entry.name} v${entry.version}`}
+            title="Delete"
+          >
+            <Trash2 size={14} />
+          </button>
+        </div>
+      )}
+    </li>
+  );
+}
+
+/**
+ * Browser for the local synthesis library, grouped by topic with version history
+ *
+ * @param {SynthesisLibraryProps} props
+ */
+function SynthesisLibrary({ activeEntryId = null, onOpen, onCompare }) {
+  const { entries, groups, query, setQuery, loading, error, rename, remove } = useSynthesisLibrary();
+  const [expandedTopics, setExpandedTopics] = useState(() => new Set());
+  const toast = useToast();
+
+  const toggleTopic = useCallback((topicKey) => {
+    setExpandedTopics((prev) => {
+      const next = new Set(prev);
+      if (next.has(topicKey)) {
+        next.delete(topicKey);
+      } else {
+        next.add(topicKey);
+      }
+      return next;
+    });
+  }, []);
+
+  const handleRename = useCallback(async (entry, name) => {
+    try {
+      await rename(entry.id, name);
+    } catch (err) {
+      toast.error(err.message || 'Failed to rename chapter');
+    }
+  }, [rename, toast]);
+
+  const handleDelete = useCallback(async (entry) => {
+    if (!confirm(`Delete "${entry.name}" v${entry.version}?`)) return;
+    try {
+      await remove(entry.id);
+      toast.success('Chapter deleted');
+    } catch (err) {
+      toast.error(err.message || 'Failed to delete chapter');
+    }
+  }, [remove, toast]);
+
+  if (error) {
+    return (
+      <EmptyState
+        icon={<History size={32} />}
+        title="Library Unavailable"
+        description={error.message || 'Saved chapters could not be loaded'}
+      />
+    );
+  }
+
+  return (
+    <div className="synthesis-library">
+      <Input
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Search saved chapters..."
+        leftIcon={<Search size={16} />}
+        aria-label="Search saved chapters"
+      />
+
+      {loading && entries.length === 0 ? (
+        <Spinner size="sm" label="Loading saved chapters..." />
+      ) : groups.length === 0 ? (
+        <p className="synthesis-library-empty">
+          {entries.length === 0
+            ? 'Generated chapters are saved here automatically.'
+            : `No saved chapters match "${query}".`}
+        </p>
+      ) : (
+        <ul className="synthesis-library-groups">
+          {groups.map(({ topicKey, latest, versions }) => {
+            const showVersions = expandedTopics.has(topicKey);
+            const rows = showVersions ? versions : [latest];
+
+            return (
+              <li key={topicKey} className="synthesis-library-group">
+                <ul className="synthesis-library-versions">
+                  {rows.map((entry) => (
+                    <LibraryEntryRow
+                      key={entry.id}
+                      entry={entry}
+                      isActive={entry.id === activeEntryId}
+                      onOpen={onOpen}
+                      onCompare={activeEntryId ? onCompare : undefined}
+                      onRename={handleRename}
+                      onDelete={handleDelete}
+                    />
+                  ))}
+                </ul>
+                {versions.length > 1 && (
+                  <button
+                    type="button"
+                    className="conflict-context-toggle"
+                    onClick={() => toggleTopic(topicKey)}
+                    aria-expanded={showVersions}
+                  >
+                    <History size={12} />
+                    {showVersions ? 'Hide version history' : `${versions.length} versions`}
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default memo(SynthesisLibrary);
@@ -1,21 +1,38 @@
-import React, { memo, useCallback, useState, useEffect } from 'react';
-import { BookOpen, Play, Square, Download } from 'lucide-react';
+import React, { memo, useCallback, useMemo, useRef, useState, useEffect, useLayoutEffect } from 'react';
+import { BookOpen, Play, Square, Download, History, SlidersHorizontal, ListOrdered, GraduationCap } from 'lucide-react';
 import { useSynthesis, useDocuments } from '../../hooks/useApi';
+import { useTemplates, templateParams } from '../../hooks/useTemplates';
+import { api } from '../../api/client';
 import { useSynthesisOutput } from '../../context/SynthesisContext';
+import { useSynthesisQueue, ITEM_STATUS } from '../../context/SynthesisQueueContext';
+import { getSynthesis } from '../../storage/synthesisLibrary';
+import { useToast } from '../../context/ToastContext';
 import { parseMarkdown } from '../../utils/helpers';
-import { Input, Button, Card, Spinner, EmptyState, Alert } from '../ui';
+import { cardsFromSynthesis } from '../../utils/flashcards';
+import {
+  draftControversyCallout,
+  findConflictSection,
+  resolveSourceLocation,
+} from '../../utils/conflicts';
+import { Input, Button, Card, Spinner, EmptyState, Alert, Modal } from '../ui';
 import ConflictBadge from './ConflictBadge';
 import ConflictPanel from './ConflictPanel';
-
-/**
- * Available template types for synthesis
- */
-const TEMPLATE_OPTIONS = [
-  { value: 'PROCEDURAL', label: 'Procedural (Surgical)', description: 'Operative technique synthesis' },
-  { value: 'DISORDER', label: 'Disorder/Pathology', description: 'Disease-focused synthesis' },
-  { value: 'ANATOMY', label: 'Anatomical Region', description: 'Neuroanatomy synthesis' },
-  { value: 'ENCYCLOPEDIA', label: 'Encyclopedia Entry', description: 'Comprehensive integration' },
-];
+import VerificationBadge from './VerificationBadge';
+import VerificationPanel from './VerificationPanel';
+import BatchQueue from './BatchQueue';
+import AdvancedOptions, {
+  DEFAULT_ADVANCED_OPTIONS,
+  countChangedOptions,
+  toGenerationOptions,
+} from './AdvancedOptions';
+import ScopeEditor, { EMPTY_SCOPE, countScopeFilters, toScopeParams } from './ScopeEditor';
+import ScopeSummary from './ScopeSummary';
+import SynthesisViewer from './SynthesisViewer';
+import SynthesisLibrary from './SynthesisLibrary';
+import SynthesisDiff from './SynthesisDiff';
+import TemplatePicker from './TemplatePicker';
+import DocumentViewer from '../library/DocumentViewer';
+import FlashcardDeck from '../flashcards/FlashcardDeck';
 
 /**
  * Synthesis/textbook generation tab component
@@ -23,57 +40,240 @@ const TEMPLATE_OPTIONS = [
 function SynthesisTab() {
   const [topic, setTopic] = useState('');
   const [templateType, setTemplateType] = useState('PROCEDURAL');
-  const [selectedDocs, setSelectedDocs] = useState([]);
+  const [scope, setScope] = useState(EMPTY_SCOPE);
+  const [generationParams, setGenerationParams] = useState(null);
+  const [regeneratingIndex, setRegeneratingIndex] = useState(null);
   const [showDocSelector, setShowDocSelector] = useState(false);
   const [showConflicts, setShowConflicts] = useState(false);
+  const [showVerification, setShowVerification] = useState(false);
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  const [advancedOptions, setAdvancedOptions] = useState(DEFAULT_ADVANCED_OPTIONS);
+  const viewerRef = useRef(null);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [diffPair, setDiffPair] = useState(null);
+  const [showQueue, setShowQueue] = useState(false);
+  const [flashcards, setFlashcards] = useState(null);
+  const [evidenceSource, setEvidenceSource] = useState(null);
 
   const { content, result, loading, error, progress, generate, clear, cancel } = useSynthesis();
   const { documents, fetchDocuments } = useDocuments();
-  const { setOutput: setSynthesisOutput } = useSynthesisOutput();
+  const templateCatalog = useTemplates();
+  const { getTemplate } = templateCatalog;
+  const {
+    content: chapterContent,
+    topic: chapterTopic,
+    result: chapterResult,
+    params: chapterParams,
+    entryId,
+    generatedAt,
+    edits,
+    resolutions,
+    setOutput: setSynthesisOutput,
+    loadEntry,
+    editSection,
+    revertSection,
+    resolveConflict,
+    clearResolution,
+  } = useSynthesisOutput();
+  const { items: queueItems, isActive: queueActive } = useSynthesisQueue();
+  const toast = useToast();
 
   useEffect(() => {
     fetchDocuments();
   }, [fetchDocuments]);
 
-  // Sync content to SynthesisContext for Export tab
-  useEffect(() => {
+  // Hand finished output to SynthesisContext, which saves it to the library.
+  // Layout effect so the previous chapter never flashes before the new one.
+  useLayoutEffect(() => {
     if (content && !loading) {
-      setSynthesisOutput(content, topic);
+      setSynthesisOutput(content, generationParams?.topic || '', result, generationParams);
     }
-  }, [content, loading, topic, setSynthesisOutput]);
+  }, [content, result, loading, generationParams, setSynthesisOutput]);
+
+  // While streaming show the live tokens; otherwise the chapter open in context
+  const displayContent = loading ? content : chapterContent;
+  const displayResult = loading ? null : chapterResult;
+  const displayParams = loading ? generationParams : chapterParams;
 
   const handleGenerate = useCallback(async () => {
     if (!topic.trim()) return;
 
-    await generate(
-      {
-        topic,
-        template_type: templateType,
-        document_ids: selectedDocs.length > 0 ? selectedDocs : undefined,
-      },
-      { stream: true }
-    );
-  }, [topic, templateType, selectedDocs, generate]);
+    // A custom template deleted elsewhere would otherwise fall back to PROCEDURAL
+    const template = getTemplate(templateType);
+    if (!template) {
+      toast.error('The selected template no longer exists. Choose another template.');
+      setTemplateType('PROCEDURAL');
+      return;
+    }
+
+    // Snapshot the scope so the header reflects what this chapter was built from
+    const params = {
+      topic,
+      ...templateParams(template),
+      ...toGenerationOptions(advancedOptions),
+      ...toScopeParams(scope),
+    };
+    setGenerationParams(params);
+
+    await generate(params, { stream: true });
+  }, [topic, templateType, getTemplate, advancedOptions, scope, generate, toast]);
+
+  const handleRegenerateSection = useCallback(async (index) => {
+    const sections = displayResult?.sections || [];
+    const section = sections[index];
+    if (!section) return;
+
+    setRegeneratingIndex(index);
+    try {
+      // There is no section endpoint, so generate a one-section chapter from
+      // the same topic and sources and keep the matching section
+      const params = chapterParams || { topic: chapterTopic };
+      const outline = sections.map((s) => s.title).join('; ');
+      const response = await api.generateChapter({
+        ...params,
+        include_figures: false,
+        gemini_verification: false,
+        custom_template: {
+          name: `${params.topic}: ${section.title}`,
+          sections: [{
+            title: section.title,
+            guidance: `One section of a chapter on ${params.topic} with the sections: ${outline}. Cover only this section.`,
+          }],
+        },
+      });
+      const generated = response?.sections || [];
+      const match = generated[findConflictSection(generated, section.title)]
+        || (generated.length === 1 ? generated[0] : null);
+      if (!match?.content) {
+        throw new Error('The regenerated chapter did not include this section');
+      }
+      editSection(index, match.content, 'regenerated');
+      toast.success(`Regenerated "${section.title}"`);
+    } catch (err) {
+      toast.error(err.message || 'Failed to regenerate section');
+    } finally {
+      setRegeneratingIndex(null);
+    }
+  }, [displayResult, chapterParams, chapterTopic, editSection, toast]);
+
+  // Append a drafted controversy callout to the section the conflict came from
+  const handleInsertCallout = useCallback((index) => {
+    const conflict = displayResult?.conflict_report?.conflicts?.[index];
+    if (!conflict) return;
+
+    const sections = displayResult.sections || [];
+    const sectionIndex = findConflictSection(sections, conflict.section);
+    if (sectionIndex === -1) {
+      toast.error(`Section "${conflict.section || 'unknown'}" not found in this chapter`);
+      return;
+    }
+
+    const section = sections[sectionIndex];
+    const callout = draftControversyCallout(conflict, resolutions[index]);
+    // The heading line is the same whatever the decision, so it identifies
+    // a callout already inserted, e.g. before the conflict was reopened
+    const heading = callout.split('\n')[0];
+    if (section.content.includes(heading)) {
+      resolveConflict(index, { calloutSection: section.title });
+      toast.info(`"${section.title}" already has this callout`);
+      return;
+    }
+    editSection(sectionIndex, `${section.content.trimEnd()}\n\n${callout}`);
+    resolveConflict(index, { calloutSection: section.title });
+    toast.success(`Callout added to "${section.title}"`);
+  }, [displayResult, resolutions, editSection, resolveConflict, toast]);
+
+  // Map every conflict source label to the document and chunk behind it
+  const sourceLocations = useMemo(() => {
+    const locations = {};
+    for (const conflict of displayResult?.conflict_report?.conflicts || []) {
+      for (const label of [conflict.source_a, conflict.source_b]) {
+        if (label && !(label in locations)) {
+          locations[label] = resolveSourceLocation(label, displayResult.references, documents);
+        }
+      }
+    }
+    return locations;
+  }, [displayResult, documents]);
+
+  const handleOpenSource = useCallback(({ documentId, chunkId, page, text }) => {
+    setEvidenceSource({ documentId, focus: { chunkId, page, text } });
+  }, []);
+
+  const handleCloseSource = useCallback(() => setEvidenceSource(null), []);
+
+  const handleOpenEntry = useCallback((entry) => {
+    if (loading) return;
+    loadEntry(entry);
+    setTopic(entry.topic);
+    setShowConflicts(false);
+    setShowVerification(false);
+  }, [loading, loadEntry]);
+
+  const handleOpenQueuedEntry = useCallback(async (id) => {
+    try {
+      const entry = await getSynthesis(id);
+      if (!entry) {
+        toast.error('That chapter is no longer in the library');
+        return;
+      }
+      handleOpenEntry(entry);
+    } catch (err) {
+      toast.error(err.message || 'Failed to open chapter');
+    }
+  }, [handleOpenEntry, toast]);
+
+  const queueDefaults = useMemo(() => ({
+    templateValue: templateType,
+    scope,
+    options: advancedOptions,
+  }), [templateType, scope, advancedOptions]);
+
+  // Older version on the left, newer on the right
+  const handleCompareEntry = useCallback((entry) => {
+    if (!entryId) return;
+    const entryIsOlder = !generatedAt || entry.createdAt <= generatedAt;
+    setDiffPair(entryIsOlder
+      ? { leftId: entry.id, rightId: entryId }
+      : { leftId: entryId, rightId: entry.id });
+  }, [entryId, generatedAt]);
+
+  const handleOpenFlashcards = useCallback(() => {
+    if (!displayResult) return;
+    setFlashcards({
+      name: chapterTopic,
+      cards: cardsFromSynthesis(displayResult, { topic: chapterTopic, resolutions }),
+    });
+  }, [displayResult, chapterTopic, resolutions]);
+
+  const handleCloseFlashcards = useCallback(() => setFlashcards(null), []);
+
+  const handleJumpToSection = useCallback((index) => {
+    viewerRef.current?.jumpToSection(index);
+  }, []);
 
   const handleStop = useCallback(() => {
     cancel();
   }, [cancel]);
 
-  const handleDocToggle = useCallback((docId) => {
-    setSelectedDocs((prev) =>
-      prev.includes(docId)
-        ? prev.filter((id) => id !== docId)
-        : [...prev, docId]
-    );
-  }, []);
-
   const handleClear = useCallback(() => {
     clear();
     setTopic('');
     setShowConflicts(false);
+    setShowVerification(false);
+    setGenerationParams(null);
     setSynthesisOutput('', '');
   }, [clear, setSynthesisOutput]);
 
+  const advancedChangeCount = countChangedOptions(advancedOptions);
+  const hasVerification = Boolean(displayResult) && (
+    displayResult.verification_score != null ||
+    displayResult.verified ||
+    displayResult.verification_issues?.length > 0
+  );
+
+  const scopeFilterCount = countScopeFilters(scope);
+
   return (
     <div className="synthesis-tab" role="region" aria-label="Textbook synthesis">
       <header className="tab-header">
@@ -96,27 +296,12 @@ function SynthesisTab() {
             disabled={loading}
           />
 
-          <div className="synthesis-template-selector">
-            <label htmlFor="template-select" className="synthesis-label">
-              Template Type
-            </label>
-            <select
-              id="template-select"
-              value={templateType}
-              onChange={(e) => setTemplateType(e.target.value)}
-              disabled={loading}
-              className="synthesis-select"
-            >
-              {TEMPLATE_OPTIONS.map((opt) => (
-                <option key={opt.value} value={opt.value}>
-                  {opt.label}
-                </option>
-              ))}
-            </select>
-            <span className="synthesis-template-description">
-              {TEMPLATE_OPTIONS.find((o) => o.value === templateType)?.description}
-            </span>
-          </div>
+          <TemplatePicker
+            value={templateType}
+            onChange={setTemplateType}
+            catalog={templateCatalog}
+            disabled={loading}
+          />
 
           <div className="synthesis-source-selector">
             <Button
@@ -126,25 +311,45 @@ function SynthesisTab() {
               aria-expanded={showDocSelector}
               aria-controls="doc-selector"
             >
-              {selectedDocs.length > 0
-                ? `${selectedDocs.length} document(s) selected`
-                : 'All documents (click to filter)'}
+              {scopeFilterCount > 0
+                ? `Source scope: ${scopeFilterCount} filter(s) active`
+                : 'All sources (click to filter)'}
             </Button>
 
             {showDocSelector && (
-              <fieldset id="doc-selector" className="doc-selector">
-                <legend className="sr-only">Select source documents</legend>
-                {documents.map((doc) => (
-                  <label key={doc.id} className="doc-selector-item">
-                    <input
-                      type="checkbox"
-                      checked={selectedDocs.includes(doc.id)}
-                      onChange={() => handleDocToggle(doc.id)}
-                    />
-                    <span>{doc.title || doc.filename}</span>
-                  </label>
-                ))}
-              </fieldset>
+              <div id="doc-selector">
+                <ScopeEditor
+                  value={scope}
+                  onChange={setScope}
+                  documents={documents}
+                  disabled={loading}
+                />
+              </div>
+            )}
+          </div>
+
+          <div className="synthesis-source-selector">
+            <Button
+              variant="ghost"
+              size="sm"
+              icon={<SlidersHorizontal size={14} />}
+              onClick={() => setShowAdvanced(!showAdvanced)}
+              aria-expanded={showAdvanced}
+              aria-controls="synthesis-advanced"
+            >
+              {advancedChangeCount > 0
+                ? `Advanced options: ${advancedChangeCount} changed`
+                : 'Advanced options'}
+            </Button>
+
+            {showAdvanced && (
+              <div id="synthesis-advanced">
+                <AdvancedOptions
+                  value={advancedOptions}
+                  onChange={setAdvancedOptions}
+                  disabled={loading}
+                />
+              </div>
             )}
           </div>
 
@@ -164,15 +369,69 @@ function SynthesisTab() {
               </Button>
             )}
 
-            {content && (
+            {displayContent && !loading && (
               <Button variant="ghost" onClick={handleClear}>
                 Clear
               </Button>
             )}
+
+            <Button
+              variant="ghost"
+              icon={<History size={16} />}
+              onClick={() => setShowLibrary(!showLibrary)}
+              aria-expanded={showLibrary}
+              aria-controls="synthesis-library"
+            >
+              Saved Chapters
+            </Button>
+
+            <Button
+              variant="ghost"
+              icon={<ListOrdered size={16} />}
+              onClick={() => setShowQueue(!showQueue)}
+              aria-expanded={showQueue}
+              aria-controls="synthesis-queue"
+            >
+              {queueActive
+                ? `Batch Queue (${queueItems.filter((item) => item.status === ITEM_STATUS.COMPLETED).length}/${queueItems.length})`
+                : 'Batch Queue'}
+            </Button>
           </div>
         </div>
       </Card>
 
+      {showLibrary && (
+        <Card id="synthesis-library" className="synthesis-library-card">
+          <SynthesisLibrary
+            activeEntryId={entryId}
+            onOpen={handleOpenEntry}
+            onCompare={handleCompareEntry}
+          />
+        </Card>
+      )}
+
+      {showQueue && (
+        <Card id="synthesis-queue" className="synthesis-library-card">
+          <BatchQueue
+            catalog={templateCatalog}
+            documents={documents}
+            defaults={queueDefaults}
+            onOpenEntry={handleOpenQueuedEntry}
+          />
+        </Card>
+      )}
+
+      {diffPair && (
+        <Card className="synthesis-diff-card">
+          <SynthesisDiff
+            key={`${diffPair.leftId}-${diffPair.rightId}`}
+            initialLeftId={diffPair.leftId}
+            initialRightId={diffPair.rightId}
+            onClose={() => setDiffPair(null)}
+          />
+        </Card>
+      )}
+
       {error && (
         <Alert variant="error" title="Generation Failed">
           {error.message || 'An error occurred during synthesis'}
@@ -204,19 +463,40 @@ function SynthesisTab() {
           </div>
         )}
 
-        {content && (
+        {displayContent && (
           <>
             <Card className="synthesis-content-card">
               <header className="synthesis-content-header">
-                <h3>Generated Chapter: {topic}</h3>
+                <div className="synthesis-content-title">
+                  <h3>Generated Chapter: {loading ? generationParams?.topic : chapterTopic}</h3>
+                  <ScopeSummary scope={displayParams} documents={documents} />
+                </div>
                 <div className="synthesis-header-actions">
                   {/* Show conflict badge when synthesis is complete and has result */}
-                  {!loading && result && (
+                  {displayResult && (
                     <ConflictBadge
-                      count={result.conflict_count || 0}
+                      count={displayResult.conflict_count || 0}
                       onClick={() => setShowConflicts(!showConflicts)}
                     />
                   )}
+                  {hasVerification && (
+                    <VerificationBadge
+                      score={displayResult.verification_score}
+                      verified={Boolean(displayResult.verified)}
+                      issueCount={displayResult.verification_issues?.length || 0}
+                      onClick={() => setShowVerification(!showVerification)}
+                    />
+                  )}
+                  {displayResult && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      icon={<GraduationCap size={16} />}
+                      onClick={handleOpenFlashcards}
+                    >
+                      Flashcards
+                    </Button>
+                  )}
                   <Button
                     variant="ghost"
                     size="sm"
@@ -227,10 +507,23 @@ function SynthesisTab() {
                   </Button>
                 </div>
               </header>
-              <article
-                className="synthesis-content"
-                dangerouslySetInnerHTML={{ __html: parseMarkdown(content) }}
-              />
+              {/* Structured viewer once the full result arrives; raw stream until then */}
+              {displayResult ? (
+                <SynthesisViewer
+                  ref={viewerRef}
+                  result={displayResult}
+                  edits={edits}
+                  onEditSection={editSection}
+                  onRevertSection={revertSection}
+                  onRegenerateSection={handleRegenerateSection}
+                  regeneratingIndex={regeneratingIndex}
+                />
+              ) : (
+                <article
+                  className="synthesis-content"
+                  dangerouslySetInnerHTML={{ __html: parseMarkdown(displayContent) }}
+                />
+              )}
               {loading && (
                 <div className="synthesis-streaming-status">
                   <span className="typing-cursor" aria-label="Generating..." />
@@ -244,16 +537,48 @@ function SynthesisTab() {
             </Card>
 
             {/* Conflict panel - shown when conflicts detected and user clicks badge */}
-            {!loading && result?.conflict_report && (result.conflict_count > 0 || showConflicts) && (
+            {displayResult?.conflict_report && (displayResult.conflict_count > 0 || showConflicts) && (
               <ConflictPanel
-                report={result.conflict_report}
+                report={displayResult.conflict_report}
                 defaultExpanded={showConflicts}
+                resolutions={resolutions}
+                onResolve={resolveConflict}
+                onReopen={clearResolution}
+                onInsertCallout={handleInsertCallout}
+                sourceLocations={sourceLocations}
+                onOpenSource={handleOpenSource}
+              />
+            )}
+
+            {/* Verification report - shown when issues exist or user clicks the score */}
+            {hasVerification && (displayResult.verification_issues?.length > 0 || showVerification) && (
+              <VerificationPanel
+                result={displayResult}
+                defaultExpanded={showVerification}
+                onJumpToSection={handleJumpToSection}
               />
             )}
           </>
         )}
 
-        {!loading && !content && !error && (
+        {evidenceSource && (
+          <DocumentViewer
+            documentId={evidenceSource.documentId}
+            focus={evidenceSource.focus}
+            onClose={handleCloseSource}
+          />
+        )}
+
+        <Modal
+          open={Boolean(flashcards)}
+          onClose={handleCloseFlashcards}
+          title={`Flashcards: ${flashcards?.name || ''}`}
+          size="lg"
+        >
+          {flashcards && <FlashcardDeck cards={flashcards.cards} name={flashcards.name} />}
+        </Modal>
+
+        {!loading && !displayContent && !error && (
           <EmptyState
             icon={<BookOpen size={48} />}
             title="Generate a Synthesis"
@@ -0,0 +1,331 @@
+import React, { memo, forwardRef, useCallback, useImperativeHandle, useMemo, useState } from 'react';
+import {
+  ChevronDown,
+  ChevronRight,
+  FileText,
+  Image as ImageIcon,
+  Quote,
+  ListTree,
+  Pencil,
+  RefreshCw,
+  Undo2,
+} from 'lucide-react';
+import { api } from '../../api/client';
+import { parseMarkdown, formatReference } from '../../utils/helpers';
+import { Button, Badge, Spinner } from '../ui';
+
+/**
+ * @typedef {import('../../api/client').SynthesisResponse} SynthesisResponse
+ * @typedef {import('../../api/client').ResolvedFigure} ResolvedFigure
+ * @typedef {import('../../context/SynthesisContext').SectionEdit} SectionEdit
+ */
+
+/**
+ * @typedef {Object} SynthesisViewerProps
+ * @property {SynthesisResponse} result - Complete synthesis result (with edits applied)
+ * @property {Object<number, SectionEdit>} [edits] - Section edits keyed by index
+ * @property {Function} [onEditSection] - (index, content) => void; enables editing
+ * @property {Function} [onRevertSection] - (index) => void
+ * @property {Function} [onRegenerateSection] - (index) => void; enables regeneration
+ * @property {number|null} [regeneratingIndex] - Section currently being regenerated
+ */
+
+/**
+ * Get image URL for a resolved figure
+ * @param {ResolvedFigure} figure
+ */
+function getFigureSrc(figure) {
+  if (figure.image_url) return figure.image_url;
+  return api.getImageUrl(figure.image_path || figure.image_id);
+}
+
+/**
+ * Inline figure with caption
+ */
+function SynthesisFigure({ figure, number }) {
+  return (
+    <figure className="synthesis-figure">
+      <img
+        src={getFigureSrc(figure)}
+        alt={figure.caption || `Figure ${number}`}
+        loading="lazy"
+      />
+      <figcaption>
+        <strong>Figure {number}.</strong> {figure.caption}
+      </figcaption>
+    </figure>
+  );
+}
+
+/**
+ * Inline markdown editor for a single section
+ */
+function SectionEditor({ initialContent, onSave, onCancel }) {
+  const [draft, setDraft] = useState(initialContent);
+
+  return (
+    <div className="synthesis-section-editor">
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        rows={Math.min(Math.max(draft.split('\n').length + 2, 8), 30)}
+        aria-label="Section content"
+      />
+      <div className="synthesis-section-editor-actions">
+        <Button variant="ghost" size="sm" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button
+          variant="primary"
+          size="sm"
+          onClick={() => onSave(draft)}
+          disabled={draft === initialContent}
+        >
+          Save
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Structured chapter viewer built from a SynthesisResponse.
+ * The ref exposes `jumpToSection(index)` for panels that link into the chapter.
+ *
+ * @param {SynthesisViewerProps} props
+ */
+const SynthesisViewer = forwardRef(function SynthesisViewer({
+  result,
+  edits = {},
+  onEditSection,
+  onRevertSection,
+  onRegenerateSection,
+  regeneratingIndex = null,
+}, ref) {
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const [editingIndex, setEditingIndex] = useState(null);
+
+  const sections = useMemo(() => result.sections || [], [result.sections]);
+  const references = result.references || [];
+
+  // Group figures by the section they were requested for; unmatched ones trail the chapter
+  const { figuresBySection, unplacedFigures } = useMemo(() => {
+    const figures = result.resolved_figures || [];
+    const bySection = new Map();
+    const unplaced = [];
+    figures.forEach((figure, i) => {
+      const entry = { figure, number: i + 1 };
+      const index = sections.findIndex((s) => s.title === figure.section);
+      if (index === -1) {
+        unplaced.push(entry);
+      } else {
+        bySection.set(index, [...(bySection.get(index) || []), entry]);
+      }
+    });
+    return { figuresBySection: bySection, unplacedFigures: unplaced };
+  }, [result.resolved_figures, sections]);
+
+  const toggleSection = useCallback((index) => {
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(index)) {
+        next.delete(index);
+      } else {
+        next.add(index);
+      }
+      return next;
+    });
+  }, []);
+
+  const expandAll = useCallback(() => setCollapsed(new Set()), []);
+
+  const collapseAll = useCallback(() => {
+    setCollapsed(new Set(sections.map((_, i) => i)));
+  }, [sections]);
+
+  const jumpToSection = useCallback((index) => {
+    setCollapsed((prev) => {
+      if (!prev.has(index)) return prev;
+      const next = new Set(prev);
+      next.delete(index);
+      return next;
+    });
+    document.getElementById(`synthesis-section-${index}`)?.scrollIntoView({ behavior: 'smooth' });
+  }, []);
+
+  useImperativeHandle(ref, () => ({ jumpToSection }), [jumpToSection]);
+
+  return (
+    <div className="synthesis-viewer">
+      <div className="synthesis-stats" aria-label="Chapter statistics">
+        <span className="synthesis-stat">
+          <FileText size={14} aria-hidden="true" />
+          {(result.total_words || 0).toLocaleString()} words
+        </span>
+        <span className="synthesis-stat">
+          <ImageIcon size={14} aria-hidden="true" />
+          {result.total_figures || 0} figures
+        </span>
+        <span className="synthesis-stat">
+          <Quote size={14} aria-hidden="true" />
+          {result.total_citations || 0} citations
+        </span>
+      </div>
+
+      {sections.length > 0 && (
+        <nav className="synthesis-outline" aria-label="Chapter outline">
+          <div className="synthesis-outline-header">
+            <span className="synthesis-label">
+              <ListTree size={14} aria-hidden="true" /> Outline
+            </span>
+            <div className="synthesis-outline-actions">
+              <Button variant="ghost" size="sm" onClick={expandAll}>
+                Expand all
+              </Button>
+              <Button variant="ghost" size="sm" onClick={collapseAll}>
+                Collapse all
+              </Button>
+            </div>
+          </div>
+          <ol className="synthesis-outline-list">
+            {sections.map((section, i) => (
+              <li key={i} className={`synthesis-outline-item level-${section.level || 1}`}>
+                <button type="button" onClick={() => jumpToSection(i)}>
+                  {section.title}
+                </button>
+              </li>
+            ))}
+          </ol>
+        </nav>
+      )}
+
+      <article className="synthesis-content">
+        {result.abstract && (
+          <section className="synthesis-abstract">
+            <h3>Abstract</h3>
+            <p>{result.abstract}</p>
+          </section>
+        )}
+
+        {sections.map((section, i) => {
+          const isCollapsed = collapsed.has(i);
+          const isEditing = editingIndex === i;
+          const isRegenerating = regeneratingIndex === i;
+          const edit = edits[i];
+          const level = Math.min(Math.max(section.level || 1, 1), 3);
+          const Heading = `h${level + 2}`;
+
+          return (
+            <section
+              key={i}
+              id={`synthesis-section-${i}`}
+              className={`synthesis-section level-${level}`}
+            >
+              <div className="synthesis-section-header">
+                <button
+                  type="button"
+                  className="synthesis-section-toggle"
+                  onClick={() => toggleSection(i)}
+                  aria-expanded={!isCollapsed}
+                  aria-controls={`synthesis-section-body-${i}`}
+                >
+                  {isCollapsed ? <ChevronRight size={16} /> : <ChevronDown size={16} />}
+                  <Heading>{section.title}</Heading>
+                </button>
+
+                {edit && (
+                  <Badge variant="info" size="sm">
+                    {edit.source === 'regenerated' ? 'Regenerated' : 'Edited'}
+                  </Badge>
+                )}
+
+                <div className="synthesis-section-actions">
+                  {onEditSection && !isEditing && (
+                    <button
+                      type="button"
+                      className="synthesis-section-action"
+                      onClick={() => setEditingIndex(i)}
+                      disabled={isRegenerating}
+                      aria-label={`Edit section ${section.title}`}
+                      title="Edit section"
+                    >
+                      <Pencil size={14} />
+                    </button>
+                  )}
+                  {onRegenerateSection && (
+                    <button
+                      type="button"
+                      className="synthesis-section-action"
+                      onClick={() => onRegenerateSection(i)}
+                      disabled={isEditing || regeneratingIndex !== null}
+                      aria-label={`Regenerate section ${section.title}`}
+                      title="Regenerate this section"
+                    >
+                      <RefreshCw size={14} />
+                    </button>
+                  )}
+                  {edit && onRevertSection && !isEditing && (
+                    <button
+                      type="button"
+                      className="synthesis-section-action"
+                      onClick={() => onRevertSection(i)}
+                      disabled={isRegenerating}
+                      aria-label={`Revert section ${section.title} to generated content`}
+                      title="Revert to generated content"
+                    >
+                      <Undo2 size={14} />
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {!isCollapsed && (
+                <div id={`synthesis-section-body-${i}`} className="synthesis-section-body">
+                  {isRegenerating ? (
+                    <Spinner size="sm" label="Regenerating section..." />
+                  ) : isEditing ? (
+                    <SectionEditor
+                      initialContent={section.content}
+                      onCancel={() => setEditingIndex(null)}
+                      onSave={(draft) => {
+                        onEditSection(i, draft);
+                        setEditingIndex(null);
+                      }}
+                    />
+                  ) : (
+                    <div dangerouslySetInnerHTML={{ __html: parseMarkdown(section.content) }} />
+                  )}
+                  {(figuresBySection.get(i) || []).map(({ figure, number }) => (
+                    <SynthesisFigure key={number} figure={figure} number={number} />
+                  ))}
+                </div>
+              )}
+            </section>
+          );
+        })}
+
+        {unplacedFigures.length > 0 && (
+          <section className="synthesis-section">
+            <h3>Figures</h3>
+            {unplacedFigures.map(({ figure, number }) => (
+              <SynthesisFigure key={number} figure={figure} number={number} />
+            ))}
+          </section>
+        )}
+
+        {references.length > 0 && (
+          <section className="synthesis-references">
+            <h3>References</h3>
+            <ol>
+              {references.map((reference, i) => (
+                <li key={i}>{formatReference(reference)}</li>
+              ))}
+            </ol>
+          </section>
+        )}
+      </article>
+    </div>
+  );
+});
+
+export default memo(SynthesisViewer);
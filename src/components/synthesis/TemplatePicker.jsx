@@ -0,0 +1,167 @@
+import React, { memo, useState } from 'react';
+import { ListTree, Plus, Pencil, Trash2 } from 'lucide-react';
+import { useToast } from '../../context/ToastContext';
+import { Button } from '../ui';
+import CustomTemplateEditor from './CustomTemplateEditor';
+import { CUSTOM_PREFIX } from '../../hooks/useTemplates';
+
+/**
+ * @typedef {import('../../hooks/useTemplates').TemplateOption} TemplateOption
+ */
+
+/**
+ * @typedef {Object} TemplatePickerProps
+ * @property {string} value - Selected template value
+ * @property {(value: string) => void} onChange - Select a template
+ * @property {ReturnType<typeof import('../../hooks/useTemplates').useTemplates>} catalog - Template catalog state
+ * @property {boolean} [disabled] - Disable selection while generating
+ */
+
+/**
+ * Ordered section skeleton of a template
+ */
+function TemplatePreview({ template }) {
+  if (!template.sections?.length) {
+    return (
+      <p className="synthesis-template-description">
+        No section outline is available for this template.
+      </p>
+    );
+  }
+
+  return (
+    <ol className="synthesis-template-preview" aria-label={`${template.label} sections`}>
+      {template.sections.map((section, i) => (
+        <li key={i} className={section.level > 1 ? 'nested' : ''}>
+          <span>{section.title}</span>
+          {section.guidance && (
+            <span className="synthesis-template-guidance">{section.guidance}</span>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+/**
+ * Template selector backed by the catalog, with section previews and local
+ * custom templates
+ *
+ * @param {TemplatePickerProps} props
+ */
+function TemplatePicker({ value, onChange, catalog, disabled = false }) {
+  const [showPreview, setShowPreview] = useState(false);
+  // null = closed, {} = new template, CustomTemplate = editing
+  const [editing, setEditing] = useState(null);
+  const toast = useToast();
+
+  const { baseTemplates, customTemplates, usingFallback, getTemplate, saveCustom, deleteCustom } = catalog;
+  const selected = getTemplate(value);
+  const isCustom = value.startsWith(CUSTOM_PREFIX);
+
+  const handleDelete = async () => {
+    if (!selected?.custom || !confirm(`Delete template "${selected.label}"?`)) return;
+    try {
+      await deleteCustom(selected.custom.id);
+      onChange(baseTemplates[0]?.value || 'PROCEDURAL');
+      toast.success('Template deleted');
+    } catch (err) {
+      toast.error(err.message || 'Failed to delete template');
+    }
+  };
+
+  return (
+    <div className="synthesis-template-selector">
+      <label htmlFor="template-select" className="synthesis-label">
+        Template Type
+      </label>
+      <div className="synthesis-template-row">
+        <select
+          id="template-select"
+          value={selected ? value : ''}
+          onChange={(e) => onChange(e.target.value)}
+          disabled={disabled}
+          className="synthesis-select"
+        >
+          {!selected && <option value="" disabled>Select a template...</option>}
+          <optgroup label={usingFallback ? 'Built-in Templates' : 'Templates'}>
+            {baseTemplates.map((opt) => (
+              <option key={opt.value} value={opt.value}>
+                {opt.label}
+              </option>
+            ))}
+          </optgroup>
+          {customTemplates.length > 0 && (
+            <optgroup label="My Templates">
+              {customTemplates.map((opt) => (
+                <option key={opt.value} value={opt.value}>
+                  {opt.label}
+                </option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+        <Button
+          variant="ghost"
+          size="sm"
+          icon={<ListTree size={14} />}
+          onClick={() => setShowPreview(!showPreview)}
+          aria-expanded={showPreview}
+          disabled={!selected}
+        >
+          Sections
+        </Button>
+        <Button
+          variant="ghost"
+          size="sm"
+          icon={<Plus size={14} />}
+          onClick={() => setEditing({})}
+          disabled={disabled || editing !== null}
+        >
+          New Template
+        </Button>
+        {isCustom && selected && (
+          <>
+            <Button
+              variant="ghost"
+              size="sm"
+              icon={<Pencil size={14} />}
+              onClick={() => setEditing(selected.custom)}
+              disabled={disabled || editing !== null}
+              aria-label={`Edit template ${selected.label}`}
+            />
+            <Button
+              variant="ghost"
+              size="sm"
+              icon={<Trash2 size={14} />}
+              onClick={handleDelete}
+              disabled={disabled}
+              aria-label={`Delete template ${selected.label}`}
+            />
+          </>
+        )}
+      </div>
+      <span className="synthesis-template-description">
+        {selected?.description}
+        {usingFallback && ' · Template catalog unavailable, showing built-in templates'}
+      </span>
+
+      {showPreview && selected && <TemplatePreview template={selected} />}
+
+      {editing && (
+        <CustomTemplateEditor
+          template={editing.id ? editing : undefined}
+          baseTemplates={baseTemplates}
+          onSave={saveCustom}
+          onSaved={(saved) => {
+            setEditing(null);
+            onChange(`${CUSTOM_PREFIX}${saved.id}`);
+          }}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default memo(TemplatePicker);
@@ -0,0 +1,47 @@
+import React, { memo } from 'react';
+import { ShieldCheck, ShieldAlert, ShieldQuestion } from 'lucide-react';
+
+/**
+ * @typedef {Object} VerificationBadgeProps
+ * @property {number|null} score - Verification score (0-1)
+ * @property {boolean} verified - Whether the chapter passed verification
+ * @property {number} issueCount - Number of verification issues
+ * @property {Function} [onClick] - Click handler to expand the verification panel
+ */
+
+/**
+ * Get badge variant for a verification score
+ * - 80%+ and verified: green
+ * - 60-79%: yellow
+ * - below 60%: red
+ */
+export function getScoreVariant(score, verified) {
+  if (score == null) return verified ? 'success' : 'warning';
+  if (score >= 0.8 && verified) return 'success';
+  return score >= 0.6 ? 'warning' : 'error';
+}
+
+/**
+ * Badge showing the verification score, colored by result
+ *
+ * @param {VerificationBadgeProps} props
+ */
+function VerificationBadge({ score, verified, issueCount, onClick }) {
+  const variant = getScoreVariant(score, verified);
+  const Icon = variant === 'success' ? ShieldCheck : score == null ? ShieldQuestion : ShieldAlert;
+  const label = score == null ? (verified ? 'Verified' : 'Unverified') : `${Math.round(score * 100)}% verified`;
+
+  return (
+    <button
+      type="button"
+      className={`conflict-badge conflict-badge-${variant}`}
+      onClick={onClick}
+      aria-label={`${label}, ${issueCount} issue${issueCount !== 1 ? 's' : ''}. Click to view verification report.`}
+    >
+      <Icon size={14} aria-hidden="true" />
+      <span>{label}</span>
+    </button>
+  );
+}
+
+export default memo(VerificationBadge);
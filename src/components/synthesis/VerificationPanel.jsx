@@ -0,0 +1,118 @@
+import React, { memo, useMemo, useState } from 'react';
+import { ChevronDown, ChevronUp, ShieldAlert, CornerDownRight } from 'lucide-react';
+import { findConflictSection } from '../../utils/conflicts';
+import { Card } from '../ui';
+
+/**
+ * @typedef {Object} VerificationPanelProps
+ * @property {Object} result - SynthesisResponse with verification fields
+ * @property {boolean} [defaultExpanded=false] - Whether panel starts expanded
+ * @property {(index: number) => void} [onJumpToSection] - Scroll to a section
+ */
+
+/**
+ * Normalize an issue to text plus an optional section hint. The backend
+ * returns strings, but structured issues are accepted too.
+ */
+function normalizeIssue(issue) {
+  if (typeof issue === 'string') return { text: issue, section: null };
+  return {
+    text: issue?.message || issue?.description || issue?.issue || JSON.stringify(issue),
+    section: issue?.section || null,
+  };
+}
+
+/**
+ * Find the section an issue refers to: an explicit section hint first,
+ * otherwise the longest section title mentioned in the issue text
+ * @returns {number} Section index, or -1
+ */
+function findIssueSection(issue, sections) {
+  if (issue.section) {
+    return findConflictSection(sections, issue.section);
+  }
+
+  const text = issue.text.toLowerCase();
+  let best = -1;
+  sections.forEach((section, i) => {
+    const title = section.title.trim().toLowerCase();
+    if (title && text.includes(title) && (best === -1 || title.length > sections[best].title.length)) {
+      best = i;
+    }
+  });
+  return best;
+}
+
+/**
+ * Expandable verification report listing each issue with a link to its section
+ *
+ * @param {VerificationPanelProps} props
+ */
+function VerificationPanel({ result, defaultExpanded = false, onJumpToSection }) {
+  const [expanded, setExpanded] = useState(defaultExpanded);
+
+  const issues = useMemo(() => {
+    const sections = result.sections || [];
+    return (result.verification_issues || []).map((raw) => {
+      const issue = normalizeIssue(raw);
+      const sectionIndex = findIssueSection(issue, sections);
+      return { ...issue, sectionIndex, sectionTitle: sections[sectionIndex]?.title };
+    });
+  }, [result.verification_issues, result.sections]);
+
+  const score = result.verification_score;
+
+  return (
+    <Card className="conflict-panel verification-panel">
+      <button
+        type="button"
+        className="conflict-panel-header"
+        onClick={() => setExpanded(!expanded)}
+        aria-expanded={expanded}
+        aria-controls="verification-panel-content"
+      >
+        <div className="conflict-panel-title">
+          <ShieldAlert size={20} aria-hidden="true" />
+          <span>
+            Verification Report: {issues.length} issue{issues.length !== 1 ? 's' : ''}
+          </span>
+          <span className="conflict-mode-badge">
+            {score != null ? `score ${Math.round(score * 100)}%` : 'no score'}
+            {result.verified ? ' · verified' : ''}
+          </span>
+        </div>
+        {expanded ? <ChevronUp size={20} /> : <ChevronDown size={20} />}
+      </button>
+
+      {expanded && (
+        <div id="verification-panel-content" className="conflict-panel-content">
+          {issues.length === 0 ? (
+            <p className="conflict-sections-analyzed">No verification issues were reported.</p>
+          ) : (
+            <ol className="verification-issues">
+              {issues.map((issue, i) => (
+                <li key={i} className="conflict-item verification-issue">
+                  <p className="conflict-description">{issue.text}</p>
+                  {issue.sectionIndex !== -1 ? (
+                    <button
+                      type="button"
+                      className="conflict-context-toggle"
+                      onClick={() => onJumpToSection?.(issue.sectionIndex)}
+                    >
+                      <CornerDownRight size={12} aria-hidden="true" />
+                      Go to "{issue.sectionTitle}"
+                    </button>
+                  ) : (
+                    <p className="conflict-section">Applies to the whole chapter</p>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+}
+
+export default memo(VerificationPanel);
@@ -1,10 +1,37 @@
 /**
  * Synthesis Context - Shares synthesis output state across tabs
  *
- * Enables Export tab to access content from Synthesis tab.
+ * Enables Export tab to access content from Synthesis tab. Section edits are
+ * kept separately from the generated result and applied on read, so Export
+ * always sends what the user sees on screen. Structured results are saved to
+ * the local synthesis library and edits and conflict resolutions are written
+ * back to their entry.
  */
 
-import React, { createContext, useContext, useState, useCallback } from 'react';
+import React, { createContext, useContext, useState, useCallback, useMemo, useEffect, useRef } from 'react';
+import { buildMarkdownFromResult, applyEdits } from '../utils/helpers';
+import { buildResolutionAppendix } from '../utils/conflicts';
+import { saveSynthesis, updateSynthesis } from '../storage/synthesisLibrary';
+
+/**
+ * @typedef {Object} SectionEdit
+ * @property {string} content - Replacement section content
+ * @property {'manual'|'regenerated'} source - How the content was produced
+ * @property {string} updatedAt - ISO timestamp of the edit
+ */
+
+/**
+ * @typedef {import('../utils/conflicts').ConflictResolution} ConflictResolution
+ */
+
+const EMPTY_OUTPUT = {
+  content: '',
+  topic: '',
+  result: null,
+  params: null,
+  entryId: null,
+  generatedAt: null,
+};
 
 // Create context
 const SynthesisContext = createContext(null);
@@ -13,36 +40,189 @@ const SynthesisContext = createContext(null);
  * Provider component for synthesis output state
  */
 export function SynthesisProvider({ children }) {
-  const [synthesisOutput, setSynthesisOutput] = useState({
-    content: '',
-    topic: '',
-    generatedAt: null,
-  });
+  const [synthesisOutput, setSynthesisOutput] = useState(EMPTY_OUTPUT);
+  const [edits, setEdits] = useState({});
+  const [resolutions, setResolutions] = useState({});
+  // Review state already stored in the open entry, so opening one doesn't rewrite it
+  const savedReviewRef = useRef({ edits, resolutions });
 
-  const setOutput = useCallback((content, topic) => {
+  /**
+   * Set freshly generated output. Structured results are saved to the library
+   * as a new version of their topic.
+   * @param {string} content - Markdown content
+   * @param {string} topic - Chapter topic
+   * @param {Object|null} [result] - SynthesisResponse
+   * @param {Object|null} [params] - Generation parameters
+   */
+  const setOutput = useCallback((content, topic, result = null, params = null) => {
     setSynthesisOutput({
       content,
       topic,
+      result,
+      params,
+      entryId: null,
       generatedAt: content ? new Date().toISOString() : null,
     });
+    const noEdits = {};
+    const noResolutions = {};
+    setEdits(noEdits);
+    setResolutions(noResolutions);
+    savedReviewRef.current = { edits: noEdits, resolutions: noResolutions };
+
+    if (result) {
+      saveSynthesis({ topic, params, result })
+        .then((entry) => {
+          // Only attach if the output wasn't replaced while saving
+          setSynthesisOutput(prev =>
+            prev.result === result ? { ...prev, entryId: entry.id } : prev
+          );
+        })
+        .catch((err) => {
+          console.warn('Failed to save synthesis to library:', err);
+        });
+    }
   }, []);
 
-  const clearOutput = useCallback(() => {
+  /**
+   * Open a saved library entry as the current output
+   * @param {import('../storage/synthesisLibrary').SynthesisEntry} entry
+   */
+  const loadEntry = useCallback((entry) => {
     setSynthesisOutput({
-      content: '',
-      topic: '',
-      generatedAt: null,
+      content: buildMarkdownFromResult(entry.result),
+      topic: entry.topic,
+      result: entry.result,
+      params: entry.params,
+      entryId: entry.id,
+      generatedAt: entry.createdAt,
     });
+    const entryEdits = entry.edits || {};
+    const entryResolutions = entry.resolutions || {};
+    setEdits(entryEdits);
+    setResolutions(entryResolutions);
+    savedReviewRef.current = { edits: entryEdits, resolutions: entryResolutions };
   }, []);
 
-  const hasContent = Boolean(synthesisOutput.content);
+  const clearOutput = useCallback(() => {
+    setSynthesisOutput(EMPTY_OUTPUT);
+    setEdits({});
+    setResolutions({});
+  }, []);
+
+  /**
+   * Replace the content of one section without touching the others
+   * @param {number} index - Section index
+   * @param {string} content - New section content
+   * @param {'manual'|'regenerated'} [source='manual']
+   */
+  const editSection = useCallback((index, content, source = 'manual') => {
+    setEdits(prev => ({
+      ...prev,
+      [index]: { content, source, updatedAt: new Date().toISOString() },
+    }));
+  }, []);
+
+  /**
+   * Discard the edit for one section, restoring generated content
+   * @param {number} index - Section index
+   */
+  const revertSection = useCallback((index) => {
+    setEdits(prev => {
+      const next = { ...prev };
+      delete next[index];
+      return next;
+    });
+  }, []);
+
+  /**
+   * Record a reviewer decision, note or callout for one conflict
+   * @param {number} index - Conflict index in the conflict report
+   * @param {Partial<ConflictResolution>} changes
+   */
+  const resolveConflict = useCallback((index, changes) => {
+    setResolutions(prev => ({
+      ...prev,
+      [index]: {
+        decision: null,
+        note: '',
+        calloutSection: null,
+        ...prev[index],
+        ...changes,
+        updatedAt: new Date().toISOString(),
+      },
+    }));
+  }, []);
+
+  /**
+   * Reopen a conflict, discarding its resolution
+   * @param {number} index - Conflict index in the conflict report
+   */
+  const clearResolution = useCallback((index) => {
+    setResolutions(prev => {
+      const next = { ...prev };
+      delete next[index];
+      return next;
+    });
+  }, []);
+
+  // Persist edits and resolutions to the open library entry. Both are written
+  // together so concurrent updates can't overwrite each other.
+  const { entryId } = synthesisOutput;
+  useEffect(() => {
+    const saved = savedReviewRef.current;
+    if (!entryId || (edits === saved.edits && resolutions === saved.resolutions)) return;
+    savedReviewRef.current = { edits, resolutions };
+    updateSynthesis(entryId, { edits, resolutions }).catch((err) => {
+      console.warn('Failed to save synthesis review:', err);
+    });
+  }, [entryId, edits, resolutions]);
+
+  const editedResult = useMemo(
+    () => applyEdits(synthesisOutput.result, edits),
+    [synthesisOutput.result, edits]
+  );
+
+  // Structured results are re-serialized so edits and resolutions reach every consumer
+  const appendix = editedResult
+    ? buildResolutionAppendix(editedResult.conflict_report?.conflicts, resolutions)
+    : '';
+  const content = editedResult
+    ? buildMarkdownFromResult(editedResult) + appendix
+    : synthesisOutput.content;
+
+  const hasContent = Boolean(content);
+
+  // Everything the export endpoints need to reproduce the on-screen chapter
+  const { topic, params } = synthesisOutput;
+  const exportParams = useMemo(() => (content ? {
+    topic,
+    title: editedResult?.title || topic,
+    synthesis_id: editedResult?.synthesis_id,
+    synthesis: editedResult || undefined,
+    content,
+    appendix: appendix || undefined,
+    template_type: params?.template_type,
+    author: params?.author,
+    institution: params?.institution,
+  } : null), [topic, params, editedResult, content, appendix]);
 
   return (
     <SynthesisContext.Provider value={{
       ...synthesisOutput,
+      content,
+      result: editedResult,
+      originalResult: synthesisOutput.result,
+      edits,
+      resolutions,
       hasContent,
+      exportParams,
       setOutput,
-      clearOutput
+      loadEntry,
+      clearOutput,
+      editSection,
+      revertSection,
+      resolveConflict,
+      clearResolution
     }}>
       {children}
     </SynthesisContext.Provider>
@@ -51,7 +231,7 @@ export function SynthesisProvider({ children }) {
 
 /**
  * Hook to access synthesis output state
- * @returns {{ content: string, topic: string, generatedAt: string|null, hasContent: boolean, setOutput: Function, clearOutput: Function }}
+ * @returns {{ content: string, topic: string, result: Object|null, originalResult: Object|null, params: Object|null, entryId: string|null, edits: Object<number, SectionEdit>, resolutions: Object<number, ConflictResolution>, generatedAt: string|null, hasContent: boolean, exportParams: import('../api/client').SynthesisExportParams|null, setOutput: Function, loadEntry: Function, clearOutput: Function, editSection: Function, revertSection: Function, resolveConflict: Function, clearResolution: Function }}
  */
 export function useSynthesisOutput() {
   const context = useContext(SynthesisContext);
@@ -0,0 +1,273 @@
+/**
+ * Synthesis Queue Context - Runs a list of chapters one after another
+ *
+ * Lives above the tabs so a batch keeps generating while the user works
+ * elsewhere. Each item streams through generateChapterStream and finished
+ * chapters are saved straight to the local synthesis library.
+ */
+
+import React, { createContext, useContext, useState, useCallback, useEffect, useRef } from 'react';
+import { api } from '../api/client';
+import { saveSynthesis } from '../storage/synthesisLibrary';
+import { useToast } from './ToastContext';
+import { generateId } from '../utils/helpers';
+
+export const QUEUE_STATUS = {
+  IDLE: 'idle',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+};
+
+export const ITEM_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+/**
+ * @typedef {Object} QueueItem
+ * @property {string} id - Item ID
+ * @property {string} topic - Chapter topic
+ * @property {string} templateValue - Template selector value
+ * @property {Object} scope - Source scope for this item
+ * @property {Object} params - Generation parameters sent to the backend
+ * @property {string} status - One of ITEM_STATUS
+ * @property {{progress?: number, stage?: string, message?: string, section?: string}|null} progress - Latest progress event
+ * @property {string|null} error - Failure message
+ * @property {string|null} entryId - Library entry of the finished chapter
+ * @property {number|null} words - Word count of the finished chapter
+ */
+
+// Create context
+const SynthesisQueueContext = createContext(null);
+
+/**
+ * Provider component for the batch synthesis queue
+ */
+export function SynthesisQueueProvider({ children }) {
+  const [items, setItems] = useState([]);
+  const [status, setStatus] = useState(QUEUE_STATUS.IDLE);
+  const runningIdRef = useRef(null);
+  const abortRef = useRef(null);
+  const mountedRef = useRef(true);
+  const toast = useToast();
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      abortRef.current?.();
+    };
+  }, []);
+
+  const patchItem = useCallback((id, changes) => {
+    if (!mountedRef.current) return;
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  /**
+   * Stream one item and save its result. Resolves the handlers exactly once,
+   * since an error event can be followed by stream completion.
+   */
+  const runItem = useCallback((item) => {
+    runningIdRef.current = item.id;
+    patchItem(item.id, { status: ITEM_STATUS.RUNNING, progress: null, error: null });
+
+    let result = null;
+    let settled = false;
+    let saving = false;
+
+    const settle = (changes) => {
+      if (settled) return;
+      settled = true;
+      abortRef.current = null;
+      runningIdRef.current = null;
+      patchItem(item.id, changes);
+    };
+
+    abortRef.current = api.generateChapterStream(item.params, {
+      onProgress: (data) => {
+        if (!settled) patchItem(item.id, { progress: data });
+      },
+      onData: (event, data) => {
+        if (data?.stage === 'complete' && data?.result) {
+          result = data.result;
+        }
+      },
+      onComplete: async () => {
+        if (settled) return;
+        if (!result) {
+          settle({ status: ITEM_STATUS.FAILED, error: 'Stream ended without a chapter' });
+          return;
+        }
+        // The chapter is generated; cancelling from here on only stops the
+        // rest of the queue, so the item can't end up cancelled yet saved
+        saving = true;
+        abortRef.current = null;
+        patchItem(item.id, { progress: { progress: 100, message: 'Saving to library' } });
+        try {
+          const entry = await saveSynthesis({ topic: item.topic, params: item.params, result });
+          settle({
+            status: ITEM_STATUS.COMPLETED,
+            entryId: entry.id,
+            words: result.total_words || 0,
+            progress: { progress: 100, message: 'Saved to library' },
+          });
+        } catch (err) {
+          settle({ status: ITEM_STATUS.FAILED, error: `Generated but not saved: ${err.message}` });
+        }
+      },
+      onError: (err) => {
+        settle({ status: ITEM_STATUS.FAILED, error: err.message || 'Generation failed' });
+      },
+      onAbort: () => {
+        if (!saving) settle({ status: ITEM_STATUS.CANCELLED, progress: null });
+      },
+    });
+  }, [patchItem]);
+
+  // Start the next pending item whenever the queue is running and idle
+  useEffect(() => {
+    if (status !== QUEUE_STATUS.RUNNING || runningIdRef.current) return;
+
+    const next = items.find(item => item.status === ITEM_STATUS.PENDING);
+    if (next) {
+      runItem(next);
+      return;
+    }
+
+    setStatus(QUEUE_STATUS.IDLE);
+    const completed = items.filter(item => item.status === ITEM_STATUS.COMPLETED).length;
+    const failed = items.filter(item => item.status === ITEM_STATUS.FAILED).length;
+    if (failed > 0) {
+      toast.warning(`Batch finished: ${completed} saved, ${failed} failed`);
+    } else if (completed > 0) {
+      toast.success(`Batch finished: ${completed} chapter${completed !== 1 ? 's' : ''} saved`);
+    }
+  }, [status, items, runItem, toast]);
+
+  /**
+   * Append items to the queue
+   * @param {Array<{topic: string, templateValue: string, scope: Object, params: Object}>} newItems
+   */
+  const addItems = useCallback((newItems) => {
+    setItems(prev => [
+      ...prev,
+      ...newItems.map(item => ({
+        ...item,
+        id: generateId(),
+        status: ITEM_STATUS.PENDING,
+        progress: null,
+        error: null,
+        entryId: null,
+        words: null,
+      })),
+    ]);
+  }, []);
+
+  /**
+   * Edit a pending item
+   * @param {string} id
+   * @param {Partial<QueueItem>} changes
+   */
+  const updateItem = useCallback((id, changes) => {
+    setItems(prev => prev.map(item =>
+      item.id === id && item.status !== ITEM_STATUS.RUNNING ? { ...item, ...changes } : item
+    ));
+  }, []);
+
+  const removeItem = useCallback((id) => {
+    setItems(prev => prev.filter(item => item.id !== id || item.status === ITEM_STATUS.RUNNING));
+  }, []);
+
+  /**
+   * Move a pending item up or down
+   * @param {string} id
+   * @param {-1|1} direction
+   */
+  const moveItem = useCallback((id, direction) => {
+    setItems(prev => {
+      const from = prev.findIndex(item => item.id === id);
+      const to = from + direction;
+      if (from === -1 || to < 0 || to >= prev.length) return prev;
+      const next = [...prev];
+      [next[from], next[to]] = [next[to], next[from]];
+      return next;
+    });
+  }, []);
+
+  /**
+   * Put failed and cancelled items back in the queue
+   * @param {string} [id] - Retry a single item; omit to retry all
+   */
+  const retry = useCallback((id) => {
+    setItems(prev => prev.map(item =>
+      (!id || item.id === id) &&
+      (item.status === ITEM_STATUS.FAILED || item.status === ITEM_STATUS.CANCELLED)
+        ? { ...item, status: ITEM_STATUS.PENDING, error: null, progress: null }
+        : item
+    ));
+  }, []);
+
+  const clearFinished = useCallback(() => {
+    setItems(prev => prev.filter(item =>
+      item.status === ITEM_STATUS.PENDING || item.status === ITEM_STATUS.RUNNING
+    ));
+  }, []);
+
+  const start = useCallback(() => setStatus(QUEUE_STATUS.RUNNING), []);
+
+  // Pausing lets the current chapter finish, then holds the rest
+  const pause = useCallback(() => {
+    setStatus(prev => (prev === QUEUE_STATUS.RUNNING ? QUEUE_STATUS.PAUSED : prev));
+  }, []);
+
+  /**
+   * Abort the running chapter and cancel everything still pending
+   */
+  const cancel = useCallback(() => {
+    setStatus(QUEUE_STATUS.IDLE);
+    setItems(prev => prev.map(item =>
+      item.status === ITEM_STATUS.PENDING ? { ...item, status: ITEM_STATUS.CANCELLED } : item
+    ));
+    abortRef.current?.();
+  }, []);
+
+  const isActive = status !== QUEUE_STATUS.IDLE || items.some(item => item.status === ITEM_STATUS.RUNNING);
+
+  return (
+    <SynthesisQueueContext.Provider value={{
+      items,
+      status,
+      isActive,
+      addItems,
+      updateItem,
+      removeItem,
+      moveItem,
+      retry,
+      clearFinished,
+      start,
+      pause,
+      resume: start,
+      cancel
+    }}>
+      {children}
+    </SynthesisQueueContext.Provider>
+  );
+}
+
+/**
+ * Hook to access the batch synthesis queue
+ * @returns {{ items: QueueItem[], status: string, isActive: boolean, addItems: Function, updateItem: Function, removeItem: Function, moveItem: Function, retry: Function, clearFinished: Function, start: Function, pause: Function, resume: Function, cancel: Function }}
+ */
+export function useSynthesisQueue() {
+  const context = useContext(SynthesisQueueContext);
+  if (!context) {
+    throw new Error('useSynthesisQueue must be used within a SynthesisQueueProvider');
+  }
+  return context;
+}
+
+export default SynthesisQueueProvider;
@@ -4,6 +4,8 @@
 
 import { useState, useCallback, useRef, useEffect } from 'react';
 import { api } from '../api/client';
+import { buildMarkdownFromResult } from '../utils/helpers';
+import { toChatImage, toTokenUsage } from '../utils/conversations';
 
 /**
  * @typedef {Object} AsyncState
@@ -346,6 +348,143 @@ export function useRAG() {
   };
 }
 
+/**
+ * @typedef {Object} ChatTurnResult
+ * @property {string} answer - Full answer text
+ * @property {Array} citations - Citations received for the answer
+ * @property {import('../utils/conversations').ChatImage[]} images - Figures received for the answer
+ * @property {import('../utils/conversations').TokenUsage|null} usage - Token usage for the turn
+ * @property {string|null} conversationId - Conversation the turn was stored in
+ * @property {boolean} [aborted] - True when the stream was stopped early
+ */
+
+/**
+ * Hook for streaming answers from the enhanced chat endpoint, with
+ * citations, figures and token usage as they arrive
+ * @returns {Object} Stream state and actions
+ */
+export function useChatStream() {
+  const [answer, setAnswer] = useState('');
+  const [citations, setCitations] = useState([]);
+  const [images, setImages] = useState([]);
+  const [usage, setUsage] = useState(null);
+  const [streaming, setStreaming] = useState(false);
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+  const mountedRef = useRef(true);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      // Cleanup: abort any ongoing stream
+      if (abortRef.current) {
+        abortRef.current();
+      }
+    };
+  }, []);
+
+  /**
+   * Stream one turn
+   * @param {string} message - User message
+   * @param {Object} [params] - chatAskStream parameters (conversation_id, synthesis_id, budgets, filters)
+   * @returns {Promise<ChatTurnResult>}
+   */
+  const send = useCallback((message, params = {}) => new Promise((resolve, reject) => {
+    if (abortRef.current) {
+      abortRef.current();
+    }
+
+    let text = '';
+    let received = [];
+    const figures = [];
+    let turnUsage = null;
+    let conversationId = params.conversation_id || null;
+    let settled = false;
+
+    setAnswer('');
+    setCitations([]);
+    setImages([]);
+    setUsage(null);
+    setError(null);
+    setStreaming(true);
+
+    // onComplete can follow an error or abort, so only the first outcome counts
+    const settle = (outcome) => {
+      if (settled) return;
+      settled = true;
+      abortRef.current = null;
+      if (mountedRef.current) {
+        setStreaming(false);
+      }
+      outcome();
+    };
+
+    const result = (extra = {}) => ({
+      answer: text,
+      citations: received,
+      images: figures,
+      usage: turnUsage,
+      conversationId,
+      ...extra,
+    });
+
+    // The conversation ID and usage may arrive on the done event or their own events
+    const capture = (data) => {
+      if (!data || typeof data !== 'object') return;
+      if (data.conversation_id) conversationId = data.conversation_id;
+      const nextUsage = toTokenUsage(data);
+      if (nextUsage) {
+        turnUsage = nextUsage;
+        if (mountedRef.current) setUsage(nextUsage);
+      }
+    };
+
+    abortRef.current = api.chatAskStream({ message, ...params }, {
+      onToken: (token) => {
+        text += token ?? '';
+        if (mountedRef.current) setAnswer(text);
+      },
+      onCitation: (citation) => {
+        received = [...received, citation];
+        if (mountedRef.current) setCitations(received);
+      },
+      onImage: (data) => {
+        const image = toChatImage(data);
+        if (!image || figures.some((f) => f.id === image.id)) return;
+        figures.push(image);
+        if (mountedRef.current) setImages([...figures]);
+      },
+      onData: (event, data) => capture(data),
+      onDone: (data) => {
+        capture(data);
+        if (data?.citations) {
+          received = data.citations;
+          if (mountedRef.current) setCitations(received);
+        }
+        if (!text && data?.answer) {
+          text = data.answer;
+          if (mountedRef.current) setAnswer(text);
+        }
+      },
+      onComplete: () => settle(() => resolve(result())),
+      onError: (err) => settle(() => {
+        if (mountedRef.current) setError(err);
+        reject(err);
+      }),
+      onAbort: () => settle(() => resolve(result({ aborted: true }))),
+    });
+  }), []);
+
+  const stop = useCallback(() => {
+    if (abortRef.current) {
+      abortRef.current();
+    }
+  }, []);
+
+  return { answer, citations, images, usage, streaming, error, send, stop };
+}
+
 /**
  * Hook for ingestion with progress tracking
  * @returns {Object} Ingestion state and actions
@@ -570,28 +709,6 @@ export function useSynthesis() {
   return { content, result, loading, error, progress, generate, clear, cancel };
 }
 
-/**
- * Build markdown content from synthesis result sections
- * @param {Object} result - SynthesisResponse object
- * @returns {string} Markdown content
- */
-function buildMarkdownFromResult(result) {
-  if (!result) return '';
-
-  let md = `# ${result.title}\n\n`;
-
-  if (result.abstract) {
-    md += `## Abstract\n\n${result.abstract}\n\n`;
-  }
-
-  for (const section of (result.sections || [])) {
-    const heading = '#'.repeat(section.level + 1);
-    md += `${heading} ${section.title}\n\n${section.content}\n\n`;
-  }
-
-  return md;
-}
-
 /**
  * Hook for entity management
  * @returns {Object} Entity state and actions
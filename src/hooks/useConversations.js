@@ -0,0 +1,219 @@
+/**
+ * useConversations Hook
+ *
+ * Lists Ask conversations from both server stores (RAG conversations and
+ * enhanced chat), merges in local names, and sends, loads, renames and
+ * deletes conversations. Conversations that hold a branch of another one
+ * are left out of the list and deleted with it.
+ */
+
+import { useState, useCallback, useEffect, useMemo } from 'react';
+import { api } from '../api/client';
+import {
+  listConversationMeta,
+  getConversationMeta,
+  updateConversationMeta,
+  renameConversation,
+  deleteConversationMeta,
+  subscribe,
+} from '../storage/conversations';
+import {
+  toConversationItems,
+  toConversationSummary,
+  toChatMessages,
+} from '../utils/conversations';
+
+/**
+ * @typedef {import('../utils/conversations').ConversationRef} ConversationRef
+ * @typedef {import('../utils/conversations').ConversationSummary} ConversationSummary
+ * @typedef {import('../utils/conversations').ChatMessageData} ChatMessageData
+ */
+
+const LIST_LIMIT = 50;
+
+/**
+ * Hook for the Ask conversation list.
+ *
+ * @returns {Object} Conversation state and actions
+ * @property {ConversationSummary[]} conversations - All conversations, most recent first
+ * @property {ConversationSummary[]} matches - Conversations matching the query
+ * @property {string} query - Current search query
+ * @property {Function} setQuery - Update search query
+ * @property {boolean} loading - Loading state
+ * @property {Error|null} error - Set when neither server store could be listed
+ * @property {Function} refresh - Reload the list from the server
+ * @property {Function} loadMessages - Fetch a conversation's messages
+ * @property {Function} send - Send a message, starting a conversation if none is given
+ * @property {Function} rename - Rename a conversation locally
+ * @property {Function} loadDetails - Get what's saved locally with a conversation (scope, message tree)
+ * @property {Function} saveDetails - Save details with a conversation locally
+ * @property {Function} remove - Delete a conversation from the server
+ */
+export function useConversations() {
+  const [items, setItems] = useState([]); // { item, source }
+  const [metas, setMetas] = useState([]);
+  const [query, setQuery] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    const [rag, chat] = await Promise.allSettled([
+      api.getConversationHistory({ page_size: LIST_LIMIT }),
+      api.getChatConversations(LIST_LIMIT),
+    ]);
+
+    if (rag.status === 'rejected' && chat.status === 'rejected') {
+      setError(rag.reason);
+    } else {
+      setItems([
+        ...(rag.status === 'fulfilled' ? toConversationItems(rag.value) : []).map((item) => ({ item, source: 'rag' })),
+        ...(chat.status === 'fulfilled' ? toConversationItems(chat.value) : []).map((item) => ({ item, source: 'chat' })),
+      ]);
+    }
+    setLoading(false);
+  }, []);
+
+  const refreshMetas = useCallback(async () => {
+    try {
+      setMetas(await listConversationMeta());
+    } catch (err) {
+      console.warn('Failed to load conversation names:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    refreshMetas();
+    return subscribe(refreshMetas);
+  }, [refreshMetas]);
+
+  const conversations = useMemo(() => {
+    const metaById = new Map(metas.map((m) => [m.id, m]));
+    const byKey = new Map();
+    for (const { item, source } of items) {
+      const meta = metaById.get(item.conversation_id || item.id);
+      if (meta?.branchOf) continue;
+      const summary = toConversationSummary(item, source, meta);
+      if (summary && !byKey.has(summary.key)) byKey.set(summary.key, summary);
+    }
+    return [...byKey.values()].sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+  }, [items, metas]);
+
+  const matches = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    if (!q) return conversations;
+    return conversations.filter((c) =>
+      [c.title, c.preview].some((field) => field?.toLowerCase().includes(q))
+    );
+  }, [conversations, query]);
+
+  /**
+   * @param {ConversationRef} conversation
+   * @returns {Promise<ChatMessageData[]>}
+   */
+  const loadMessages = useCallback(async (conversation) => {
+    const data = conversation.source === 'chat'
+      ? await api.getChatConversation(conversation.id)
+      : await api.getConversation(conversation.id);
+    return toChatMessages(data);
+  }, []);
+
+  /**
+   * Send a message. RAG conversations continue through the conversation
+   * endpoint, chat conversations through chat ask; new ones start as RAG
+   * conversations.
+   * @param {string} message
+   * @param {ConversationRef|null} conversation - Conversation to continue
+   * @param {{filters?: Object}} [options] - Retrieval filters for this message
+   * @returns {Promise<{conversation: ConversationRef, answer: string, sources: Array}>}
+   */
+  const send = useCallback(async (message, conversation, { filters } = {}) => {
+    let reply;
+    if (conversation?.source === 'chat') {
+      const result = await api.chatAsk({ message, conversation_id: conversation.id, filters });
+      reply = {
+        conversation: { id: result.conversation_id || conversation.id, source: 'chat' },
+        answer: result.answer ?? result.response ?? '',
+        sources: result.citations || [],
+      };
+    } else {
+      const result = await api.sendConversation({ message, conversation_id: conversation?.id, filters });
+      reply = {
+        conversation: { id: result.conversation_id, source: 'rag' },
+        answer: result.answer ?? '',
+        sources: result.citations || [],
+      };
+    }
+    refresh();
+    return reply;
+  }, [refresh]);
+
+  const rename = useCallback(
+    (conversation, title) => renameConversation(conversation.id, conversation.source, title),
+    []
+  );
+
+  /**
+   * @param {ConversationRef} conversation
+   * @returns {Promise<import('../storage/conversations').ConversationMeta|null>}
+   */
+  const loadDetails = useCallback(async (conversation) => {
+    const meta = await getConversationMeta(conversation.id);
+    return meta || null;
+  }, []);
+
+  /**
+   * @param {ConversationRef} conversation
+   * @param {Object} changes - e.g. { scope }, { tree } or { branchOf }
+   */
+  const saveDetails = useCallback(
+    (conversation, changes) => updateConversationMeta(conversation.id, { source: conversation.source, ...changes }),
+    []
+  );
+
+  const remove = useCallback(async (conversation) => {
+    const deleteOne = async ({ id, source }) => {
+      if (source === 'chat') {
+        await api.deleteChatConversation(id);
+      } else {
+        await api.deleteConversation(id);
+      }
+      setItems((prev) => prev.filter(({ item, source: itemSource }) =>
+        !(itemSource === source && (item.conversation_id || item.id) === id)
+      ));
+      await deleteConversationMeta(id).catch((err) => {
+        console.warn('Failed to delete conversation name:', err);
+      });
+    };
+
+    await deleteOne(conversation);
+    // Branches go too; one that fails to delete only stays on the server
+    const branches = metas.filter((meta) => meta.branchOf === conversation.id);
+    await Promise.all(branches.map((branch) => deleteOne(branch).catch((err) => {
+      console.warn('Failed to delete conversation branch:', err);
+    })));
+  }, [metas]);
+
+  return {
+    conversations,
+    matches,
+    query,
+    setQuery,
+    loading,
+    error,
+    refresh,
+    loadMessages,
+    send,
+    rename,
+    loadDetails,
+    saveDetails,
+    remove,
+  };
+}
+
+export default useConversations;
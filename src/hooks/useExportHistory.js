@@ -0,0 +1,70 @@
+/**
+ * useExportHistory Hook
+ *
+ * Provides the export log and keeps it in sync with exports made anywhere
+ * in the app.
+ */
+
+import { useState, useCallback, useEffect } from 'react';
+import {
+  listExportHistory,
+  recordExport,
+  getExportFile,
+  deleteExportRecord,
+  clearExportHistory,
+  subscribe,
+} from '../storage/exportHistory';
+
+/**
+ * @typedef {import('../storage/exportHistory').ExportRecord} ExportRecord
+ */
+
+/**
+ * Hook for the export log.
+ *
+ * @returns {Object} Log state and actions
+ * @property {ExportRecord[]} records - Logged exports, newest first
+ * @property {boolean} loading - Whether the log is loading
+ * @property {Function} record - Log an export with its file
+ * @property {Function} getFile - Get a logged export's cached file
+ * @property {Function} deleteRecord - Delete a logged export
+ * @property {Function} clear - Delete the whole log
+ */
+export function useExportHistory() {
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const refresh = useCallback(async () => {
+    try {
+      setRecords(await listExportHistory());
+    } catch (err) {
+      console.warn('Failed to load export history:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    return subscribe(refresh);
+  }, [refresh]);
+
+  const record = useCallback((details) => recordExport(details), []);
+
+  const getFile = useCallback((id) => getExportFile(id), []);
+
+  const deleteRecord = useCallback((id) => deleteExportRecord(id), []);
+
+  const clear = useCallback(() => clearExportHistory(), []);
+
+  return {
+    records,
+    loading,
+    record,
+    getFile,
+    deleteRecord,
+    clear,
+  };
+}
+
+export default useExportHistory;
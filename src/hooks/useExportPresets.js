@@ -0,0 +1,65 @@
+/**
+ * useExportPresets Hook
+ *
+ * Combines the built-in export presets with the user's saved presets and
+ * keeps the list in sync with writes made anywhere in the app.
+ */
+
+import { useState, useCallback, useEffect, useMemo } from 'react';
+import {
+  listExportPresets,
+  saveExportPreset,
+  deleteExportPreset,
+  subscribe,
+} from '../storage/exportPresets';
+import { BUILTIN_EXPORT_PRESETS } from '../utils/exportOptions';
+
+/**
+ * @typedef {import('../storage/exportPresets').ExportPreset} ExportPreset
+ */
+
+/**
+ * Hook for export presets.
+ *
+ * @returns {Object} Preset state and actions
+ * @property {ExportPreset[]} presets - Built-in presets followed by saved ones
+ * @property {Function} getPreset - Look up a preset by ID
+ * @property {Function} savePreset - Create or update a saved preset
+ * @property {Function} deletePreset - Delete a saved preset
+ */
+export function useExportPresets() {
+  const [saved, setSaved] = useState([]);
+
+  const refresh = useCallback(async () => {
+    try {
+      setSaved(await listExportPresets());
+    } catch (err) {
+      console.warn('Failed to load export presets:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    return subscribe(refresh);
+  }, [refresh]);
+
+  const presets = useMemo(() => [...BUILTIN_EXPORT_PRESETS, ...saved], [saved]);
+
+  const getPreset = useCallback(
+    (id) => presets.find((p) => p.id === id),
+    [presets]
+  );
+
+  const savePreset = useCallback((preset) => saveExportPreset(preset), []);
+
+  const deletePreset = useCallback((id) => deleteExportPreset(id), []);
+
+  return {
+    presets,
+    getPreset,
+    savePreset,
+    deletePreset,
+  };
+}
+
+export default useExportPresets;
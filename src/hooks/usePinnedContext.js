@@ -0,0 +1,89 @@
+/**
+ * usePinnedContext Hook
+ *
+ * Chunks pinned as context for Ask questions. Picks up the chunk Browse's
+ * "Ask About" hands over in sessionStorage and keeps the pinned list for the
+ * rest of the browser session.
+ */
+
+import { useState, useCallback, useEffect } from 'react';
+
+/**
+ * @typedef {import('../utils/conversations').PinnedChunk} PinnedChunk
+ */
+
+// Written by BrowseTab's "Ask About" action
+const INCOMING_KEY = 'askContext';
+const PINNED_KEY = 'askPinned';
+const MAX_PINNED = 8;
+
+/**
+ * Read a JSON value from sessionStorage
+ */
+function readSession(key) {
+  try {
+    return JSON.parse(sessionStorage.getItem(key));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Add a chunk unless it's already pinned, dropping the oldest past the limit
+ * @param {PinnedChunk[]} list
+ * @param {PinnedChunk} chunk
+ * @returns {PinnedChunk[]}
+ */
+function addChunk(list, chunk) {
+  if (!chunk?.chunkId || list.some((c) => c.chunkId === chunk.chunkId)) return list;
+  return [...list, chunk].slice(-MAX_PINNED);
+}
+
+/**
+ * Hook for Ask's pinned context chunks.
+ *
+ * @returns {Object} Pinned chunks and actions
+ * @property {PinnedChunk[]} pinned - Pinned chunks, oldest first
+ * @property {PinnedChunk|null} received - Chunk just handed over from Browse
+ * @property {Function} pin - Pin a chunk
+ * @property {Function} unpin - Remove a pinned chunk by ID
+ * @property {Function} clear - Remove all pinned chunks
+ */
+export function usePinnedContext() {
+  const [pinned, setPinned] = useState(() => {
+    const stored = readSession(PINNED_KEY);
+    return Array.isArray(stored) ? stored : [];
+  });
+  const [received, setReceived] = useState(null);
+
+  // Take over the chunk Browse handed us, so it's only consumed once
+  useEffect(() => {
+    const incoming = readSession(INCOMING_KEY);
+    sessionStorage.removeItem(INCOMING_KEY);
+    if (incoming?.chunkId) {
+      setPinned((prev) => addChunk(prev, incoming));
+      setReceived(incoming);
+    }
+  }, []);
+
+  useEffect(() => {
+    sessionStorage.setItem(PINNED_KEY, JSON.stringify(pinned));
+  }, [pinned]);
+
+  /**
+   * @param {PinnedChunk} chunk
+   */
+  const pin = useCallback((chunk) => {
+    setPinned((prev) => addChunk(prev, chunk));
+  }, []);
+
+  const unpin = useCallback((chunkId) => {
+    setPinned((prev) => prev.filter((c) => c.chunkId !== chunkId));
+  }, []);
+
+  const clear = useCallback(() => setPinned([]), []);
+
+  return { pinned, received, pin, unpin, clear };
+}
+
+export default usePinnedContext;
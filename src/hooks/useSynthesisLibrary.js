@@ -0,0 +1,107 @@
+/**
+ * useSynthesisLibrary Hook
+ *
+ * Lists saved syntheses from the local library and keeps the list in sync
+ * with writes made anywhere in the app.
+ */
+
+import { useState, useCallback, useEffect, useMemo } from 'react';
+import {
+  listSyntheses,
+  renameSynthesis,
+  deleteSynthesis,
+  subscribe,
+} from '../storage/synthesisLibrary';
+
+/**
+ * @typedef {import('../storage/synthesisLibrary').SynthesisEntry} SynthesisEntry
+ */
+
+/**
+ * @typedef {Object} TopicGroup
+ * @property {string} topicKey - Normalized topic
+ * @property {SynthesisEntry} latest - Newest version
+ * @property {SynthesisEntry[]} versions - All versions, newest first
+ */
+
+/**
+ * Hook for browsing and managing the local synthesis library.
+ *
+ * @returns {Object} Library state and actions
+ * @property {SynthesisEntry[]} entries - All entries, most recently updated first
+ * @property {TopicGroup[]} groups - Entries matching the query, grouped by topic
+ * @property {string} query - Current search query
+ * @property {Function} setQuery - Update search query
+ * @property {boolean} loading - Loading state
+ * @property {Error|null} error - Error state
+ * @property {Function} refresh - Reload entries
+ * @property {Function} rename - Rename an entry
+ * @property {Function} remove - Delete an entry
+ */
+export function useSynthesisLibrary() {
+  const [entries, setEntries] = useState([]);
+  const [query, setQuery] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const items = await listSyntheses();
+      setEntries(items);
+      return items;
+    } catch (err) {
+      setError(err);
+      return [];
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    return subscribe(refresh);
+  }, [refresh]);
+
+  const rename = useCallback((id, name) => renameSynthesis(id, name), []);
+
+  const remove = useCallback((id) => deleteSynthesis(id), []);
+
+  const groups = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    const matches = q
+      ? entries.filter((e) =>
+          [e.name, e.topic, e.templateType].some((field) => field?.toLowerCase().includes(q))
+        )
+      : entries;
+
+    // Entries are sorted by recency, so the first entry seen per topic leads its group
+    const byTopic = new Map();
+    for (const entry of matches) {
+      if (!byTopic.has(entry.topicKey)) {
+        byTopic.set(entry.topicKey, []);
+      }
+      byTopic.get(entry.topicKey).push(entry);
+    }
+
+    return [...byTopic.entries()].map(([topicKey, versions]) => {
+      const sorted = [...versions].sort((a, b) => b.version - a.version);
+      return { topicKey, latest: sorted[0], versions: sorted };
+    });
+  }, [entries, query]);
+
+  return {
+    entries,
+    groups,
+    query,
+    setQuery,
+    loading,
+    error,
+    refresh,
+    rename,
+    remove,
+  };
+}
+
+export default useSynthesisLibrary;
@@ -0,0 +1,200 @@
+/**
+ * useTemplates Hook
+ *
+ * Loads the synthesis template catalog from the backend, falling back to the
+ * built-in list when the endpoint is unavailable, and merges in the user's
+ * local custom templates.
+ */
+
+import { useState, useCallback, useEffect, useMemo } from 'react';
+import { api } from '../api/client';
+import {
+  listCustomTemplates,
+  saveCustomTemplate,
+  deleteCustomTemplate,
+  subscribe,
+} from '../storage/customTemplates';
+
+/**
+ * @typedef {import('../storage/customTemplates').CustomTemplate} CustomTemplate
+ * @typedef {import('../storage/customTemplates').TemplateSection} TemplateSection
+ */
+
+/**
+ * @typedef {Object} TemplateOption
+ * @property {string} value - Selector value; custom templates use "custom:<id>"
+ * @property {string} label - Display name
+ * @property {string} description - Short description
+ * @property {TemplateSection[]} sections - Section skeleton (may be empty)
+ * @property {'catalog'|'builtin'|'custom'} source - Where the template came from
+ * @property {string} templateType - template_type sent to the backend
+ * @property {CustomTemplate} [custom] - Custom template record
+ */
+
+export const CUSTOM_PREFIX = 'custom:';
+
+/**
+ * Built-in templates used when the catalog endpoint is unavailable
+ */
+export const FALLBACK_TEMPLATES = [
+  { value: 'PROCEDURAL', label: 'Procedural (Surgical)', description: 'Operative technique synthesis' },
+  { value: 'DISORDER', label: 'Disorder/Pathology', description: 'Disease-focused synthesis' },
+  { value: 'ANATOMY', label: 'Anatomical Region', description: 'Neuroanatomy synthesis' },
+  { value: 'ENCYCLOPEDIA', label: 'Encyclopedia Entry', description: 'Comprehensive integration' },
+].map((t) => ({ ...t, sections: [], source: 'builtin', templateType: t.value }));
+
+/**
+ * Normalize one section entry from the catalog (string or object)
+ * @returns {TemplateSection|null}
+ */
+function normalizeSection(section) {
+  if (typeof section === 'string') return { title: section };
+  const title = section?.title || section?.name || section?.heading;
+  if (!title) return null;
+  return {
+    title,
+    guidance: section.guidance || section.description || '',
+    level: section.level,
+  };
+}
+
+/**
+ * Normalize the catalog response into template options. Accepts an array,
+ * `{ templates: [...] }`, or an object keyed by template type.
+ * @param {any} response - GET /api/synthesis/templates response
+ * @returns {TemplateOption[]}
+ */
+export function normalizeCatalog(response) {
+  const raw = response?.templates ?? response;
+  const items = Array.isArray(raw)
+    ? raw
+    : Object.entries(raw || {}).map(([type, t]) => ({ type, ...(typeof t === 'object' ? t : { description: t }) }));
+
+  return items
+    .map((t) => {
+      const value = (t.type || t.template_type || t.id || t.name || '').toString().toUpperCase();
+      if (!value) return null;
+      const fallback = FALLBACK_TEMPLATES.find((f) => f.value === value);
+      return {
+        value,
+        label: t.label || t.display_name || t.name || fallback?.label || value,
+        description: t.description || fallback?.description || '',
+        sections: (t.sections || t.outline || []).map(normalizeSection).filter(Boolean),
+        source: 'catalog',
+        templateType: value,
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Convert a custom template into a selector option
+ * @param {CustomTemplate} template
+ * @returns {TemplateOption}
+ */
+function toCustomOption(template) {
+  return {
+    value: `${CUSTOM_PREFIX}${template.id}`,
+    label: template.name,
+    description: template.description || `Custom template based on ${template.baseType}`,
+    sections: template.sections,
+    source: 'custom',
+    templateType: template.baseType,
+    custom: template,
+  };
+}
+
+/**
+ * Build generation parameters for a template option
+ * @param {TemplateOption} [option]
+ * @returns {{ template_type: string, custom_template?: { name: string, sections: TemplateSection[] } }}
+ */
+export function templateParams(option) {
+  if (!option) return { template_type: 'PROCEDURAL' };
+  if (option.source !== 'custom') return { template_type: option.templateType };
+  return {
+    template_type: option.templateType,
+    custom_template: {
+      name: option.custom.name,
+      sections: option.custom.sections,
+    },
+  };
+}
+
+/**
+ * Hook for the synthesis template catalog plus local custom templates.
+ *
+ * @returns {Object} Template state and actions
+ * @property {TemplateOption[]} baseTemplates - Catalog (or fallback) templates
+ * @property {TemplateOption[]} customTemplates - User-defined templates
+ * @property {TemplateOption[]} templates - All templates, catalog first
+ * @property {boolean} loading - Catalog loading state
+ * @property {boolean} usingFallback - True when the catalog could not be loaded
+ * @property {Function} getTemplate - Look up a template by selector value
+ * @property {Function} saveCustom - Create or update a custom template
+ * @property {Function} deleteCustom - Delete a custom template
+ */
+export function useTemplates() {
+  const [catalog, setCatalog] = useState(null);
+  const [custom, setCustom] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    api.getTemplates()
+      .then((response) => {
+        if (!cancelled) setCatalog(normalizeCatalog(response));
+      })
+      .catch((err) => {
+        console.warn('Template catalog unavailable, using built-in templates:', err);
+        if (!cancelled) setCatalog([]);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, []);
+
+  const refreshCustom = useCallback(async () => {
+    try {
+      setCustom(await listCustomTemplates());
+    } catch (err) {
+      console.warn('Failed to load custom templates:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshCustom();
+    return subscribe(refreshCustom);
+  }, [refreshCustom]);
+
+  const usingFallback = !loading && (!catalog || catalog.length === 0);
+  const baseTemplates = usingFallback || !catalog ? FALLBACK_TEMPLATES : catalog;
+  const customTemplates = useMemo(() => custom.map(toCustomOption), [custom]);
+  const templates = useMemo(
+    () => [...baseTemplates, ...customTemplates],
+    [baseTemplates, customTemplates]
+  );
+
+  const getTemplate = useCallback(
+    (value) => templates.find((t) => t.value === value),
+    [templates]
+  );
+
+  const saveCustom = useCallback((template) => saveCustomTemplate(template), []);
+
+  const deleteCustom = useCallback((id) => deleteCustomTemplate(id), []);
+
+  return {
+    baseTemplates,
+    customTemplates,
+    templates,
+    loading,
+    usingFallback,
+    getTemplate,
+    saveCustom,
+    deleteCustom,
+  };
+}
+
+export default useTemplates;
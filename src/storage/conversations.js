@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Local details for Ask conversations persisted in IndexedDB.
+ *
+ * Conversations and their messages live on the server. This store keeps
+ * what the server has no endpoint for, such as the name a user gave a
+ * conversation, keyed by the server's conversation ID.
+ */
+
+import * as idb from './idb';
+
+const STORE = 'conversations';
+
+/**
+ * @typedef {'rag'|'chat'} ConversationSource
+ * Server store a conversation lives in: the RAG conversation endpoints or
+ * the enhanced chat endpoints.
+ */
+
+/**
+ * @typedef {Object} ConversationMeta
+ * @property {string} id - Server conversation ID
+ * @property {ConversationSource} source - Server store the conversation lives in
+ * @property {string} [title] - Name given by the user
+ * @property {import('../components/ask/AskFilters').AskScope} [scope] - Retrieval scope questions are asked with
+ * @property {import('../utils/conversationTree').ConversationTree} [tree] - Message tree with regenerated and edited branches
+ * @property {string} [branchOf] - Conversation this one holds a branch of; branch conversations aren't listed
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+const listeners = new Set();
+
+/**
+ * Notify subscribers that conversation details changed
+ */
+function notify() {
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Subscribe to conversation detail changes
+ * @param {Function} listener - Called after any write
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * List local details for all conversations
+ * @returns {Promise<ConversationMeta[]>}
+ */
+export function listConversationMeta() {
+  return idb.getAll(STORE);
+}
+
+/**
+ * Get local details for a conversation
+ * @param {string} id - Server conversation ID
+ * @returns {Promise<ConversationMeta|undefined>}
+ */
+export function getConversationMeta(id) {
+  return idb.get(STORE, id);
+}
+
+/**
+ * Merge changes into a conversation's local details, creating them if needed
+ * @param {string} id - Server conversation ID
+ * @param {Partial<ConversationMeta>} changes
+ * @returns {Promise<ConversationMeta>}
+ */
+export async function updateConversationMeta(id, changes) {
+  const now = new Date().toISOString();
+  const updated = await idb.update(STORE, id, (existing) => ({
+    createdAt: now,
+    ...existing,
+    ...changes,
+    id,
+    updatedAt: now,
+  }));
+
+  notify();
+  return updated;
+}
+
+/**
+ * Rename a conversation. A blank title restores the server's title.
+ * @param {string} id - Server conversation ID
+ * @param {ConversationSource} source
+ * @param {string} title
+ * @returns {Promise<ConversationMeta>}
+ */
+export function renameConversation(id, source, title) {
+  return updateConversationMeta(id, { source, title: title.trim() || undefined });
+}
+
+/**
+ * Delete a conversation's local details
+ * @param {string} id - Server conversation ID
+ * @returns {Promise<void>}
+ */
+export async function deleteConversationMeta(id) {
+  await idb.remove(STORE, id);
+  notify();
+}
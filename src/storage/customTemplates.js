@@ -0,0 +1,102 @@
+/**
+ * @fileoverview User-defined synthesis templates persisted in IndexedDB.
+ *
+ * A custom template is an ordered list of section headings with optional
+ * guidance, layered on top of one of the catalog templates.
+ */
+
+import * as idb from './idb';
+import { generateId } from '../utils/helpers';
+
+const STORE = 'templates';
+
+/**
+ * @typedef {Object} TemplateSection
+ * @property {string} title - Section heading
+ * @property {string} [guidance] - What the section should cover
+ */
+
+/**
+ * @typedef {Object} CustomTemplate
+ * @property {string} id - Template ID
+ * @property {string} name - Display name
+ * @property {string} description - Short description
+ * @property {string} baseType - Catalog template the generator starts from
+ * @property {TemplateSection[]} sections - Ordered section skeleton
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+const listeners = new Set();
+
+/**
+ * Notify subscribers that templates changed
+ */
+function notify() {
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Subscribe to template changes
+ * @param {Function} listener - Called after any write
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * List custom templates, alphabetically
+ * @returns {Promise<CustomTemplate[]>}
+ */
+export async function listCustomTemplates() {
+  const templates = await idb.getAll(STORE);
+  return templates.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Create or update a custom template
+ * @param {Partial<CustomTemplate> & {name: string, sections: TemplateSection[]}} template
+ * @returns {Promise<CustomTemplate>}
+ */
+export async function saveCustomTemplate(template) {
+  const name = template.name?.trim();
+  const sections = (template.sections || [])
+    .map((s) => ({ title: s.title.trim(), guidance: s.guidance?.trim() || '' }))
+    .filter((s) => s.title);
+
+  if (!name) {
+    throw new Error('Template name is required');
+  }
+  if (sections.length === 0) {
+    throw new Error('Add at least one section heading');
+  }
+
+  const now = new Date().toISOString();
+  const existing = template.id ? await idb.get(STORE, template.id) : null;
+
+  const saved = {
+    id: existing?.id || generateId(),
+    name,
+    description: template.description?.trim() || '',
+    baseType: template.baseType || 'ENCYCLOPEDIA',
+    sections,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+
+  await idb.put(STORE, saved);
+  notify();
+  return saved;
+}
+
+/**
+ * Delete a custom template
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteCustomTemplate(id) {
+  await idb.remove(STORE, id);
+  notify();
+}
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Log of chapter exports persisted in IndexedDB.
+ *
+ * Each export is recorded with its format, settings and source chapter
+ * version. The exported file itself is cached in a separate store, so the
+ * log can be listed without loading every file; older files are evicted
+ * once the cache grows past its budget while their log entries remain.
+ */
+
+import * as idb from './idb';
+import { generateId } from '../utils/helpers';
+
+const STORE = 'exportHistory';
+const FILES_STORE = 'exportFiles';
+
+const MAX_RECORDS = 100;
+const MAX_FILE_BYTES = 50 * 1024 * 1024;
+const MAX_CACHED_BYTES = 200 * 1024 * 1024;
+
+/**
+ * @typedef {Object} ExportRecord
+ * @property {string} id - Record ID
+ * @property {string} format - Export format ID
+ * @property {string} formatLabel - Format display name
+ * @property {string} filename - Downloaded filename
+ * @property {number} size - File size in bytes
+ * @property {string} mimeType - File MIME type
+ * @property {import('../utils/exportOptions').ExportOptions} options - Export settings used
+ * @property {string} [presetId] - Preset the settings came from
+ * @property {string} [presetName] - Preset display name
+ * @property {string|null} entryId - Library entry (chapter version) exported, if saved
+ * @property {string} topic - Chapter topic
+ * @property {string} [title] - Chapter title
+ * @property {number} [version] - Library version number
+ * @property {boolean} cached - Whether the file is still available for re-download
+ * @property {string} createdAt - ISO timestamp
+ */
+
+const listeners = new Set();
+
+/**
+ * Notify subscribers that the log changed
+ */
+function notify() {
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Subscribe to export log changes
+ * @param {Function} listener - Called after any write
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * List logged exports, newest first
+ * @returns {Promise<ExportRecord[]>}
+ */
+export async function listExportHistory() {
+  const records = await idb.getAll(STORE);
+  return records.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Drop the oldest records past the log limit and evict the oldest cached
+ * files past the cache budget
+ */
+async function prune() {
+  const records = await listExportHistory();
+  let cachedBytes = 0;
+
+  for (const [i, record] of records.entries()) {
+    if (i >= MAX_RECORDS) {
+      await idb.remove(FILES_STORE, record.id);
+      await idb.remove(STORE, record.id);
+    } else if (record.cached) {
+      if (cachedBytes + record.size > MAX_CACHED_BYTES) {
+        await idb.remove(FILES_STORE, record.id);
+        await idb.put(STORE, { ...record, cached: false });
+      } else {
+        cachedBytes += record.size;
+      }
+    }
+  }
+}
+
+/**
+ * Log an export and cache its file for re-download. Files too large to
+ * cache are logged without one.
+ * @param {Omit<ExportRecord, 'id'|'size'|'mimeType'|'cached'|'createdAt'> & {blob: Blob}} details
+ * @returns {Promise<ExportRecord>}
+ */
+export async function recordExport({ blob, ...details }) {
+  const record = {
+    ...details,
+    id: generateId(),
+    size: blob.size,
+    mimeType: blob.type,
+    cached: false,
+    createdAt: new Date().toISOString(),
+  };
+
+  if (blob.size <= MAX_FILE_BYTES) {
+    try {
+      await idb.put(FILES_STORE, { id: record.id, blob });
+      record.cached = true;
+    } catch (err) {
+      console.warn('Export file could not be cached:', err);
+    }
+  }
+
+  await idb.put(STORE, record);
+  await prune();
+  notify();
+  return record;
+}
+
+/**
+ * Get the cached file for a logged export
+ * @param {string} id - Record ID
+ * @returns {Promise<Blob|null>} The file, or null if it was not cached or has been evicted
+ */
+export async function getExportFile(id) {
+  const file = await idb.get(FILES_STORE, id);
+  return file?.blob || null;
+}
+
+/**
+ * Delete a logged export and its cached file
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteExportRecord(id) {
+  await idb.remove(FILES_STORE, id);
+  await idb.remove(STORE, id);
+  notify();
+}
+
+/**
+ * Delete every logged export and cached file
+ * @returns {Promise<void>}
+ */
+export async function clearExportHistory() {
+  const records = await idb.getAll(STORE);
+  for (const record of records) {
+    await idb.remove(FILES_STORE, record.id);
+    await idb.remove(STORE, record.id);
+  }
+  notify();
+}
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Saved export presets persisted in IndexedDB.
+ *
+ * A preset is a named set of export options, including the filename
+ * template, that can be applied before any export.
+ */
+
+import * as idb from './idb';
+import { generateId } from '../utils/helpers';
+import { DEFAULT_EXPORT_OPTIONS } from '../utils/exportOptions';
+
+const STORE = 'exportPresets';
+
+/**
+ * @typedef {Object} ExportPreset
+ * @property {string} id - Preset ID
+ * @property {string} name - Display name
+ * @property {import('../utils/exportOptions').ExportOptions} options - Saved export options
+ * @property {boolean} [builtin] - True for presets shipped with the app
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+const listeners = new Set();
+
+/**
+ * Notify subscribers that presets changed
+ */
+function notify() {
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Subscribe to preset changes
+ * @param {Function} listener - Called after any write
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * List saved presets, alphabetically
+ * @returns {Promise<ExportPreset[]>}
+ */
+export async function listExportPresets() {
+  const presets = await idb.getAll(STORE);
+  return presets.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Create or update a preset. Saving under an existing name replaces it.
+ * @param {{id?: string, name: string, options: Object}} preset
+ * @returns {Promise<ExportPreset>}
+ */
+export async function saveExportPreset(preset) {
+  const name = preset.name?.trim();
+  if (!name) {
+    throw new Error('Preset name is required');
+  }
+
+  const now = new Date().toISOString();
+  const existing = preset.id
+    ? await idb.get(STORE, preset.id)
+    : (await idb.getAll(STORE)).find((p) => p.name.toLowerCase() === name.toLowerCase());
+
+  const saved = {
+    id: existing?.id || generateId(),
+    name,
+    options: { ...DEFAULT_EXPORT_OPTIONS, ...preset.options },
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+
+  await idb.put(STORE, saved);
+  notify();
+  return saved;
+}
+
+/**
+ * Delete a preset
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteExportPreset(id) {
+  await idb.remove(STORE, id);
+  notify();
+}
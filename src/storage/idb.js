@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Minimal promise wrapper around the browser IndexedDB database
+ * used for client-side persistence.
+ */
+
+const DB_NAME = 'neurosynth';
+const DB_VERSION = 5;
+
+/**
+ * Object store definitions. Stores missing from an existing database are
+ * created on upgrade, so adding one only requires bumping DB_VERSION.
+ */
+const STORES = {
+  syntheses: {
+    keyPath: 'id',
+    indexes: [
+      { name: 'topicKey', keyPath: 'topicKey' },
+      { name: 'updatedAt', keyPath: 'updatedAt' },
+    ],
+  },
+  templates: {
+    keyPath: 'id',
+    indexes: [
+      { name: 'updatedAt', keyPath: 'updatedAt' },
+    ],
+  },
+  exportPresets: {
+    keyPath: 'id',
+    indexes: [
+      { name: 'updatedAt', keyPath: 'updatedAt' },
+    ],
+  },
+  exportHistory: {
+    keyPath: 'id',
+    indexes: [
+      { name: 'createdAt', keyPath: 'createdAt' },
+    ],
+  },
+  exportFiles: {
+    keyPath: 'id',
+  },
+  conversations: {
+    keyPath: 'id',
+    indexes: [
+      { name: 'updatedAt', keyPath: 'updatedAt' },
+    ],
+  },
+};
+
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} req
+ * @returns {Promise<any>}
+ */
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Open (and upgrade if needed) the application database
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDB() {
+  if (dbPromise) return dbPromise;
+
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available in this browser'));
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    let blocked = false;
+
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      for (const [name, def] of Object.entries(STORES)) {
+        const store = db.objectStoreNames.contains(name)
+          ? req.transaction.objectStore(name)
+          : db.createObjectStore(name, { keyPath: def.keyPath });
+        for (const index of def.indexes || []) {
+          if (!store.indexNames.contains(index.name)) {
+            store.createIndex(index.name, index.keyPath);
+          }
+        }
+      }
+    };
+
+    req.onsuccess = () => {
+      const db = req.result;
+      // The open was already reported as blocked; later calls open again
+      if (blocked) {
+        db.close();
+        return;
+      }
+      // Let a newer version opened in another tab upgrade the database;
+      // the next storage call here reopens it
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    req.onerror = () => {
+      dbPromise = null;
+      reject(req.error);
+    };
+    // Another tab holds an older version open and hasn't closed it
+    req.onblocked = () => {
+      blocked = true;
+      dbPromise = null;
+      reject(new Error('Local storage needs an upgrade. Close other NeuroSynth tabs and reload this page.'));
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run a single request against an object store
+ * @param {string} storeName - Object store name
+ * @param {'readonly'|'readwrite'} mode - Transaction mode
+ * @param {(store: IDBObjectStore) => IDBRequest} fn - Builds the request
+ * @returns {Promise<any>}
+ */
+async function withStore(storeName, mode, fn) {
+  const db = await openDB();
+  const tx = db.transaction(storeName, mode);
+  return promisify(fn(tx.objectStore(storeName)));
+}
+
+/**
+ * Get all records in a store
+ * @param {string} storeName
+ * @returns {Promise<Array>}
+ */
+export function getAll(storeName) {
+  return withStore(storeName, 'readonly', (store) => store.getAll());
+}
+
+/**
+ * Get all records matching an index value
+ * @param {string} storeName
+ * @param {string} indexName
+ * @param {any} value
+ * @returns {Promise<Array>}
+ */
+export function getAllByIndex(storeName, indexName, value) {
+  return withStore(storeName, 'readonly', (store) => store.index(indexName).getAll(value));
+}
+
+/**
+ * Get a record by key
+ * @param {string} storeName
+ * @param {any} key
+ * @returns {Promise<any>}
+ */
+export function get(storeName, key) {
+  return withStore(storeName, 'readonly', (store) => store.get(key));
+}
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName
+ * @param {Object} value
+ * @returns {Promise<any>} The record key
+ */
+export function put(storeName, value) {
+  return withStore(storeName, 'readwrite', (store) => store.put(value));
+}
+
+/**
+ * Run several requests against one store in a single readwrite transaction,
+ * so concurrent read-modify-write sequences can't overwrite each other.
+ * The callback must only await requests made through the store it is given,
+ * or the transaction commits early.
+ * @template T
+ * @param {string} storeName
+ * @param {(store: {
+ *   get: (key: any) => Promise<any>,
+ *   getAllByIndex: (indexName: string, value: any) => Promise<Array>,
+ *   put: (value: Object) => Promise<any>
+ * }) => Promise<T>} fn
+ * @returns {Promise<T>} The callback's result, once the transaction has committed
+ */
+export async function transaction(storeName, fn) {
+  const db = await openDB();
+  const tx = db.transaction(storeName, 'readwrite');
+  const store = tx.objectStore(storeName);
+  const committed = new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+
+  let result;
+  try {
+    result = await fn({
+      get: (key) => promisify(store.get(key)),
+      getAllByIndex: (indexName, value) => promisify(store.index(indexName).getAll(value)),
+      put: (value) => promisify(store.put(value)),
+    });
+  } catch (err) {
+    tx.abort();
+    committed.catch(() => {});
+    throw err;
+  }
+  await committed;
+  return result;
+}
+
+/**
+ * Read, change and write a record in one transaction
+ * @param {string} storeName
+ * @param {any} key
+ * @param {(existing: any) => Object} fn - Builds the new record from the current one (undefined if missing)
+ * @returns {Promise<Object>} The record written
+ */
+export function update(storeName, key, fn) {
+  return transaction(storeName, async (store) => {
+    const updated = fn(await store.get(key));
+    await store.put(updated);
+    return updated;
+  });
+}
+
+/**
+ * Delete a record by key
+ * @param {string} storeName
+ * @param {any} key
+ * @returns {Promise<void>}
+ */
+export function remove(storeName, key) {
+  return withStore(storeName, 'readwrite', (store) => store.delete(key));
+}
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Local synthesis library persisted in IndexedDB.
+ *
+ * Every generated chapter is stored as a new version of its topic together
+ * with the parameters it was generated from, the full result, any edits and
+ * the reviewer's conflict resolutions.
+ */
+
+import * as idb from './idb';
+import { generateId } from '../utils/helpers';
+
+const STORE = 'syntheses';
+
+/**
+ * @typedef {Object} SynthesisEntry
+ * @property {string} id - Entry ID
+ * @property {string} name - Display name (defaults to topic, renameable)
+ * @property {string} topic - Chapter topic
+ * @property {string} topicKey - Normalized topic used to group versions
+ * @property {number} version - Version number within the topic
+ * @property {string} templateType - Template the chapter was generated with
+ * @property {Object} params - Full generation parameters, including source scope
+ * @property {Object} result - Generated SynthesisResponse (without edits)
+ * @property {Object|null} conflictReport - Conflict report at generation time
+ * @property {Object<number, Object>} edits - Section edits keyed by index
+ * @property {Object<number, Object>} resolutions - Conflict resolutions keyed by conflict index
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+const listeners = new Set();
+
+/**
+ * Notify subscribers that the library changed
+ */
+function notify() {
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Subscribe to library changes
+ * @param {Function} listener - Called after any write
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Normalize a topic so versions group regardless of case and spacing
+ * @param {string} topic
+ * @returns {string}
+ */
+export function toTopicKey(topic) {
+  return (topic || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * List all entries, most recently updated first
+ * @returns {Promise<SynthesisEntry[]>}
+ */
+export async function listSyntheses() {
+  const entries = await idb.getAll(STORE);
+  return entries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Get every version of a topic, newest first
+ * @param {string} topic
+ * @returns {Promise<SynthesisEntry[]>}
+ */
+export async function getVersions(topic) {
+  const entries = await idb.getAllByIndex(STORE, 'topicKey', toTopicKey(topic));
+  return entries.sort((a, b) => b.version - a.version);
+}
+
+/**
+ * Get an entry by ID
+ * @param {string} id
+ * @returns {Promise<SynthesisEntry|undefined>}
+ */
+export function getSynthesis(id) {
+  return idb.get(STORE, id);
+}
+
+/**
+ * Save a newly generated chapter as the next version of its topic
+ * @param {Object} data
+ * @param {string} data.topic - Chapter topic
+ * @param {Object} data.params - Generation parameters
+ * @param {Object} data.result - SynthesisResponse
+ * @returns {Promise<SynthesisEntry>}
+ */
+export async function saveSynthesis({ topic, params, result }) {
+  const now = new Date().toISOString();
+
+  // Number the version in the same transaction as the write, so concurrent
+  // saves of one topic can't take the same number
+  const entry = await idb.transaction(STORE, async (store) => {
+    const versions = await store.getAllByIndex('topicKey', toTopicKey(topic));
+    const created = {
+      id: generateId(),
+      name: topic,
+      topic,
+      topicKey: toTopicKey(topic),
+      version: versions.reduce((max, v) => Math.max(max, v.version), 0) + 1,
+      templateType: params?.template_type || 'PROCEDURAL',
+      params: params || { topic },
+      result,
+      conflictReport: result?.conflict_report || null,
+      edits: {},
+      resolutions: {},
+      createdAt: now,
+      updatedAt: now,
+    };
+    await store.put(created);
+    return created;
+  });
+
+  notify();
+  return entry;
+}
+
+/**
+ * Merge changes into an existing entry
+ * @param {string} id - Entry ID
+ * @param {Partial<SynthesisEntry>} changes
+ * @returns {Promise<SynthesisEntry>}
+ */
+export async function updateSynthesis(id, changes) {
+  const updated = await idb.update(STORE, id, (entry) => {
+    if (!entry) {
+      throw new Error('Saved synthesis not found');
+    }
+    return { ...entry, ...changes, id, updatedAt: new Date().toISOString() };
+  });
+  notify();
+  return updated;
+}
+
+/**
+ * Rename an entry
+ * @param {string} id
+ * @param {string} name
+ * @returns {Promise<SynthesisEntry>}
+ */
+export function renameSynthesis(id, name) {
+  return updateSynthesis(id, { name: name.trim() });
+}
+
+/**
+ * Delete an entry
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteSynthesis(id) {
+  await idb.remove(STORE, id);
+  notify();
+}
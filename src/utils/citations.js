@@ -0,0 +1,344 @@
+/**
+ * @fileoverview Build reference-manager files (BibTeX, RIS, CSL-JSON) from
+ * synthesis references and document metadata, entirely in the browser.
+ */
+
+/**
+ * @typedef {Object} CitationAuthor
+ * @property {string} [family] - Family name
+ * @property {string} [given] - Given names or initials
+ * @property {string} [literal] - Unparsed name (organisations)
+ */
+
+/**
+ * @typedef {Object} CitationRecord
+ * @property {string} key - Unique citation key, e.g. "rhoton2003cranial"
+ * @property {'book'|'chapter'|'article'|'report'|'document'} type - Work type
+ * @property {string} title - Work title
+ * @property {CitationAuthor[]} authors - Parsed authors
+ * @property {string} [year] - Publication year
+ * @property {string} [publisher] - Publisher
+ * @property {string} [container] - Journal or book the work appears in
+ * @property {string} [doi] - DOI
+ * @property {string} [isbn] - ISBN
+ * @property {number[]} pages - Pages cited in the synthesis
+ * @property {string} [documentId] - Originating document
+ */
+
+const DOCUMENT_TYPES = {
+  textbook: 'book',
+  atlas: 'book',
+  handbook: 'book',
+  course_material: 'book',
+  chapter: 'chapter',
+  journal_article: 'article',
+  article: 'article',
+  paper: 'article',
+  guidelines: 'report',
+};
+
+const STOP_WORDS = new Set(['a', 'an', 'the', 'of', 'on', 'in', 'and', 'for', 'to', 'with']);
+
+/**
+ * Normalize text for comparisons
+ */
+function normalize(value) {
+  return String(value ?? '').toLowerCase().replace(/\.[a-z0-9]+$/, '').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Strip accents and non-letters, for citation keys
+ */
+function toKeyPart(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Parse one name: "Family, Given", "Given Family" or "Family AB"
+ * @param {string} name
+ * @returns {CitationAuthor|null}
+ */
+function parseName(name) {
+  const trimmed = name.trim().replace(/\s+/g, ' ');
+  if (!trimmed) return null;
+
+  if (trimmed.includes(',')) {
+    const [family, given] = trimmed.split(',').map((p) => p.trim());
+    return { family, given };
+  }
+
+  const parts = trimmed.split(' ');
+  if (parts.length === 1) return { literal: trimmed };
+
+  // Vancouver style: "Rhoton AL"
+  const last = parts[parts.length - 1];
+  if (/^[A-Z]{1,3}$/.test(last)) {
+    return { family: parts.slice(0, -1).join(' '), given: last };
+  }
+  return { family: last, given: parts.slice(0, -1).join(' ') };
+}
+
+/**
+ * Parse an author field, which may be an array or a delimited string
+ * @param {string|string[]|Object[]} [value]
+ * @returns {CitationAuthor[]}
+ */
+export function parseAuthors(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) {
+    return value
+      .map((a) => (typeof a === 'string' ? parseName(a) : a))
+      .filter(Boolean);
+  }
+
+  const text = String(value);
+  let names;
+  if (/;|\s(?:and|&)\s/.test(text)) {
+    names = text.split(/;|\s(?:and|&)\s/);
+  } else {
+    const parts = text.split(',').map((p) => p.trim()).filter(Boolean);
+    // "Rhoton, Albert L." is one author; "Rhoton AL, Smith J" is a list
+    names = parts.length === 2 && !parts[0].includes(' ') ? [text] : parts;
+  }
+  return names.map(parseName).filter(Boolean);
+}
+
+/**
+ * Find the document behind a reference
+ */
+function findDocument(ref, documents) {
+  if (ref.document_id) {
+    const byId = documents.find((d) => d.id === ref.document_id);
+    if (byId) return byId;
+  }
+  const target = normalize(ref.title || ref.source);
+  if (!target) return null;
+  return documents.find((d) => normalize(d.title) === target || normalize(d.filename) === target) || null;
+}
+
+/**
+ * Build a citation key: first author's family name, year and first
+ * significant title word
+ * @param {CitationRecord} record
+ * @returns {string}
+ */
+function buildKey(record) {
+  const author = record.authors[0];
+  const name = toKeyPart(author?.family || author?.literal) || 'anon';
+  const word = record.title
+    .split(/\s+/)
+    .map(toKeyPart)
+    .find((w) => w && !STOP_WORDS.has(w)) || 'untitled';
+  return `${name}${record.year || 'nd'}${word}`;
+}
+
+/**
+ * Letter suffix for the nth colliding key: 1 is "a", 26 is "z", 27 is "aa"
+ * @param {number} n
+ * @returns {string}
+ */
+function keySuffix(n) {
+  let suffix = '';
+  for (let rest = n; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+    suffix = String.fromCharCode(97 + ((rest - 1) % 26)) + suffix;
+  }
+  return suffix;
+}
+
+/**
+ * Merge synthesis references with document metadata into deduplicated
+ * citation records. References to the same document (or, without a
+ * document, the same DOI or title) collapse into one record whose cited
+ * pages are combined.
+ * @param {Array} [references] - SynthesisReference[]
+ * @param {Array} [documents] - Known documents
+ * @returns {CitationRecord[]}
+ */
+export function collectCitations(references = [], documents = []) {
+  const records = new Map();
+
+  for (const ref of references) {
+    const doc = findDocument(ref, documents);
+    const title = (doc?.title || ref.title || ref.source || doc?.filename || '').trim();
+    if (!title) continue;
+
+    const doi = (ref.doi || doc?.doi || '').trim();
+    const id = doc?.id || `${doi ? `doi:${doi.toLowerCase()}` : `title:${normalize(title)}`}`;
+
+    if (!records.has(id)) {
+      records.set(id, {
+        key: '',
+        type: DOCUMENT_TYPES[doc?.document_type] || (ref.journal || doc?.journal ? 'article' : 'document'),
+        title,
+        authors: parseAuthors(doc?.authors || ref.authors),
+        year: String(doc?.year || ref.year || '').trim() || undefined,
+        publisher: doc?.publisher || ref.publisher || undefined,
+        container: doc?.journal || ref.journal || doc?.book_title || undefined,
+        doi: doi || undefined,
+        isbn: doc?.isbn || ref.isbn || undefined,
+        pages: [],
+        documentId: doc?.id || ref.document_id,
+      });
+    }
+
+    const record = records.get(id);
+    const page = Number(ref.page);
+    if (page > 0 && !record.pages.includes(page)) {
+      record.pages.push(page);
+    }
+  }
+
+  // Assign keys, suffixing a, b, c... aa, ab... until the key is unused,
+  // so a suffixed key can't repeat or clash with another work's base key
+  const used = new Set();
+  const result = [...records.values()];
+  for (const record of result) {
+    record.pages.sort((a, b) => a - b);
+    const base = buildKey(record);
+    let key = base;
+    for (let n = 1; used.has(key); n++) {
+      key = `${base}${keySuffix(n)}`;
+    }
+    used.add(key);
+    record.key = key;
+  }
+
+  return result.sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * Format an author for BibTeX and RIS: "Family, Given"
+ */
+function formatAuthor(author) {
+  if (author.literal) return author.literal;
+  return author.given ? `${author.family}, ${author.given}` : author.family;
+}
+
+/**
+ * Describe cited pages, e.g. "Cited pages: 12, 45"
+ */
+function pagesNote(pages) {
+  return pages.length ? `Cited pages: ${pages.join(', ')}` : '';
+}
+
+const BIBTEX_ESCAPES = {
+  '\\': '\\textbackslash{}',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}',
+};
+
+/**
+ * Escape BibTeX special characters
+ */
+function escapeBibTeX(value) {
+  return String(value).replace(/[\\~^{}%&$#_]/g, (ch) => BIBTEX_ESCAPES[ch] || `\\${ch}`);
+}
+
+/**
+ * DOI for the verbatim doi field. Styles print it as-is, so it stays
+ * unescaped unless it contains characters that would unbalance the entry.
+ */
+function bibTeXDoi(doi) {
+  return /^[^{}\\\s]+$/.test(doi) ? doi : escapeBibTeX(doi);
+}
+
+const BIBTEX_TYPES = {
+  book: 'book',
+  chapter: 'incollection',
+  article: 'article',
+  report: 'techreport',
+  document: 'misc',
+};
+
+/**
+ * Serialize citation records as BibTeX
+ * @param {CitationRecord[]} records
+ * @returns {string}
+ */
+export function toBibTeX(records) {
+  return records.map((record) => {
+    const fields = [
+      // Double braces keep the title's capitalization
+      ['title', `{${escapeBibTeX(record.title)}}`],
+      ['author', record.authors.map((a) => escapeBibTeX(formatAuthor(a))).join(' and ')],
+      ['year', record.year && escapeBibTeX(record.year)],
+      [
+        record.type === 'article' ? 'journal' : 'booktitle',
+        record.type !== 'book' && record.container && escapeBibTeX(record.container),
+      ],
+      [record.type === 'report' ? 'institution' : 'publisher', record.publisher && escapeBibTeX(record.publisher)],
+      ['doi', record.doi && bibTeXDoi(record.doi)],
+      ['isbn', record.isbn && escapeBibTeX(record.isbn)],
+      ['note', escapeBibTeX(pagesNote(record.pages))],
+    ].filter(([, value]) => value);
+
+    const body = fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n');
+    return `@${BIBTEX_TYPES[record.type]}{${record.key},\n${body}\n}`;
+  }).join('\n\n') + '\n';
+}
+
+const RIS_TYPES = {
+  book: 'BOOK',
+  chapter: 'CHAP',
+  article: 'JOUR',
+  report: 'RPRT',
+  document: 'GEN',
+};
+
+/**
+ * Serialize citation records as RIS
+ * @param {CitationRecord[]} records
+ * @returns {string}
+ */
+export function toRIS(records) {
+  return records.map((record) => {
+    const lines = [
+      ['TY', RIS_TYPES[record.type]],
+      ['ID', record.key],
+      ['TI', record.title],
+      ...record.authors.map((a) => ['AU', formatAuthor(a)]),
+      ['PY', record.year],
+      [record.type === 'article' ? 'JO' : 'T2', record.container],
+      ['PB', record.publisher],
+      ['DO', record.doi],
+      ['SN', record.isbn],
+      ['N1', pagesNote(record.pages)],
+      ['ER', ''],
+    ].filter(([tag, value]) => value || tag === 'ER');
+
+    return lines.map(([tag, value]) => `${tag}  - ${value}`.trimEnd()).join('\r\n');
+  }).join('\r\n\r\n') + '\r\n';
+}
+
+const CSL_TYPES = {
+  book: 'book',
+  chapter: 'chapter',
+  article: 'article-journal',
+  report: 'report',
+  document: 'document',
+};
+
+/**
+ * Serialize citation records as CSL-JSON
+ * @param {CitationRecord[]} records
+ * @returns {string}
+ */
+export function toCSLJSON(records) {
+  const items = records.map((record) => ({
+    id: record.key,
+    type: CSL_TYPES[record.type],
+    title: record.title,
+    author: record.authors.length ? record.authors : undefined,
+    issued: record.year ? { 'date-parts': [[Number(record.year) || record.year]] } : undefined,
+    'container-title': record.container,
+    publisher: record.publisher,
+    DOI: record.doi,
+    ISBN: record.isbn,
+    note: pagesNote(record.pages) || undefined,
+  }));
+  return JSON.stringify(items, null, 2);
+}
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Conflict report helpers: labels, controversy callouts, the
+ * resolution appendix added to exports and lookup of the evidence behind
+ * each side of a conflict.
+ */
+
+/**
+ * @typedef {import('../api/client').ConflictItem} ConflictItem
+ */
+
+/**
+ * @typedef {Object} ConflictResolution
+ * @property {'resolved'|'prefer_a'|'prefer_b'|null} decision - Reviewer decision
+ * @property {string} note - Reviewer note
+ * @property {string|null} calloutSection - Section a controversy callout was inserted into
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+const TYPE_LABELS = {
+  quantitative: 'Numerical Disagreement',
+  contradictory: 'Contradictory Statement',
+  approach: 'Different Approach',
+  temporal: 'Outdated Information',
+};
+
+/**
+ * Get readable label for conflict type
+ * @param {string} type - Conflict type
+ * @returns {string}
+ */
+export function getConflictTypeLabel(type) {
+  return TYPE_LABELS[type] || type;
+}
+
+/**
+ * Describe a reviewer decision
+ * @param {ConflictItem} conflict
+ * @param {ConflictResolution} [resolution]
+ * @returns {string}
+ */
+export function describeDecision(conflict, resolution) {
+  switch (resolution?.decision) {
+    case 'prefer_a':
+      return `Preferred ${conflict.source_a}`;
+    case 'prefer_b':
+      return `Preferred ${conflict.source_b}`;
+    case 'resolved':
+      return 'Resolved';
+    default:
+      return 'Open';
+  }
+}
+
+/**
+ * Find the section a conflict was detected in
+ * @param {Array<{title: string}>} sections - Synthesis sections
+ * @param {string} sectionTitle - ConflictItem.section
+ * @returns {number} Section index, or -1
+ */
+export function findConflictSection(sections, sectionTitle) {
+  const target = (sectionTitle || '').trim().toLowerCase();
+  if (!target) return -1;
+
+  const exact = sections.findIndex((s) => s.title.trim().toLowerCase() === target);
+  if (exact !== -1) return exact;
+  return sections.findIndex((s) => s.title.toLowerCase().includes(target));
+}
+
+/**
+ * Draft a markdown "controversy" callout for a conflict
+ * @param {ConflictItem} conflict
+ * @param {ConflictResolution} [resolution]
+ * @returns {string} Markdown blockquote
+ */
+export function draftControversyCallout(conflict, resolution) {
+  const lines = [
+    `> **Controversy — ${getConflictTypeLabel(conflict.type)}:** ${conflict.description}`,
+    '>',
+    `> - **${conflict.source_a}:** ${conflict.context_a ? `"${conflict.context_a}"` : 'see source'}`,
+    `> - **${conflict.source_b}:** ${conflict.context_b ? `"${conflict.context_b}"` : 'see source'}`,
+  ];
+
+  if (resolution?.decision === 'prefer_a' || resolution?.decision === 'prefer_b') {
+    const preferred = resolution.decision === 'prefer_a' ? conflict.source_a : conflict.source_b;
+    lines.push('>', `> On review, the account given by ${preferred} is favored.`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Build a markdown appendix listing every conflict and its resolution.
+ * Returns an empty string until at least one conflict has been reviewed.
+ * @param {ConflictItem[]} conflicts
+ * @param {Object<number, ConflictResolution>} resolutions - Keyed by conflict index
+ * @returns {string}
+ */
+export function buildResolutionAppendix(conflicts = [], resolutions = {}) {
+  if (conflicts.length === 0 || Object.keys(resolutions).length === 0) return '';
+
+  let md = '## Appendix: Conflict Resolutions\n\n';
+
+  conflicts.forEach((conflict, i) => {
+    const resolution = resolutions[i];
+    md += `### ${i + 1}. ${getConflictTypeLabel(conflict.type)} (${conflict.severity})\n\n`;
+    md += `${conflict.description}\n\n`;
+    md += `- **Sources:** ${conflict.source_a} vs ${conflict.source_b}\n`;
+    if (conflict.section) {
+      md += `- **Section:** ${conflict.section}\n`;
+    }
+    md += `- **Decision:** ${describeDecision(conflict, resolution)}\n`;
+    if (resolution?.note) {
+      md += `- **Reviewer note:** ${resolution.note}\n`;
+    }
+    if (resolution?.calloutSection) {
+      md += `- **Callout:** added to "${resolution.calloutSection}"\n`;
+    }
+    md += '\n';
+  });
+
+  return md;
+}
+
+/**
+ * @typedef {Object} SourceLocation
+ * @property {string} documentId - Document containing the claim
+ * @property {string} [chunkId] - Chunk that produced the claim, when known
+ * @property {number} [page] - Page number, when known
+ * @property {string} title - Document title for display
+ */
+
+/**
+ * Normalize a source label for matching
+ * @param {string} label
+ * @returns {string}
+ */
+function normalizeLabel(label) {
+  return (label || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Resolve a conflict source label (ConflictItem.source_a/source_b) to the
+ * document and chunk it came from, using the synthesis references first and
+ * falling back to the document list.
+ * @param {string} label - Source label as reported by the conflict detector
+ * @param {Array} [references] - SynthesisReference[] from the result
+ * @param {Array} [documents] - Known documents
+ * @returns {SourceLocation|null}
+ */
+export function resolveSourceLocation(label, references = [], documents = []) {
+  const target = normalizeLabel(label);
+  if (!target) return null;
+
+  const matches = (value) => {
+    const candidate = normalizeLabel(value);
+    return candidate && (candidate === target || candidate.includes(target) || target.includes(candidate));
+  };
+
+  const ref =
+    references.find((r) => r.document_id && [r.source, r.title].some((v) => normalizeLabel(v) === target)) ||
+    references.find((r) => r.document_id && (matches(r.source) || matches(r.title)));
+  if (ref) {
+    return {
+      documentId: ref.document_id,
+      chunkId: ref.chunk_id,
+      page: ref.page,
+      title: ref.title || label,
+    };
+  }
+
+  const doc = documents.find((d) => matches(d.title) || matches(d.filename));
+  if (doc) {
+    return { documentId: doc.id, title: doc.title || doc.filename };
+  }
+
+  return null;
+}
+
+const NUMBER_PATTERN = /\d+(?:[.,]\d+)?\s?(?:%|mm|cm|ml|mg|years?|months?|weeks?|days?)?/gi;
+
+/**
+ * Extract the numeric values disputed in a conflict description
+ * @param {string} description - e.g. "15% vs 25%"
+ * @returns {Set<string>} Bare numbers, e.g. {"15", "25"}
+ */
+export function extractDisputedNumbers(description) {
+  const values = (description || '').match(/\d+(?:[.,]\d+)?/g) || [];
+  return new Set(values.map((v) => v.replace(',', '.')));
+}
+
+/**
+ * Split a passage into segments, flagging the numbers under dispute. When no
+ * numbers are disputed, every number in the passage is flagged.
+ * @param {string} text - Source passage
+ * @param {Set<string>} disputed - Output of extractDisputedNumbers
+ * @returns {Array<{text: string, emphasized: boolean}>}
+ */
+export function emphasizeNumbers(text, disputed) {
+  const segments = [];
+  let last = 0;
+
+  for (const match of (text || '').matchAll(NUMBER_PATTERN)) {
+    const value = match[0].match(/\d+(?:[.,]\d+)?/)[0].replace(',', '.');
+    if (disputed.size > 0 && !disputed.has(value)) continue;
+
+    if (match.index > last) {
+      segments.push({ text: text.slice(last, match.index), emphasized: false });
+    }
+    segments.push({ text: match[0], emphasized: true });
+    last = match.index + match[0].length;
+  }
+
+  if (last < (text || '').length) {
+    segments.push({ text: text.slice(last), emphasized: false });
+  }
+  return segments;
+}
@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Branching message trees for Ask conversations.
+ *
+ * Regenerating an answer or editing a question adds a sibling instead of
+ * replacing the original, so a conversation becomes a tree. The view shows
+ * one path through it, following the selected child at each fork.
+ *
+ * The server keeps each conversation's history linear, so a branch is sent
+ * to a server conversation of its own. Messages record the server
+ * conversation they went to; untagged ones belong to the open conversation.
+ */
+
+import { generateId } from './helpers';
+
+/**
+ * @typedef {import('./conversations').ChatMessageData & {
+ *   id: string,
+ *   parentId: string|null,
+ *   createdAt: string,
+ *   conversationId?: string,
+ *   isStreaming?: boolean
+ * }} TreeMessage
+ */
+
+/**
+ * @typedef {Object} ConversationTree
+ * @property {Object<string, TreeMessage>} nodes - Messages by ID
+ * @property {Object<string, string>} selected - Selected child ID by parent ID (ROOT for top level)
+ */
+
+/**
+ * @typedef {Object} BranchInfo
+ * @property {number} index - Position among siblings, from 0
+ * @property {number} count - Number of siblings, including this message
+ */
+
+// Parent key for top-level messages
+const ROOT = '';
+
+/** @type {ConversationTree} */
+export const EMPTY_TREE = { nodes: {}, selected: {} };
+
+/**
+ * Children of a message, oldest first
+ * @param {ConversationTree} tree
+ * @param {string|null} parentId
+ * @returns {TreeMessage[]}
+ */
+function childrenOf(tree, parentId) {
+  return Object.values(tree.nodes)
+    .filter((node) => node.parentId === parentId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * The child shown at a fork: the selected one, or the newest
+ */
+function selectedChild(tree, parentId) {
+  const children = childrenOf(tree, parentId);
+  return tree.nodes[tree.selected[parentId ?? ROOT]] || children[children.length - 1] || null;
+}
+
+/**
+ * Add a message under a parent and select it
+ * @param {ConversationTree} tree
+ * @param {string|null} parentId
+ * @param {import('./conversations').ChatMessageData & {isStreaming?: boolean}} message
+ * @returns {{tree: ConversationTree, id: string}}
+ */
+export function appendMessage(tree, parentId, message) {
+  const id = generateId();
+  // Timestamps order siblings, so keep them strictly increasing. Messages
+  // loaded from the server keep their own time when it allows that.
+  const latest = Object.values(tree.nodes).reduce((max, n) => (n.createdAt > max ? n.createdAt : max), '');
+  let createdAt = message.createdAt || new Date().toISOString();
+  if (createdAt <= latest) createdAt = new Date(Date.parse(latest) + 1).toISOString();
+
+  return {
+    id,
+    tree: {
+      nodes: { ...tree.nodes, [id]: { ...message, id, parentId, createdAt } },
+      selected: { ...tree.selected, [parentId ?? ROOT]: id },
+    },
+  };
+}
+
+/**
+ * Build a single-path tree from a linear message list
+ * @param {import('./conversations').ChatMessageData[]} messages
+ * @returns {ConversationTree}
+ */
+export function treeFromMessages(messages) {
+  let tree = EMPTY_TREE;
+  let parentId = null;
+  for (const message of messages) {
+    const result = appendMessage(tree, parentId, message);
+    tree = result.tree;
+    parentId = result.id;
+  }
+  return tree;
+}
+
+/**
+ * Replace a message's content, keeping its place in the tree
+ * @param {ConversationTree} tree
+ * @param {string} id
+ * @param {Object} message - New message data
+ * @returns {ConversationTree}
+ */
+export function replaceMessage(tree, id, message) {
+  const node = tree.nodes[id];
+  if (!node) return tree;
+  return {
+    ...tree,
+    nodes: { ...tree.nodes, [id]: { ...message, id, parentId: node.parentId, createdAt: node.createdAt } },
+  };
+}
+
+/**
+ * Show a message at its fork
+ * @param {ConversationTree} tree
+ * @param {string} id
+ * @returns {ConversationTree}
+ */
+export function selectMessage(tree, id) {
+  const node = tree.nodes[id];
+  if (!node) return tree;
+  return { ...tree, selected: { ...tree.selected, [node.parentId ?? ROOT]: id } };
+}
+
+/**
+ * The sibling a step away from a message, for branch navigation
+ * @param {ConversationTree} tree
+ * @param {string} id
+ * @param {number} step - -1 for the previous branch, 1 for the next
+ * @returns {string|null}
+ */
+export function siblingOf(tree, id, step) {
+  const node = tree.nodes[id];
+  if (!node) return null;
+  const siblings = childrenOf(tree, node.parentId);
+  return siblings[siblings.findIndex((s) => s.id === id) + step]?.id || null;
+}
+
+/**
+ * Messages from the top of the tree down to a message
+ * @param {ConversationTree} tree
+ * @param {string|null} id - Last message, or null for none
+ * @returns {TreeMessage[]}
+ */
+export function pathTo(tree, id) {
+  const path = [];
+  for (let node = tree.nodes[id]; node; node = tree.nodes[node.parentId]) {
+    path.unshift(node);
+  }
+  return path;
+}
+
+/**
+ * The server conversation a question under a message can continue: the
+ * message's own, when it is the latest message sent there. Otherwise that
+ * history holds messages from another branch, so the question needs a new
+ * server conversation.
+ * @param {ConversationTree} tree
+ * @param {string|null} parentId - Message the question follows
+ * @param {string} [openId] - Open server conversation, for untagged messages
+ * @returns {string|null} Conversation ID, or null to start a new one
+ */
+export function continuableConversation(tree, parentId, openId) {
+  const parent = tree.nodes[parentId];
+  const conversationId = parent && (parent.conversationId || openId);
+  if (!conversationId) return null;
+  const isLatest = Object.values(tree.nodes).every((node) => node.isStreaming
+    || (node.conversationId || openId) !== conversationId
+    || node.createdAt <= parent.createdAt);
+  return isLatest ? conversationId : null;
+}
+
+/**
+ * Messages on the path currently shown, with their position among siblings
+ * @param {ConversationTree} tree
+ * @returns {(TreeMessage & {branch: BranchInfo})[]}
+ */
+export function activePath(tree) {
+  const path = [];
+  let node = selectedChild(tree, null);
+  while (node) {
+    const siblings = childrenOf(tree, node.parentId);
+    path.push({ ...node, branch: { index: siblings.indexOf(node), count: siblings.length } });
+    node = selectedChild(tree, node.id);
+  }
+  return path;
+}
+
+/**
+ * Drop unfinished answers before the tree is saved
+ * @param {ConversationTree} tree
+ * @returns {ConversationTree}
+ */
+export function toStoredTree(tree) {
+  const nodes = Object.fromEntries(
+    Object.entries(tree.nodes).filter(([, node]) => !node.isStreaming)
+  );
+  const selected = Object.fromEntries(
+    Object.entries(tree.selected).filter(([, id]) => nodes[id])
+  );
+  return { nodes, selected };
+}
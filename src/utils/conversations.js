@@ -0,0 +1,388 @@
+/**
+ * @fileoverview Normalize Ask conversations from the RAG and enhanced chat
+ * endpoints into one shape for the conversation list and message view.
+ */
+
+import { truncate } from './helpers';
+
+/**
+ * @typedef {import('../storage/conversations').ConversationSource} ConversationSource
+ */
+
+/**
+ * @typedef {Object} ConversationRef
+ * @property {string} id - Server conversation ID
+ * @property {ConversationSource} source - Server store the conversation lives in
+ */
+
+/**
+ * @typedef {Object} ConversationSummary
+ * @property {string} id - Server conversation ID
+ * @property {ConversationSource} source - Server store the conversation lives in
+ * @property {string} key - Unique key across both stores
+ * @property {string} title - Display title
+ * @property {string} preview - Snippet of the conversation
+ * @property {number} messageCount - Messages in the conversation
+ * @property {string|null} updatedAt - Last activity timestamp
+ * @property {boolean} renamed - Whether the title was set by the user
+ */
+
+/**
+ * @typedef {Object} TokenUsage
+ * @property {number} [input] - Prompt tokens, including retrieved context and history
+ * @property {number} [output] - Completion tokens
+ * @property {number} total - Total tokens for the turn
+ */
+
+/**
+ * @typedef {Object} ChatImage
+ * @property {string} id - Image ID
+ * @property {string} [file_path] - Path under /images/
+ * @property {string} [url] - Direct image URL, when the server sends one
+ * @property {string} [caption] - Figure caption
+ * @property {number} [page_number] - Page in the source document
+ * @property {string} [document_title] - Source document
+ */
+
+/**
+ * @typedef {Object} ChatCitation
+ * @property {number} number - Marker number used in the answer text, e.g. 1 for [1]
+ * @property {string} title - Source document title
+ * @property {string} [documentId] - Source document
+ * @property {string} [chunkId] - Cited chunk
+ * @property {number} [page] - Page in the source document
+ * @property {string} [text] - Cited chunk text
+ * @property {number|null} score - Final retrieval score (0-1)
+ * @property {{label: string, value: number}[]} scoreParts - Individual retrieval signals behind the score
+ */
+
+/**
+ * @typedef {Object} PinnedChunk
+ * @property {string} chunkId - Pinned chunk
+ * @property {string} content - Chunk excerpt
+ * @property {string} [documentId] - Source document
+ * @property {string} [documentTitle] - Source document title
+ * @property {number} [pageNumber] - Page in the source document
+ */
+
+/**
+ * @typedef {Object} RetrievedChunk
+ * @property {string} chunkId - Retrieved chunk
+ * @property {string} content - Chunk text
+ * @property {string} [documentId] - Source document
+ * @property {string} [documentTitle] - Source document title
+ * @property {number} [pageNumber] - Page in the source document
+ * @property {string} [chunkType] - Chunk type, e.g. "anatomy"
+ * @property {number|null} authority - Source authority (0-1)
+ * @property {number|null} score - Retrieval score (0-1)
+ */
+
+/**
+ * @typedef {Object} AnswerRetrieval
+ * @property {string} question - Question as the user typed it
+ * @property {number} maxChunks - Context chunk budget
+ * @property {Object} [filters] - Retrieval filters sent with the question, including exclude_chunk_ids
+ */
+
+/**
+ * @typedef {Object} ChatMessageData
+ * @property {'user'|'assistant'} role - Message author
+ * @property {string} content - Message text (markdown)
+ * @property {Array} [sources] - Citations backing an assistant message
+ * @property {ChatImage[]} [images] - Figures retrieved for an assistant message
+ * @property {TokenUsage|null} [usage] - Token usage for the turn
+ * @property {PinnedChunk[]} [pinned] - Pinned chunks a user message was grounded on
+ * @property {string[]} [pinnedUsed] - Pinned chunk IDs an assistant message cited
+ * @property {Object} [scope] - Ask filters an assistant message was answered under
+ * @property {AnswerRetrieval} [retrieval] - What an assistant message was asked with
+ * @property {number[]} [excludedCited] - Citation numbers of excluded chunks an assistant message cited anyway
+ * @property {string} [createdAt] - When the server recorded the message (ISO 8601)
+ */
+
+const UNTITLED = 'Untitled conversation';
+
+/**
+ * Key a conversation uniquely across both server stores
+ * @param {ConversationRef|null} conversation
+ * @returns {string|null}
+ */
+export function conversationKey(conversation) {
+  return conversation ? `${conversation.source}:${conversation.id}` : null;
+}
+
+/**
+ * Extract the list from a conversation list response
+ * @param {Object|Array} response
+ * @returns {Array}
+ */
+export function toConversationItems(response) {
+  if (Array.isArray(response)) return response;
+  return response?.conversations || response?.items || response?.results || [];
+}
+
+/**
+ * Normalize a conversation list item
+ * @param {Object} item - Item from getConversationHistory or getChatConversations
+ * @param {ConversationSource} source
+ * @param {import('../storage/conversations').ConversationMeta} [meta] - Local details
+ * @returns {ConversationSummary|null} Null when the item has no ID
+ */
+export function toConversationSummary(item, source, meta) {
+  const id = item.conversation_id || item.id;
+  if (!id) return null;
+
+  const firstMessage = item.first_message || item.first_question
+    || item.messages?.find((m) => m.role === 'user')?.content
+    || item.history?.find((m) => m.role === 'user')?.content;
+  const preview = item.last_message || item.preview || firstMessage || '';
+
+  return {
+    id,
+    source,
+    key: conversationKey({ id, source }),
+    title: meta?.title || item.title || truncate(firstMessage || '', 60) || UNTITLED,
+    preview: truncate(preview, 120),
+    messageCount: item.message_count ?? item.history_length
+      ?? (item.messages || item.history)?.length ?? 0,
+    updatedAt: item.updated_at || item.last_activity || item.created_at || null,
+    renamed: Boolean(meta?.title),
+  };
+}
+
+/**
+ * Read token usage from a chat response, done event or stored message
+ * @param {Object} data
+ * @returns {TokenUsage|null}
+ */
+export function toTokenUsage(data) {
+  const usage = data?.usage || data?.token_usage;
+  if (!usage || typeof usage !== 'object') {
+    const total = data?.tokens_used ?? data?.total_tokens;
+    return typeof total === 'number' ? { total } : null;
+  }
+
+  const input = usage.prompt_tokens ?? usage.input_tokens;
+  const output = usage.completion_tokens ?? usage.output_tokens;
+  const total = usage.total_tokens ?? usage.total ?? (input ?? 0) + (output ?? 0);
+  return total ? { input, output, total } : null;
+}
+
+/**
+ * Normalize an image event or stored message image
+ * @param {Object} data
+ * @returns {ChatImage|null} Null when the image has no ID or URL
+ */
+export function toChatImage(data) {
+  const id = data?.image_id || data?.id;
+  const url = data?.url || data?.image_url;
+  if (!id && !url) return null;
+  return {
+    id: id || url,
+    file_path: data.file_path || data.image_path,
+    url,
+    caption: data.caption || data.caption_summary,
+    page_number: data.page_number ?? data.page,
+    document_title: data.document_title,
+  };
+}
+
+const SCORE_PARTS = [
+  ['semantic_score', 'Semantic similarity'],
+  ['keyword_score', 'Keyword match'],
+  ['rerank_score', 'Reranker'],
+  ['authority_score', 'Source authority'],
+];
+
+/**
+ * Normalize a citation from a chat or RAG answer
+ * @param {Object} data - Citation event or stored citation
+ * @param {number} index - Position in the answer's citation list
+ * @returns {ChatCitation}
+ */
+export function toChatCitation(data, index) {
+  const score = data.final_score ?? data.score ?? data.relevance_score ?? data.similarity;
+  return {
+    number: Number(data.index ?? data.citation_index ?? data.number) || index + 1,
+    title: data.document_title || data.title || data.source || data.filename || `Source ${index + 1}`,
+    documentId: data.document_id,
+    chunkId: data.chunk_id,
+    page: data.page ?? data.page_number,
+    text: data.content || data.text || data.snippet || data.chunk_text,
+    score: typeof score === 'number' ? score : null,
+    scoreParts: SCORE_PARTS
+      .filter(([key]) => typeof data[key] === 'number')
+      .map(([key, label]) => ({ label, value: data[key] })),
+  };
+}
+
+/**
+ * Normalize the chunks a getContext response retrieved, best match first
+ * @param {Object|Array} response - Response from getContext
+ * @returns {RetrievedChunk[]}
+ */
+export function toRetrievedChunks(response) {
+  const items = Array.isArray(response)
+    ? response
+    : response?.chunks || response?.context || response?.results || [];
+  return items
+    .map((item, i) => {
+      const score = item.final_score ?? item.score ?? item.relevance_score ?? item.similarity;
+      const authority = item.authority_score ?? item.authority;
+      return {
+        chunkId: item.chunk_id || item.id || `chunk-${i}`,
+        content: item.content || item.text || '',
+        documentId: item.document_id,
+        documentTitle: item.document_title || item.title || item.source,
+        pageNumber: item.page_start ?? item.page_number ?? item.page,
+        chunkType: item.chunk_type || item.type,
+        authority: typeof authority === 'number' ? authority : null,
+        score: typeof score === 'number' ? score : null,
+      };
+    })
+    .filter((chunk) => chunk.content);
+}
+
+/**
+ * Which of an answer's filters a retrieved chunk falls outside. getContext
+ * only takes document IDs, so the rest are applied to its results here.
+ * Specialties can't be checked: chunks don't report them.
+ * @param {RetrievedChunk} chunk
+ * @param {Object} [filters] - Filters the answer was asked with
+ * @returns {string|null} The filter missed, or null when the chunk passes or lacks the metadata
+ */
+export function retrievalFilterMiss(chunk, filters) {
+  if (!filters) return null;
+  const type = chunk.chunkType?.toLowerCase();
+  if (filters.chunk_types?.length && type && !filters.chunk_types.includes(type)) {
+    return 'chunk type';
+  }
+  if (filters.min_authority && chunk.authority !== null && chunk.authority < filters.min_authority) {
+    return 'authority';
+  }
+  if (filters.page_range && chunk.pageNumber != null) {
+    const [first, last] = filters.page_range;
+    if (chunk.pageNumber < first || chunk.pageNumber > last) return 'page range';
+  }
+  return null;
+}
+
+/**
+ * Citation numbers of excluded chunks an answer cited anyway
+ * @param {string[]} excludedIds
+ * @param {ChatCitation[]} citations
+ * @returns {number[]}
+ */
+export function findCitedExcluded(excludedIds, citations) {
+  return citations
+    .filter((c) => c.chunkId && excludedIds.includes(c.chunkId))
+    .map((c) => c.number);
+}
+
+const PINNED_HEADER = 'Pinned context:';
+const PINNED_QUESTION = 'Question: ';
+
+/**
+ * Prefix a question with pinned excerpts so the answer is grounded on them.
+ * The server has no pinned-chunk parameter, so the excerpts travel in the message.
+ * @param {string} question
+ * @param {PinnedChunk[]} pinned
+ * @returns {string}
+ */
+export function withPinnedContext(question, pinned) {
+  if (!pinned.length) return question;
+  const excerpts = pinned.map((chunk, i) => {
+    const source = [chunk.documentTitle || 'Untitled', chunk.pageNumber && `p. ${chunk.pageNumber}`]
+      .filter(Boolean).join(', ');
+    return `[P${i + 1}] ${source}: "${chunk.content.replace(/\s+/g, ' ').trim()}"`;
+  });
+  return `${PINNED_HEADER}\n${excerpts.join('\n')}\n\n${PINNED_QUESTION}${question}`;
+}
+
+/**
+ * Remove the pinned excerpts withPinnedContext added to a stored message
+ * @param {string} content
+ * @returns {string}
+ */
+export function stripPinnedContext(content) {
+  if (!content.startsWith(PINNED_HEADER)) return content;
+  const start = content.indexOf(`\n\n${PINNED_QUESTION}`);
+  return start === -1 ? content : content.slice(start + PINNED_QUESTION.length + 2);
+}
+
+const HISTORY_HEADER = 'Earlier in this conversation:';
+const HISTORY_MESSAGE = 'Message: ';
+const HISTORY_TURN_LENGTH = 1000;
+
+/**
+ * Prefix a message with the earlier turns of its branch. A branch starts a
+ * new server conversation, which has no history of its own, so the turns
+ * before the fork travel in the message.
+ * @param {string} message
+ * @param {ChatMessageData[]} history - Earlier messages on the branch, oldest first
+ * @returns {string}
+ */
+export function withHistory(message, history) {
+  if (!history.length) return message;
+  const turns = history.map((m) => {
+    const text = truncate(m.content.replace(/\s+/g, ' ').trim(), HISTORY_TURN_LENGTH);
+    return `${m.role === 'user' ? 'Q' : 'A'}: ${text}`;
+  });
+  return `${HISTORY_HEADER}\n${turns.join('\n')}\n\n${HISTORY_MESSAGE}${message}`;
+}
+
+/**
+ * Remove the earlier turns withHistory added to a stored message
+ * @param {string} content
+ * @returns {string}
+ */
+export function stripHistory(content) {
+  if (!content.startsWith(HISTORY_HEADER)) return content;
+  const start = content.indexOf(`\n\n${HISTORY_MESSAGE}`);
+  return start === -1 ? content : content.slice(start + HISTORY_MESSAGE.length + 2);
+}
+
+/**
+ * IDs of the pinned chunks an answer cited, matched by chunk or by document and page
+ * @param {PinnedChunk[]} pinned
+ * @param {ChatCitation[]} citations
+ * @returns {string[]}
+ */
+export function findUsedPinned(pinned, citations) {
+  return pinned
+    .filter((chunk) => citations.some((c) => (c.chunkId
+      ? c.chunkId === chunk.chunkId
+      : c.documentId === chunk.documentId && c.page != null && c.page === chunk.pageNumber)))
+    .map((chunk) => chunk.chunkId);
+}
+
+/**
+ * Normalize a server timestamp to ISO 8601
+ * @param {string|number|undefined} value
+ * @returns {string|undefined} Undefined when missing or unparseable
+ */
+function toTimestamp(value) {
+  if (value == null) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+/**
+ * Normalize a full conversation's messages
+ * @param {Object} conversation - Response from getConversation or getChatConversation
+ * @returns {ChatMessageData[]}
+ */
+export function toChatMessages(conversation) {
+  const history = conversation?.messages || conversation?.history || [];
+  return history
+    .filter((m) => m.role === 'user' || m.role === 'assistant')
+    .map((m) => ({
+      role: m.role,
+      content: m.role === 'user'
+        ? stripPinnedContext(stripHistory(m.content ?? m.message ?? ''))
+        : m.content ?? m.message ?? '',
+      sources: m.citations || m.sources || [],
+      images: (m.images || []).map(toChatImage).filter(Boolean),
+      usage: toTokenUsage(m),
+      createdAt: toTimestamp(m.timestamp ?? m.created_at),
+    }));
+}
@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Sequence and synthesis diffing utilities
+ */
+
+/**
+ * @typedef {Object} DiffOp
+ * @property {'equal'|'added'|'removed'|'changed'} type
+ * @property {any} [left] - Item from the left sequence
+ * @property {any} [right] - Item from the right sequence
+ */
+
+/**
+ * Diff two sequences using longest common subsequence
+ * @param {Array} left - Left (older) sequence
+ * @param {Array} right - Right (newer) sequence
+ * @param {Function} [keyFn] - Maps an item to its comparison key
+ * @returns {DiffOp[]} Ordered operations
+ */
+export function diffSequences(left, right, keyFn = (x) => x) {
+  const a = left.map(keyFn);
+  const b = right.map(keyFn);
+  const n = a.length;
+  const m = b.length;
+
+  // lcs[i][j] = LCS length of a[i:] and b[j:]
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'equal', left: left[i++], right: right[j++] });
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: 'removed', left: left[i++] });
+    } else {
+      ops.push({ type: 'added', right: right[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: 'removed', left: left[i++] });
+  while (j < m) ops.push({ type: 'added', right: right[j++] });
+
+  return ops;
+}
+
+/**
+ * Pair runs of removals followed by additions into 'changed' operations
+ * @param {DiffOp[]} ops - Output of diffSequences
+ * @returns {DiffOp[]}
+ */
+export function pairChanges(ops) {
+  const result = [];
+  let k = 0;
+
+  while (k < ops.length) {
+    if (ops[k].type !== 'removed') {
+      result.push(ops[k++]);
+      continue;
+    }
+
+    const removed = [];
+    while (k < ops.length && ops[k].type === 'removed') removed.push(ops[k++]);
+    const added = [];
+    while (k < ops.length && ops[k].type === 'added') added.push(ops[k++]);
+
+    const pairs = Math.min(removed.length, added.length);
+    for (let p = 0; p < pairs; p++) {
+      result.push({ type: 'changed', left: removed[p].left, right: added[p].right });
+    }
+    result.push(...removed.slice(pairs), ...added.slice(pairs));
+  }
+
+  return result;
+}
+
+/**
+ * Split section content into comparable paragraphs
+ * @param {string} content
+ * @returns {string[]}
+ */
+function toParagraphs(content) {
+  return (content || '')
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Normalize text for comparison so whitespace-only changes are ignored
+ * @param {string} text
+ * @returns {string}
+ */
+function normalize(text) {
+  return (text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Comparison key for a reference
+ * @param {Object} ref
+ * @returns {string}
+ */
+export function referenceKey(ref) {
+  const title = ref.title || ref.document_title || ref.source || '';
+  return `${normalize(title)}|${ref.page ?? ''}`;
+}
+
+/**
+ * @typedef {Object} SectionDiff
+ * @property {'added'|'removed'|'changed'|'unchanged'} status
+ * @property {string} title - Section title
+ * @property {Object} [left] - Left section
+ * @property {Object} [right] - Right section
+ * @property {DiffOp[]} paragraphs - Paragraph-level operations
+ */
+
+/**
+ * Align two synthesis results section by section
+ * @param {Object} left - Older SynthesisResponse
+ * @param {Object} right - Newer SynthesisResponse
+ * @returns {{ sections: SectionDiff[], references: { added: Array, removed: Array }, citations: { left: number, right: number }, conflicts: { left: number, right: number, byType: Array<{type: string, left: number, right: number}> }, summary: Object<string, number> }}
+ */
+export function diffSynthesisResults(left, right) {
+  const sectionOps = diffSequences(
+    left?.sections || [],
+    right?.sections || [],
+    (s) => normalize(s.title)
+  );
+
+  const sections = sectionOps.map((op) => {
+    if (op.type === 'added') {
+      return {
+        status: 'added',
+        title: op.right.title,
+        right: op.right,
+        paragraphs: toParagraphs(op.right.content).map((p) => ({ type: 'added', right: p })),
+      };
+    }
+    if (op.type === 'removed') {
+      return {
+        status: 'removed',
+        title: op.left.title,
+        left: op.left,
+        paragraphs: toParagraphs(op.left.content).map((p) => ({ type: 'removed', left: p })),
+      };
+    }
+
+    const paragraphs = pairChanges(
+      diffSequences(toParagraphs(op.left.content), toParagraphs(op.right.content), normalize)
+    );
+    return {
+      status: paragraphs.every((p) => p.type === 'equal') ? 'unchanged' : 'changed',
+      title: op.right.title,
+      left: op.left,
+      right: op.right,
+      paragraphs,
+    };
+  });
+
+  const refOps = diffSequences(left?.references || [], right?.references || [], referenceKey);
+
+  const types = new Set([
+    ...Object.keys(left?.conflict_report?.by_type || {}),
+    ...Object.keys(right?.conflict_report?.by_type || {}),
+  ]);
+
+  const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+  sections.forEach((s) => { summary[s.status] += 1; });
+
+  return {
+    sections,
+    references: {
+      added: refOps.filter((op) => op.type === 'added').map((op) => op.right),
+      removed: refOps.filter((op) => op.type === 'removed').map((op) => op.left),
+    },
+    citations: {
+      left: left?.total_citations || 0,
+      right: right?.total_citations || 0,
+    },
+    conflicts: {
+      left: left?.conflict_count || 0,
+      right: right?.conflict_count || 0,
+      byType: [...types].map((type) => ({
+        type,
+        left: left?.conflict_report?.by_type?.[type] || 0,
+        right: right?.conflict_report?.by_type?.[type] || 0,
+      })),
+    },
+    summary,
+  };
+}
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Export settings, built-in presets and filename templates.
+ */
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {boolean} include_toc - Table of contents
+ * @property {boolean} include_abstract - Abstract
+ * @property {boolean} include_references - Reference list
+ * @property {boolean} include_figures - Figures
+ * @property {'low'|'medium'|'high'} image_quality - Embedded image quality
+ * @property {number} image_dpi - PDF image resolution
+ * @property {string} author - Author attribution (empty uses the chapter's)
+ * @property {string} institution - Institution attribution (empty uses the chapter's)
+ * @property {string} filenameTemplate - Download filename without extension
+ */
+
+export const IMAGE_QUALITIES = [
+  { value: 'low', label: 'Low (smallest file)' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'high', label: 'High' },
+];
+
+export const IMAGE_DPIS = [72, 150, 300, 600];
+
+/**
+ * Placeholders available in filename templates
+ */
+export const FILENAME_TOKENS = ['{topic}', '{title}', '{version}', '{date}', '{time}', '{format}'];
+
+export const DEFAULT_FILENAME_TEMPLATE = 'neurosynth-{topic}-{date}';
+
+/** @type {ExportOptions} */
+export const DEFAULT_EXPORT_OPTIONS = {
+  include_toc: true,
+  include_abstract: true,
+  include_references: true,
+  include_figures: true,
+  image_quality: 'high',
+  image_dpi: 300,
+  author: '',
+  institution: '',
+  filenameTemplate: DEFAULT_FILENAME_TEMPLATE,
+};
+
+/**
+ * Presets shipped with the app. They can be applied but not edited or deleted.
+ */
+export const BUILTIN_EXPORT_PRESETS = [
+  {
+    id: 'builtin:default',
+    name: 'Default',
+    builtin: true,
+    options: DEFAULT_EXPORT_OPTIONS,
+  },
+  {
+    id: 'builtin:grand-rounds',
+    name: 'Grand rounds handout',
+    builtin: true,
+    options: {
+      ...DEFAULT_EXPORT_OPTIONS,
+      include_toc: false,
+      include_references: false,
+      image_quality: 'medium',
+      image_dpi: 150,
+      filenameTemplate: '{topic}-grand-rounds-{date}',
+    },
+  },
+  {
+    id: 'builtin:print',
+    name: 'Print quality',
+    builtin: true,
+    options: {
+      ...DEFAULT_EXPORT_OPTIONS,
+      image_quality: 'high',
+      image_dpi: 600,
+      filenameTemplate: '{topic}-v{version}-print',
+    },
+  },
+];
+
+/**
+ * Turn text into a filename-safe slug
+ * @param {string} text
+ * @returns {string}
+ */
+function toFilenamePart(text) {
+  return String(text ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Expand a filename template
+ * @param {string} template - Template such as "neurosynth-{topic}-{date}"
+ * @param {Object} values
+ * @param {string} values.topic - Chapter topic
+ * @param {string} [values.title] - Chapter title
+ * @param {number} [values.version] - Library version
+ * @param {string} values.format - Export format ID
+ * @param {string} values.extension - File extension
+ * @param {Date} [values.date=new Date()] - Export time
+ * @returns {string}
+ */
+export function buildExportFilename(template, { topic, title, version, format, extension, date = new Date() }) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const tokens = {
+    topic: toFilenamePart(topic),
+    title: toFilenamePart(title || topic),
+    version: version ?? 1,
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    time: `${pad(date.getHours())}${pad(date.getMinutes())}`,
+    format,
+  };
+
+  const base = (template || DEFAULT_FILENAME_TEMPLATE)
+    .replace(/\{(\w+)\}/g, (match, key) => (key in tokens ? tokens[key] : match))
+    .replace(/[\\/:*?"<>|]+/g, '-')
+    .trim();
+
+  return `${base || `neurosynth-export-${date.getTime()}`}.${extension}`;
+}
+
+/**
+ * Merge export options into the chapter's export parameters. Blank author
+ * and institution keep the values the chapter was generated with.
+ * @param {import('../api/client').SynthesisExportParams} exportParams
+ * @param {ExportOptions} options
+ * @returns {Object}
+ */
+export function withExportOptions(exportParams, options) {
+  return {
+    ...exportParams,
+    include_toc: options.include_toc,
+    include_abstract: options.include_abstract,
+    include_references: options.include_references,
+    include_figures: options.include_figures,
+    image_quality: options.image_quality,
+    image_dpi: options.image_dpi,
+    author: (options.author ?? '').trim() || exportParams.author,
+    institution: (options.institution ?? '').trim() || exportParams.institution,
+  };
+}
@@ -0,0 +1,286 @@
+/**
+ * @fileoverview Generate question/answer flashcards from syntheses and
+ * Browse chunks, and serialize decks for Anki import.
+ */
+
+import { formatReference, generateId } from './helpers';
+import { getConflictTypeLabel, describeDecision } from './conflicts';
+
+/**
+ * @typedef {Object} Flashcard
+ * @property {string} id - Card ID
+ * @property {string} front - Question side
+ * @property {string} back - Answer side
+ * @property {string} source - Citation shown on the back
+ * @property {string[]} tags - Anki tags
+ * @property {'section'|'fact'|'conflict'|'chunk'} kind - What the card was generated from
+ */
+
+const MAX_FACTS_PER_SECTION = 3;
+const MAX_ANSWER_LENGTH = 600;
+
+// A number with an optional unit: 15%, 2.5 cm, 30 mg, 6 months
+const FACT_PATTERN = /\b\d+(?:[.,]\d+)?\s?(?:%|mm|cm|ml|mg|kg|mmHg|hours?|days?|weeks?|months?|years?)(?![\w])|\b\d+(?:\.\d+)?%/i;
+const CITATION_PATTERN = /\[(\d+(?:\s*[,–-]\s*\d+)*)\]/g;
+
+/**
+ * Strip markdown syntax so card text reads as plain prose
+ * @param {string} text
+ * @returns {string}
+ */
+function toPlainText(text) {
+  return (text || '')
+    .replace(/^#{1,6}\s+.*$/gm, '')
+    .replace(/^>\s?/gm, '')
+    .replace(/^\s*[-*]\s+/gm, '')
+    .replace(/\*\*(.+?)\*\*/g, '$1')
+    .replace(/\*(.+?)\*/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[FIGURE[^\]]*\]/gi, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/** Abbreviations whose trailing period does not end a sentence */
+const ABBREVIATION_END = /\b(?:e\.g|i\.e|et al|etc|vs|cf|approx|Dr|Fig|Figs|No|Ref)\.$/i;
+
+/**
+ * Split prose into sentences. A sentence ends at . ! or ? followed by
+ * whitespace and a capital letter or citation bracket, so decimals such as
+ * 2.5 mm and abbreviations such as "e.g." stay inside their sentence.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitSentences(text) {
+  const sentences = [];
+  let start = 0;
+  for (const match of text.matchAll(/[.!?]+\s+(?=[A-Z[])/g)) {
+    const end = match.index + match[0].length;
+    const sentence = text.slice(start, end).trim();
+    if (ABBREVIATION_END.test(sentence)) continue;
+    sentences.push(sentence);
+    start = end;
+  }
+  sentences.push(text.slice(start).trim());
+  return sentences.filter((s) => s.length > 20);
+}
+
+/**
+ * Remove [n] citation markers, tidying the spacing they leave behind
+ */
+function stripCitations(text) {
+  return text.replace(CITATION_PATTERN, '').replace(/\s+([.,;:])/g, '$1').replace(/\s{2,}/g, ' ').trim();
+}
+
+/**
+ * Trim an answer to a readable length on a sentence boundary
+ */
+function clip(text, max = MAX_ANSWER_LENGTH) {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max);
+  const end = cut.lastIndexOf('. ');
+  return `${end > max / 2 ? cut.slice(0, end + 1) : cut.trimEnd()}…`;
+}
+
+/**
+ * Make a tag Anki accepts: no spaces
+ */
+function toTag(value) {
+  return String(value || '').trim().replace(/\s+/g, '_').replace(/[^\w:-]/g, '');
+}
+
+/**
+ * Resolve [n] citation markers in text to formatted references
+ * @param {string} text
+ * @param {Array} references - SynthesisReference[]
+ * @returns {string[]}
+ */
+function citedReferences(text, references) {
+  const cited = new Set();
+  for (const match of text.matchAll(CITATION_PATTERN)) {
+    for (const part of match[1].split(/\s*,\s*/)) {
+      const [start, end = start] = part.split(/\s*[–-]\s*/).map(Number);
+      for (let n = start; n <= end && n - start < 20; n++) {
+        if (references[n - 1]) cited.add(formatReference(references[n - 1]));
+      }
+    }
+  }
+  return [...cited];
+}
+
+/**
+ * Generate cards from a synthesis: one per section, cloze cards for key
+ * numerical facts, and one per detected conflict
+ * @param {Object} result - SynthesisResponse (with edits applied)
+ * @param {Object} [context]
+ * @param {string} [context.topic] - Chapter topic
+ * @param {Object<number, Object>} [context.resolutions] - Conflict resolutions by index
+ * @returns {Flashcard[]}
+ */
+export function cardsFromSynthesis(result, { topic, resolutions = {} } = {}) {
+  const chapter = topic || result?.title || 'Synthesis';
+  const chapterTag = toTag(chapter);
+  const references = result?.references || [];
+  const cards = [];
+
+  for (const section of result?.sections || []) {
+    const body = section.content || '';
+    const plain = toPlainText(body);
+    if (!plain) continue;
+
+    const sectionSources = citedReferences(body, references);
+    const fallbackSource = `${chapter} — ${section.title}`;
+
+    cards.push({
+      id: generateId(),
+      kind: 'section',
+      front: `${chapter}: what are the key points of "${section.title}"?`,
+      back: clip(splitSentences(stripCitations(plain)).slice(0, 3).join(' ') || stripCitations(plain)),
+      source: sectionSources.slice(0, 3).join('; ') || fallbackSource,
+      tags: [chapterTag, 'section'],
+    });
+
+    // Split before stripping markers so each fact keeps its own citations
+    const facts = splitSentences(plain)
+      .filter((sentence) => FACT_PATTERN.test(sentence))
+      .slice(0, MAX_FACTS_PER_SECTION);
+
+    for (const sentence of facts) {
+      const answer = sentence.match(FACT_PATTERN)[0];
+      const clean = stripCitations(sentence);
+      cards.push({
+        id: generateId(),
+        kind: 'fact',
+        front: `${section.title}: ${clean.replace(answer, '_____')}`,
+        back: `${answer} — ${clean}`,
+        source: citedReferences(sentence, references).join('; ') || fallbackSource,
+        tags: [chapterTag, 'fact'],
+      });
+    }
+  }
+
+  (result?.conflict_report?.conflicts || []).forEach((conflict, i) => {
+    const resolution = resolutions[i];
+    const lines = [
+      conflict.context_a ? `${conflict.source_a}: ${conflict.context_a}` : conflict.source_a,
+      conflict.context_b ? `${conflict.source_b}: ${conflict.context_b}` : conflict.source_b,
+    ];
+    if (resolution?.decision) {
+      lines.push(`Reviewer: ${describeDecision(conflict, resolution)}${resolution.note ? ` — ${resolution.note}` : ''}`);
+    }
+    cards.push({
+      id: generateId(),
+      kind: 'conflict',
+      front: `${getConflictTypeLabel(conflict.type)} in "${conflict.section || chapter}": ${conflict.description}. What does each source report?`,
+      back: clip(lines.filter(Boolean).join('\n')),
+      source: [conflict.source_a, conflict.source_b].filter(Boolean).join('; '),
+      tags: [chapterTag, 'conflict'],
+    });
+  });
+
+  return cards;
+}
+
+/**
+ * Generate cards from Browse search results: cloze cards for numerical
+ * facts, otherwise one recall card per chunk
+ * @param {Object[]} chunks - Search results
+ * @returns {Flashcard[]}
+ */
+export function cardsFromChunks(chunks) {
+  const cards = [];
+
+  for (const chunk of chunks) {
+    const plain = toPlainText(chunk.content);
+    if (!plain) continue;
+
+    const page = chunk.page_start ?? chunk.page_number;
+    const source = `${chunk.document_title || 'Untitled'}${page != null ? `, p. ${page}` : ''}`;
+    const chunkType = (chunk.chunk_type || 'general').toLowerCase();
+    const tags = [toTag(chunk.document_title || 'browse'), chunkType];
+    const facts = splitSentences(plain).filter((s) => FACT_PATTERN.test(s)).slice(0, 2);
+
+    if (facts.length > 0) {
+      for (const sentence of facts) {
+        const answer = sentence.match(FACT_PATTERN)[0];
+        cards.push({
+          id: generateId(),
+          kind: 'fact',
+          front: sentence.replace(answer, '_____'),
+          back: `${answer} — ${sentence}`,
+          source,
+          tags: [...tags, 'fact'],
+        });
+      }
+      continue;
+    }
+
+    const entities = chunk.entity_names ||
+      (chunk.entity_mentions && typeof chunk.entity_mentions === 'object'
+        ? Object.keys(chunk.entity_mentions)
+        : []);
+    const subject = entities.slice(0, 3).join(', ') || splitSentences(plain)[0]?.slice(0, 80) || chunkType;
+
+    cards.push({
+      id: generateId(),
+      kind: 'chunk',
+      front: `${chunkType[0].toUpperCase()}${chunkType.slice(1)}: what does ${chunk.document_title || 'the source'} say about ${subject}?`,
+      back: clip(chunk.summary ? toPlainText(chunk.summary) : plain),
+      source,
+      tags,
+    });
+  }
+
+  return cards;
+}
+
+/**
+ * Escape text for an HTML-enabled Anki field
+ */
+function toAnkiField(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\t/g, ' ')
+    .replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Serialize cards as an Anki-importable tab-separated file. The header
+ * lines tell Anki the separator, that fields contain HTML, and which column
+ * holds tags.
+ * @param {Flashcard[]} cards
+ * @returns {string}
+ */
+export function toAnkiTSV(cards) {
+  const header = ['#separator:tab', '#html:true', '#tags column:3'];
+  const rows = cards.map((card) => [
+    toAnkiField(card.front),
+    `${toAnkiField(card.back)}<br><br><small>Source: ${toAnkiField(card.source)}</small>`,
+    card.tags.map(toTag).filter(Boolean).join(' '),
+  ].join('\t'));
+  return [...header, ...rows].join('\n') + '\n';
+}
+
+/**
+ * Quote a CSV cell when needed
+ */
+function toCsvCell(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize cards as CSV with Front, Back, Source and Tags columns
+ * @param {Flashcard[]} cards
+ * @returns {string}
+ */
+export function toFlashcardCSV(cards) {
+  const rows = [
+    ['Front', 'Back', 'Source', 'Tags'],
+    ...cards.map((card) => [card.front, card.back, card.source, card.tags.join(' ')]),
+  ];
+  return rows.map((row) => row.map(toCsvCell).join(',')).join('\n') + '\n';
+}
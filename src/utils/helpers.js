@@ -181,11 +181,63 @@ export function parseMarkdown(text) {
     .replace(/^\* (.+)$/gm, '<li>$1</li>')
     .replace(/^- (.+)$/gm, '<li>$1</li>')
     .replace(/^\d+\. (.+)$/gm, '<li>$1</li>')
+    // Blockquotes (consecutive lines merge into one)
+    .replace(/^> ?(.*)$/gm, '<blockquote>$1</blockquote>')
+    .replace(/<\/blockquote>\n<blockquote>/g, '<br/>')
     // Paragraphs
     .replace(/\n\n/g, '</p><p>')
     .replace(/\n/g, '<br/>');
 }
 
+/**
+ * Build markdown content from synthesis result sections
+ * @param {Object} result - SynthesisResponse object
+ * @returns {string} Markdown content
+ */
+export function buildMarkdownFromResult(result) {
+  if (!result) return '';
+
+  let md = `# ${result.title}\n\n`;
+
+  if (result.abstract) {
+    md += `## Abstract\n\n${result.abstract}\n\n`;
+  }
+
+  for (const section of (result.sections || [])) {
+    const heading = '#'.repeat(section.level + 1);
+    md += `${heading} ${section.title}\n\n${section.content}\n\n`;
+  }
+
+  return md;
+}
+
+/**
+ * Apply section edits to a synthesis result
+ * @param {Object|null} result - SynthesisResponse
+ * @param {Object<number, {content: string}>} [edits={}] - Edits keyed by section index
+ * @returns {Object|null} Result with edited sections
+ */
+export function applyEdits(result, edits = {}) {
+  if (!result || Object.keys(edits).length === 0) return result;
+
+  return {
+    ...result,
+    sections: (result.sections || []).map((section, i) =>
+      edits[i] ? { ...section, content: edits[i].content } : section
+    ),
+  };
+}
+
+/**
+ * Format a synthesis reference as "Title, p. N"
+ * @param {Object} ref - SynthesisReference
+ * @returns {string} Display label
+ */
+export function formatReference(ref) {
+  const title = ref.title || ref.document_title || ref.source || 'Unknown source';
+  return ref.page ? `${title}, p. ${ref.page}` : title;
+}
+
 /**
  * Highlight search terms in text
  * @param {string} text - Text to highlight
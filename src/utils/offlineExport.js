@@ -0,0 +1,567 @@
+/**
+ * @fileoverview Client-side chapter exports for offline reading: EPUB 3
+ * and a single-file HTML page with inlined images and styles. Both are
+ * built from the structured synthesis, so section edits are included, and
+ * end with the conflict resolution appendix once conflicts are reviewed.
+ */
+
+import { api } from '../api/client';
+import { formatReference, generateId } from './helpers';
+import { createZip } from './zip';
+
+/**
+ * @typedef {import('../api/client').ResolvedFigure} ResolvedFigure
+ */
+
+/**
+ * @typedef {Object} EmbeddedFigure
+ * @property {ResolvedFigure} figure - Figure metadata
+ * @property {number} number - Figure number in the chapter
+ * @property {Blob} blob - Image data
+ * @property {string} extension - File extension for the image type
+ */
+
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+};
+
+const CITATION_PATTERN = /\[(\d+(?:\s*[,–-]\s*\d+)*)\]/g;
+
+const READER_STYLES = `
+body { font-family: Georgia, 'Times New Roman', serif; line-height: 1.6; color: #1a1a1a; margin: 0 auto; max-width: 44em; padding: 1.5em; }
+h1, h2, h3, h4, h5, h6 { font-family: -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; line-height: 1.25; }
+h1 { font-size: 1.9em; margin-bottom: 0.2em; }
+.byline { color: #555; margin-top: 0; }
+.abstract { border-left: 3px solid #2563eb; padding-left: 1em; color: #333; }
+nav.toc ol { padding-left: 1.25em; }
+nav.toc a { text-decoration: none; }
+figure { margin: 1.5em 0; text-align: center; }
+figure img { max-width: 100%; height: auto; }
+figcaption { font-size: 0.9em; color: #555; margin-top: 0.5em; }
+blockquote { border-left: 3px solid #ccc; margin-left: 0; padding-left: 1em; color: #444; }
+sup.citation a { text-decoration: none; }
+ol.references li { margin-bottom: 0.4em; font-size: 0.95em; }
+@media print { nav.toc { page-break-after: always; } section { page-break-inside: avoid; } }
+`.trim();
+
+/**
+ * Escape text for HTML and XHTML
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const EMPHASIS_TAGS = { '**': 'strong', '*': 'em' };
+
+/**
+ * Render ** and * emphasis in escaped text. Markers are matched with a
+ * stack, so overlapping emphasis still nests properly; a closing marker
+ * closes its opener and any markers opened after it are kept as text, as
+ * are markers that never close.
+ * @param {string} text - XML-escaped text without code spans
+ * @returns {string}
+ */
+function renderEmphasis(text) {
+  const out = [];
+  const open = []; // { marker, index }
+
+  const handle = (token) => {
+    const at = open.map((o) => o.marker).lastIndexOf(token);
+    if (at === -1) {
+      open.push({ marker: token, index: out.length });
+      out.push(token);
+      return;
+    }
+    const { index } = open[at];
+    open.length = at;
+    out[index] = `<${EMPHASIS_TAGS[token]}>`;
+    out.push(`</${EMPHASIS_TAGS[token]}>`);
+  };
+
+  for (const token of text.split(/(\*{1,3})/)) {
+    if (token === '***') {
+      // Bold and italic together: close the innermost first
+      const emFirst = open[open.length - 1]?.marker === '*';
+      handle(emFirst ? '*' : '**');
+      handle(emFirst ? '**' : '*');
+    } else if (EMPHASIS_TAGS[token]) {
+      handle(token);
+    } else {
+      out.push(token);
+    }
+  }
+
+  return out.join('');
+}
+
+/**
+ * Render inline markdown and link [n] citations to the reference list
+ * @param {string} text - Raw markdown line
+ * @param {(n: number) => string|null} citationHref - Link target, or null for unknown references
+ * @returns {string}
+ */
+function renderInline(text, citationHref) {
+  return escapeXml(text)
+    .split(/(`[^`]+`)/)
+    .map((part, i) => {
+      // Odd parts are code spans, rendered as-is
+      if (i % 2 === 1) return `<code>${part.slice(1, -1)}</code>`;
+      return renderEmphasis(part).replace(CITATION_PATTERN, (marker) => {
+        const linked = marker.replace(/\d+/g, (n) => {
+          const href = citationHref(Number(n));
+          return href ? `<a href="${href}">${n}</a>` : n;
+        });
+        return `<sup class="citation">${linked}</sup>`;
+      });
+    })
+    .join('');
+}
+
+/**
+ * Render section markdown as well-formed XHTML, which EPUB readers require
+ * @param {string} markdown - Section content
+ * @param {number} headingLevel - Level of the section heading; nested headings go below it
+ * @param {(n: number) => string|null} citationHref
+ * @returns {string}
+ */
+export function renderMarkdown(markdown, headingLevel, citationHref) {
+  const html = [];
+  let paragraph = [];
+  let list = null; // { tag, items }
+  let quote = [];
+
+  const flush = () => {
+    if (paragraph.length) {
+      html.push(`<p>${renderInline(paragraph.join(' '), citationHref)}</p>`);
+      paragraph = [];
+    }
+    if (list) {
+      const items = list.items.map((item) => `<li>${renderInline(item, citationHref)}</li>`).join('');
+      html.push(`<${list.tag}>${items}</${list.tag}>`);
+      list = null;
+    }
+    if (quote.length) {
+      html.push(`<blockquote><p>${renderInline(quote.join(' '), citationHref)}</p></blockquote>`);
+      quote = [];
+    }
+  };
+
+  for (const rawLine of (markdown || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const heading = line.match(/^(#{1,6})\s+(.+)$/);
+    const bullet = line.match(/^[-*]\s+(.+)$/);
+    const numbered = line.match(/^\d+\.\s+(.+)$/);
+    const quoted = line.match(/^>\s?(.*)$/);
+
+    if (!line || /^\[FIGURE[^\]]*\]$/i.test(line)) {
+      flush();
+    } else if (heading) {
+      flush();
+      const level = Math.min(Math.max(heading[1].length, headingLevel + 1), 6);
+      html.push(`<h${level}>${renderInline(heading[2], citationHref)}</h${level}>`);
+    } else if (bullet || numbered) {
+      const tag = bullet ? 'ul' : 'ol';
+      if (paragraph.length || quote.length || (list && list.tag !== tag)) flush();
+      if (!list) list = { tag, items: [] };
+      list.items.push((bullet || numbered)[1]);
+    } else if (quoted) {
+      if (paragraph.length || list) flush();
+      quote.push(quoted[1]);
+    } else {
+      if (list || quote.length) flush();
+      paragraph.push(line.replace(/\[FIGURE[^\]]*\]/gi, '').trim());
+    }
+  }
+  flush();
+
+  return html.join('\n');
+}
+
+/**
+ * Nest a flat list of headings into ordered lists by level
+ * @param {Array<{title: string, level: number, href: string}>} entries
+ * @returns {string}
+ */
+function renderTocList(entries) {
+  let html = '';
+  const stack = [];
+
+  for (const entry of entries) {
+    const level = Math.max(1, entry.level || 1);
+    if (stack.length === 0) {
+      html += '<ol>';
+      stack.push(level);
+    } else if (level > stack[stack.length - 1]) {
+      html += '<ol>';
+      stack.push(level);
+    } else {
+      html += '</li>';
+      while (stack.length > 1 && level < stack[stack.length - 1]) {
+        html += '</ol></li>';
+        stack.pop();
+      }
+    }
+    html += `<li><a href="${entry.href}">${escapeXml(entry.title)}</a>`;
+  }
+
+  while (stack.length) {
+    html += '</li></ol>';
+    stack.pop();
+  }
+  return html;
+}
+
+/**
+ * Fetch the chapter's resolved figures. Figures that fail to load are
+ * left out rather than failing the export.
+ * @param {ResolvedFigure[]} figures
+ * @returns {Promise<EmbeddedFigure[]>}
+ */
+async function loadFigures(figures) {
+  const loaded = await Promise.all(figures.map(async (figure, i) => {
+    if (!figure.image_url && !figure.image_path && !figure.image_id) return null;
+    try {
+      const blob = figure.image_url
+        ? await fetch(figure.image_url).then((res) => {
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          return res.blob();
+        })
+        : await api.getImage(figure.image_path || figure.image_id);
+      const extension = IMAGE_EXTENSIONS[blob?.type];
+      if (!extension) throw new Error(`Unsupported image type ${blob?.type || 'unknown'}`);
+      return { figure, number: i + 1, blob, extension };
+    } catch (err) {
+      console.warn(`Figure ${i + 1} could not be embedded:`, err);
+      return null;
+    }
+  }));
+  return loaded.filter(Boolean);
+}
+
+/**
+ * Gather what both formats need from the export parameters
+ * @param {Object} params - Export request parameters (chapter plus export options)
+ */
+async function prepareChapter(params) {
+  const result = params.synthesis;
+  if (!result?.sections?.length) {
+    throw new Error('This chapter has no structured sections to export. Regenerate it to use offline formats.');
+  }
+
+  const figures = params.include_figures === false
+    ? []
+    : await loadFigures(result.resolved_figures || []);
+
+  const sections = result.sections;
+  const figuresBySection = new Map();
+  const unplacedFigures = [];
+  for (const entry of figures) {
+    const index = sections.findIndex((s) => s.title === entry.figure.section);
+    if (index === -1) {
+      unplacedFigures.push(entry);
+    } else {
+      figuresBySection.set(index, [...(figuresBySection.get(index) || []), entry]);
+    }
+  }
+
+  const references = params.include_references === false ? [] : (result.references || []);
+
+  // The resolution appendix arrives as markdown headed by its title
+  const appendixHeading = (params.appendix || '').match(/^#+\s+(.+)\n/);
+  const appendix = appendixHeading
+    ? { title: appendixHeading[1].trim(), content: params.appendix.slice(appendixHeading[0].length) }
+    : null;
+
+  const byline = [params.author, params.institution].filter(Boolean).join(' · ');
+
+  return {
+    title: params.title || result.title || params.topic,
+    byline,
+    author: params.author,
+    abstract: params.include_abstract === false ? '' : result.abstract,
+    includeToc: params.include_toc !== false,
+    sections,
+    figuresBySection,
+    unplacedFigures,
+    figureCount: figures.length,
+    references,
+    appendix,
+  };
+}
+
+/**
+ * Render one figure
+ * @param {EmbeddedFigure} entry
+ * @param {string} src - Image source
+ * @returns {string}
+ */
+function renderFigure({ figure, number }, src) {
+  const caption = figure.caption ? ` ${renderInline(figure.caption, () => null)}` : '';
+  return `<figure id="figure-${number}"><img src="${escapeXml(src)}" alt="${escapeXml(figure.caption || `Figure ${number}`)}" />`
+    + `<figcaption><strong>Figure ${number}.</strong>${caption}</figcaption></figure>`;
+}
+
+/**
+ * Render the numbered reference list
+ * @param {Array} references - SynthesisReference[]
+ * @returns {string}
+ */
+function renderReferences(references) {
+  const items = references
+    .map((ref, i) => `<li id="ref-${i + 1}">${escapeXml(formatReference(ref))}</li>`)
+    .join('\n');
+  return `<h2>References</h2>\n<ol class="references">\n${items}\n</ol>`;
+}
+
+/**
+ * Read a blob as a data URI
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+function toDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Build a single HTML file with styles and images inlined, readable
+ * without a connection
+ * @param {Object} params - Export request parameters (chapter plus export options)
+ * @returns {Promise<string>}
+ */
+export async function buildOfflineHTML(params) {
+  const chapter = await prepareChapter(params);
+  const citationHref = (n) => (chapter.references[n - 1] ? `#ref-${n}` : null);
+
+  const sources = new Map();
+  for (const entries of [...chapter.figuresBySection.values(), chapter.unplacedFigures]) {
+    for (const entry of entries) {
+      sources.set(entry.number, await toDataUrl(entry.blob));
+    }
+  }
+  const figureHtml = (entries = []) => entries.map((entry) => renderFigure(entry, sources.get(entry.number))).join('\n');
+
+  const body = [];
+  body.push(`<header><h1>${escapeXml(chapter.title)}</h1>`
+    + (chapter.byline ? `<p class="byline">${escapeXml(chapter.byline)}</p>` : '')
+    + '</header>');
+
+  if (chapter.includeToc) {
+    const entries = chapter.sections.map((section, i) => ({
+      title: section.title,
+      level: section.level,
+      href: `#section-${i + 1}`,
+    }));
+    if (chapter.references.length) entries.push({ title: 'References', level: 1, href: '#references' });
+    if (chapter.appendix) entries.push({ title: chapter.appendix.title, level: 1, href: '#appendix' });
+    body.push(`<nav class="toc" aria-label="Contents"><h2>Contents</h2>${renderTocList(entries)}</nav>`);
+  }
+
+  if (chapter.abstract) {
+    body.push(`<section class="abstract"><h2>Abstract</h2>${renderMarkdown(chapter.abstract, 2, citationHref)}</section>`);
+  }
+
+  chapter.sections.forEach((section, i) => {
+    const level = Math.min((section.level || 1) + 1, 6);
+    body.push(`<section id="section-${i + 1}"><h${level}>${escapeXml(section.title)}</h${level}>\n`
+      + `${renderMarkdown(section.content, level, citationHref)}\n${figureHtml(chapter.figuresBySection.get(i))}</section>`);
+  });
+
+  if (chapter.unplacedFigures.length) {
+    body.push(`<section id="figures"><h2>Figures</h2>\n${figureHtml(chapter.unplacedFigures)}</section>`);
+  }
+
+  if (chapter.references.length) {
+    body.push(`<section id="references">${renderReferences(chapter.references)}</section>`);
+  }
+
+  if (chapter.appendix) {
+    body.push(`<section id="appendix"><h2>${escapeXml(chapter.appendix.title)}</h2>\n`
+      + `${renderMarkdown(chapter.appendix.content, 2, citationHref)}</section>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapeXml(chapter.title)}</title>
+${chapter.author ? `<meta name="author" content="${escapeXml(chapter.author)}" />\n` : ''}<style>
+${READER_STYLES}
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Wrap body markup in an EPUB content document
+ * @param {string} title
+ * @param {string} body
+ * @param {string} [stylesheet='../styles.css'] - Stylesheet path relative to the document
+ * @returns {string}
+ */
+function toXhtml(title, body, stylesheet = '../styles.css') {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="en" lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="${stylesheet}" />
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build an EPUB 3 book: a title page, one document per section, and a
+ * reference list, with a navigation document as the table of contents
+ * @param {Object} params - Export request parameters (chapter plus export options)
+ * @returns {Promise<Blob>}
+ */
+export async function buildEPUB(params) {
+  const chapter = await prepareChapter(params);
+  const citationHref = (n) => (chapter.references[n - 1] ? `references.xhtml#ref-${n}` : null);
+  const imagePath = (entry) => `images/figure-${entry.number}.${entry.extension}`;
+  const figureHtml = (entries = []) => entries.map((entry) => renderFigure(entry, `../${imagePath(entry)}`)).join('\n');
+
+  // Each document: { id, href, title, body }
+  const documents = [];
+
+  documents.push({
+    id: 'title',
+    href: 'text/title.xhtml',
+    title: chapter.title,
+    body: `<section epub:type="titlepage"><h1>${escapeXml(chapter.title)}</h1>`
+      + (chapter.byline ? `<p class="byline">${escapeXml(chapter.byline)}</p>` : '')
+      + (chapter.abstract
+        ? `<section class="abstract"><h2>Abstract</h2>${renderMarkdown(chapter.abstract, 2, citationHref)}</section>`
+        : '')
+      + '</section>',
+  });
+
+  chapter.sections.forEach((section, i) => {
+    const level = Math.min((section.level || 1) + 1, 6);
+    documents.push({
+      id: `section-${i + 1}`,
+      href: `text/section-${i + 1}.xhtml`,
+      title: section.title,
+      level: section.level,
+      body: `<section epub:type="chapter"><h${level}>${escapeXml(section.title)}</h${level}>\n`
+        + `${renderMarkdown(section.content, level, citationHref)}\n${figureHtml(chapter.figuresBySection.get(i))}</section>`,
+    });
+  });
+
+  if (chapter.unplacedFigures.length) {
+    documents.push({
+      id: 'figures',
+      href: 'text/figures.xhtml',
+      title: 'Figures',
+      body: `<section><h2>Figures</h2>\n${figureHtml(chapter.unplacedFigures)}</section>`,
+    });
+  }
+
+  if (chapter.references.length) {
+    documents.push({
+      id: 'references',
+      href: 'text/references.xhtml',
+      title: 'References',
+      body: `<section epub:type="bibliography">${renderReferences(chapter.references)}</section>`,
+    });
+  }
+
+  if (chapter.appendix) {
+    documents.push({
+      id: 'appendix',
+      href: 'text/appendix.xhtml',
+      title: chapter.appendix.title,
+      body: `<section epub:type="appendix"><h2>${escapeXml(chapter.appendix.title)}</h2>\n`
+        + `${renderMarkdown(chapter.appendix.content, 2, citationHref)}</section>`,
+    });
+  }
+
+  // The navigation document sits beside the text folder, so links keep the folder
+  const tocEntries = documents
+    .filter((doc) => doc.id !== 'title')
+    .map((doc) => ({ title: doc.title, level: doc.level || 1, href: doc.href }));
+  const nav = toXhtml(
+    'Contents',
+    `<nav epub:type="toc" id="toc"><h2>Contents</h2>${renderTocList(tocEntries)}</nav>`,
+    'styles.css'
+  );
+
+  const images = [...chapter.figuresBySection.values(), chapter.unplacedFigures].flat();
+  const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+  const manifest = [
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />',
+    '<item id="css" href="styles.css" media-type="text/css" />',
+    ...documents.map((doc) => `<item id="${doc.id}" href="${doc.href}" media-type="application/xhtml+xml" />`),
+    ...images.map((entry) => `<item id="figure-${entry.number}" href="${imagePath(entry)}" media-type="${entry.blob.type}" />`),
+  ];
+  const spine = [
+    ...(chapter.includeToc ? ['<itemref idref="nav" />'] : []),
+    ...documents.map((doc) => `<itemref idref="${doc.id}" />`),
+  ];
+
+  const opf = `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">urn:neurosynth:${escapeXml(params.synthesis_id || generateId())}</dc:identifier>
+<dc:title>${escapeXml(chapter.title)}</dc:title>
+<dc:language>en</dc:language>
+${chapter.author ? `<dc:creator>${escapeXml(chapter.author)}</dc:creator>\n` : ''}${params.institution ? `<dc:publisher>${escapeXml(params.institution)}</dc:publisher>\n` : ''}<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+${manifest.join('\n')}
+</manifest>
+<spine>
+${spine.join('\n')}
+</spine>
+</package>
+`;
+
+  const container = `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />
+</rootfiles>
+</container>
+`;
+
+  const entries = [
+    // The mimetype entry must come first and be stored uncompressed
+    { name: 'mimetype', data: 'application/epub+zip' },
+    { name: 'META-INF/container.xml', data: container },
+    { name: 'OEBPS/content.opf', data: opf },
+    { name: 'OEBPS/nav.xhtml', data: nav },
+    { name: 'OEBPS/styles.css', data: READER_STYLES },
+    ...documents.map((doc) => ({ name: `OEBPS/${doc.href}`, data: toXhtml(doc.title, doc.body) })),
+  ];
+  for (const entry of images) {
+    entries.push({ name: `OEBPS/${imagePath(entry)}`, data: new Uint8Array(await entry.blob.arrayBuffer()) });
+  }
+
+  return createZip(entries, 'application/epub+zip');
+}
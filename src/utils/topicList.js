@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Parse pasted or imported topic lists for the batch synthesis queue.
+ *
+ * Supported formats:
+ * - Plain text: one topic per line, optionally "Topic | TEMPLATE"; blank lines and # comments are ignored
+ * - CSV with a header row: topic, template, chunk_types, specialties, min_authority
+ *   (list columns are separated by ";")
+ * - JSON: an array of topic strings or of { topic, template_type, chunk_types, specialties, min_authority, document_ids }
+ */
+
+/**
+ * @typedef {Object} TopicSpec
+ * @property {string} topic - Chapter topic
+ * @property {string} [template] - Template value (catalog type or "custom:<id>")
+ * @property {import('../api/client').SynthesisScope} [scope] - Source scope overrides
+ */
+
+/**
+ * Split a list cell ("a;b c") into values
+ * @param {string} [value]
+ * @returns {string[]}
+ */
+function splitList(value) {
+  return (value || '')
+    .split(/[;|]/)
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Build a scope object from loosely-typed fields, omitting empty ones
+ * @param {Object} fields
+ * @returns {Object|undefined}
+ */
+function toScope(fields) {
+  const toList = (v) => (Array.isArray(v) ? v : splitList(v));
+  const scope = {};
+  const chunkTypes = toList(fields.chunk_types);
+  const specialties = toList(fields.specialties);
+  const documentIds = toList(fields.document_ids);
+  const minAuthority = Number(fields.min_authority);
+
+  if (chunkTypes.length) scope.chunk_types = chunkTypes;
+  if (specialties.length) scope.specialties = specialties;
+  if (documentIds.length) scope.document_ids = documentIds;
+  if (minAuthority > 0) scope.min_authority = minAuthority > 1 ? minAuthority / 100 : minAuthority;
+
+  return Object.keys(scope).length ? scope : undefined;
+}
+
+/**
+ * Split one CSV line, honoring double-quoted fields
+ * @param {string} line
+ * @returns {string[]}
+ */
+function parseCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Parse a JSON topic list
+ * @param {string} text
+ * @returns {TopicSpec[]}
+ */
+function parseJson(text) {
+  const data = JSON.parse(text);
+  const items = Array.isArray(data) ? data : data.topics;
+  if (!Array.isArray(items)) {
+    throw new Error('JSON topic list must be an array or { "topics": [...] }');
+  }
+
+  return items
+    .map((item) => (typeof item === 'string'
+      ? { topic: item.trim() }
+      : {
+          topic: (item.topic || '').trim(),
+          template: item.template || item.template_type,
+          scope: toScope(item),
+        }))
+    .filter((item) => item.topic);
+}
+
+/**
+ * Parse a CSV topic list with a header row
+ * @param {string[]} lines
+ * @returns {TopicSpec[]}
+ * @throws {Error} When the header has no topic column
+ */
+function parseCsv(lines) {
+  const header = parseCsvLine(lines[0]).map((h) => h.toLowerCase());
+  if (!header.includes('topic')) {
+    throw new Error('CSV topic lists need a header row with a "topic" column');
+  }
+  const column = (row, name) => row[header.indexOf(name)];
+
+  return lines.slice(1)
+    .map((line) => {
+      const row = parseCsvLine(line);
+      const fields = Object.fromEntries(header.map((h, i) => [h, row[i]]));
+      return {
+        topic: (column(row, 'topic') || '').trim(),
+        template: column(row, 'template') || column(row, 'template_type') || undefined,
+        scope: toScope(fields),
+      };
+    })
+    .filter((item) => item.topic);
+}
+
+/**
+ * Parse a topic list in any supported format
+ * @param {string} text - Pasted or file text
+ * @param {string} [filename] - Source file name, used to pick the format
+ * @returns {TopicSpec[]}
+ */
+export function parseTopicList(text, filename = '') {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return [];
+
+  if (filename.endsWith('.json') || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    return parseJson(trimmed);
+  }
+
+  const lines = trimmed.split(/\r?\n/).filter((line) => line.trim() && !line.trim().startsWith('#'));
+
+  if (filename.endsWith('.csv') || /^\s*"?topic"?\s*,/i.test(lines[0])) {
+    return parseCsv(lines);
+  }
+
+  return lines.map((line) => {
+    const [topic, template] = line.split('|').map((part) => part.trim());
+    return { topic, template: template || undefined };
+  });
+}
@@ -0,0 +1,281 @@
+/**
+ * @fileoverview Ask conversation transcripts for filing: Markdown, and a
+ * standalone HTML page that doubles as the print view. Inline citations are
+ * resolved to document title and page, so a transcript reads on its own.
+ */
+
+import { toChatCitation } from './conversations';
+import { buildExportFilename } from './exportOptions';
+import { formatDate } from './helpers';
+import { escapeXml, renderMarkdown } from './offlineExport';
+
+/**
+ * @typedef {import('./conversations').ChatCitation} ChatCitation
+ */
+
+/**
+ * @typedef {Object} TranscriptMessage
+ * @property {'user'|'assistant'} role - Message author
+ * @property {string} content - Message text (markdown)
+ * @property {string} [createdAt] - When the message was sent (ISO 8601)
+ * @property {Array} [sources] - Citations backing an assistant message
+ * @property {import('./conversations').PinnedChunk[]} [pinned] - Pinned chunks a question was grounded on
+ * @property {string[]} [filters] - Labels of the filters an answer was generated under
+ * @property {import('./conversationTree').BranchInfo} [branch] - Position among alternate versions
+ */
+
+/**
+ * @typedef {Object} TranscriptParams
+ * @property {string} title - Conversation title
+ * @property {TranscriptMessage[]} messages - Messages on the branch being viewed, oldest first
+ * @property {string[]} filters - Labels of the conversation's active filters
+ * @property {Date} [exportedAt=new Date()] - Export time
+ */
+
+/**
+ * @typedef {Object} TranscriptTurn
+ * @property {TranscriptMessage|null} question
+ * @property {TranscriptMessage|null} answer
+ * @property {string} answerText - Answer with citations resolved
+ * @property {ChatCitation[]} citations
+ * @property {string[]|null} answerFilters - Filters for the answer, when they differ from the conversation's
+ */
+
+const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+const TRANSCRIPT_STYLES = `
+body { font-family: Georgia, 'Times New Roman', serif; line-height: 1.6; color: #1a1a1a; margin: 0 auto; max-width: 44em; padding: 1.5em; }
+h1, h2, h3, h4 { font-family: -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; line-height: 1.25; }
+h1 { font-size: 1.7em; margin-bottom: 0.3em; }
+h2 { font-size: 1.15em; margin: 0 0 0.5em; }
+h3 { font-size: 1em; }
+dl.details { display: grid; grid-template-columns: max-content 1fr; gap: 0.2em 1em; font-size: 0.9em; color: #444; }
+dl.details dt { font-weight: bold; }
+dl.details dd { margin: 0; }
+section.turn { border-top: 1px solid #ddd; padding-top: 1em; margin-top: 1.5em; }
+.question { background: #f3f6fb; border-left: 3px solid #2563eb; padding: 0.6em 1em; }
+.question p { margin: 0.3em 0; }
+.meta { font-size: 0.85em; color: #666; font-weight: normal; }
+.grounding, .filters { font-size: 0.9em; color: #444; }
+.sources { font-size: 0.9em; }
+.sources ol { padding-left: 1.5em; }
+.note { font-size: 0.9em; color: #666; font-style: italic; }
+blockquote { border-left: 3px solid #ccc; margin-left: 0; padding-left: 1em; color: #444; }
+@page { margin: 2cm; }
+@media print { body { max-width: none; padding: 0; } .question { break-inside: avoid; } h2, h3 { break-after: avoid; } }
+`.trim();
+
+/**
+ * Format a timestamp with date and time
+ * @param {string|Date|undefined} value
+ * @returns {string}
+ */
+function formatTimestamp(value) {
+  if (!value) return '';
+  return formatDate(value, { hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Describe where a citation points, e.g. "Youmans Neurological Surgery, p. 412"
+ * @param {{title?: string, documentTitle?: string, page?: number, pageNumber?: number}} source
+ * @returns {string}
+ */
+function sourceLabel(source) {
+  const title = source.title || source.documentTitle || 'Untitled document';
+  const page = source.page ?? source.pageNumber;
+  return page != null ? `${title}, p. ${page}` : title;
+}
+
+/**
+ * Replace [n] markers with the cited title and page. Markers with no
+ * matching citation are left as they are.
+ * @param {string} text
+ * @param {ChatCitation[]} citations
+ * @returns {string}
+ */
+function resolveCitations(text, citations) {
+  const byNumber = new Map(citations.map((c) => [c.number, c]));
+  if (byNumber.size === 0) return text;
+  return text.replace(CITATION_PATTERN, (marker, list) => {
+    const numbers = list.split(',').map((n) => Number(n.trim()));
+    if (!numbers.some((n) => byNumber.has(n))) return marker;
+    const parts = numbers.map((n) => (byNumber.has(n) ? `${n}: ${sourceLabel(byNumber.get(n))}` : String(n)));
+    return `[${parts.join('; ')}]`;
+  });
+}
+
+/**
+ * Pair questions with their answers
+ * @param {TranscriptMessage[]} messages
+ * @param {string[]} filters - The conversation's active filter labels
+ * @returns {TranscriptTurn[]}
+ */
+function toTurns(messages, filters) {
+  const turns = [];
+  for (const message of messages) {
+    const last = turns[turns.length - 1];
+    if (message.role === 'user' || !last || last.answer) {
+      turns.push({ question: null, answer: null, answerText: '', citations: [], answerFilters: null });
+    }
+    const turn = turns[turns.length - 1];
+    if (message.role === 'user') {
+      turn.question = message;
+    } else {
+      turn.answer = message;
+      turn.citations = (message.sources || []).map(toChatCitation);
+      turn.answerText = resolveCitations(message.content || '', turn.citations);
+      if (message.filters && message.filters.join('\n') !== filters.join('\n')) {
+        turn.answerFilters = message.filters;
+      }
+    }
+  }
+  return turns;
+}
+
+/**
+ * Transcript header details as label/value pairs
+ * @param {TranscriptParams} params
+ * @returns {Array<[string, string]>}
+ */
+function transcriptDetails({ messages, filters, exportedAt = new Date() }) {
+  const details = [
+    ['Exported', formatTimestamp(exportedAt)],
+  ];
+  if (messages[0]?.createdAt) details.push(['Started', formatTimestamp(messages[0].createdAt)]);
+  details.push(['Questions', String(messages.filter((m) => m.role === 'user').length)]);
+  details.push(['Active filters', filters.length ? filters.join('; ') : 'None (all documents)']);
+  return details;
+}
+
+/**
+ * Whether the conversation has versions other than the one exported
+ * @param {TranscriptMessage[]} messages
+ * @returns {boolean}
+ */
+function hasOtherBranches(messages) {
+  return messages.some((m) => m.branch && m.branch.count > 1);
+}
+
+const BRANCH_NOTE = 'This conversation has regenerated answers or edited questions; only the versions currently shown are included.';
+
+/**
+ * Build a Markdown transcript
+ * @param {TranscriptParams} params
+ * @returns {string}
+ */
+export function buildTranscriptMarkdown(params) {
+  const { title, messages, filters } = params;
+  const lines = [`# ${title}`, ''];
+
+  for (const [label, value] of transcriptDetails(params)) {
+    lines.push(`- **${label}:** ${value}`);
+  }
+  if (hasOtherBranches(messages)) lines.push('', `_${BRANCH_NOTE}_`);
+
+  toTurns(messages, filters).forEach((turn, i) => {
+    lines.push('', '---', '');
+    if (turn.question) {
+      const time = formatTimestamp(turn.question.createdAt);
+      lines.push(`## Question ${i + 1}${time ? ` · ${time}` : ''}`, '', turn.question.content, '');
+      if (turn.question.pinned?.length) {
+        lines.push(`> Grounded on pinned context: ${turn.question.pinned.map(sourceLabel).join('; ')}`, '');
+      }
+    }
+    if (turn.answer) {
+      const time = formatTimestamp(turn.answer.createdAt);
+      lines.push(`### Answer${time ? ` · ${time}` : ''}`, '', turn.answerText.trim(), '');
+      if (turn.answerFilters) {
+        lines.push(`_Filters for this answer: ${turn.answerFilters.join('; ') || 'None'}_`, '');
+      }
+      if (turn.citations.length) {
+        lines.push('**Sources**', '');
+        turn.citations.forEach((c) => lines.push(`${c.number}. ${sourceLabel(c)}`));
+        lines.push('');
+      }
+    }
+  });
+
+  return `${lines.join('\n').trim()}\n`;
+}
+
+/**
+ * Build a standalone HTML transcript, laid out for printing
+ * @param {TranscriptParams} params
+ * @returns {string}
+ */
+export function buildTranscriptHTML(params) {
+  const { title, messages, filters } = params;
+  const noLinks = () => null;
+  const body = [];
+
+  body.push(`<header><h1>${escapeXml(title)}</h1><dl class="details">`
+    + transcriptDetails(params).map(([label, value]) => `<dt>${escapeXml(label)}</dt><dd>${escapeXml(value)}</dd>`).join('')
+    + '</dl>'
+    + (hasOtherBranches(messages) ? `<p class="note">${escapeXml(BRANCH_NOTE)}</p>` : '')
+    + '</header>');
+
+  toTurns(messages, filters).forEach((turn, i) => {
+    const html = [`<section class="turn" id="turn-${i + 1}">`];
+    if (turn.question) {
+      const time = formatTimestamp(turn.question.createdAt);
+      const paragraphs = turn.question.content
+        .split(/\n{2,}/)
+        .map((p) => `<p>${escapeXml(p).replace(/\n/g, '<br />')}</p>`)
+        .join('');
+      html.push(`<div class="question"><h2>Question ${i + 1}`
+        + (time ? ` <span class="meta">${escapeXml(time)}</span>` : '')
+        + `</h2>${paragraphs}</div>`);
+      if (turn.question.pinned?.length) {
+        html.push(`<p class="grounding">Grounded on pinned context: ${escapeXml(turn.question.pinned.map(sourceLabel).join('; '))}</p>`);
+      }
+    }
+    if (turn.answer) {
+      const time = formatTimestamp(turn.answer.createdAt);
+      html.push(`<h3>Answer${time ? ` <span class="meta">${escapeXml(time)}</span>` : ''}</h3>`);
+      html.push(renderMarkdown(turn.answerText, 3, noLinks));
+      if (turn.answerFilters) {
+        html.push(`<p class="filters">Filters for this answer: ${escapeXml(turn.answerFilters.join('; ') || 'None')}</p>`);
+      }
+      if (turn.citations.length) {
+        const items = turn.citations
+          .map((c) => `<li value="${c.number}">${escapeXml(sourceLabel(c))}</li>`)
+          .join('');
+        html.push(`<div class="sources"><strong>Sources</strong><ol>${items}</ol></div>`);
+      }
+    }
+    html.push('</section>');
+    body.push(html.join('\n'));
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapeXml(title)}</title>
+<style>
+${TRANSCRIPT_STYLES}
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Filename for a transcript download
+ * @param {string} title - Conversation title
+ * @param {'markdown'|'html'} format
+ * @param {Date} [date=new Date()]
+ * @returns {string}
+ */
+export function transcriptFilename(title, format, date = new Date()) {
+  return buildExportFilename('ask-{title}-{date}', {
+    topic: title,
+    format,
+    extension: format === 'markdown' ? 'md' : 'html',
+    date,
+  });
+}